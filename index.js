@@ -16,6 +16,7 @@ const puzzleRoutes = require('./routes/puzzles');
 const paymentRoutes = require('./routes/payments');
 const adminRoutes = require('./routes/admin');
 const transactionRoutes = require('./routes/transactions');
+const jobRoutes = require('./routes/jobs');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -40,7 +41,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Body parsing middleware
@@ -115,6 +117,7 @@ app.use('/api/puzzles', puzzleRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
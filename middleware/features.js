@@ -0,0 +1,77 @@
+const settings = require('../services/settings');
+const { optionalAuth } = require('./auth');
+
+// Messages for features that have been switched off
+const DISABLED_MESSAGES = {
+  registrationEnabled: 'Registration is currently disabled',
+  puzzleCreationEnabled: 'Puzzle creation is currently disabled',
+  depositsEnabled: 'Deposits are currently disabled',
+  withdrawalsEnabled: 'Withdrawals are currently disabled'
+};
+
+// Identify the requesting user on routes that run before (or without)
+// protect, so admins can bypass the gates
+const resolveUser = async (req, res) => {
+  if (!req.user) {
+    await new Promise(resolve => optionalAuth(req, res, resolve));
+  }
+  return req.user || null;
+};
+
+// Reject requests while the platform is in maintenance mode. Paths in
+// `allow` (e.g. login and webhooks) stay reachable for everyone.
+const checkMaintenance = ({ allow = [] } = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (allow.includes(req.path) || !(await settings.isMaintenanceMode())) {
+        return next();
+      }
+
+      const user = await resolveUser(req, res);
+      if (user && user.role === 'admin') {
+        return next();
+      }
+
+      res.set('Retry-After', '300');
+      return res.status(503).json({
+        status: 'error',
+        message: 'The platform is down for maintenance. Please try again later.'
+      });
+    } catch (error) {
+      console.error('Maintenance check error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Something went wrong while checking platform status'
+      });
+    }
+  };
+};
+
+// Reject requests for a feature that is switched off for the user
+const requireFeature = (feature) => {
+  return async (req, res, next) => {
+    try {
+      const user = await resolveUser(req, res);
+
+      if (await settings.isFeatureEnabled(feature, user)) {
+        return next();
+      }
+
+      return res.status(403).json({
+        status: 'error',
+        message: DISABLED_MESSAGES[feature] || 'This feature is currently disabled'
+      });
+    } catch (error) {
+      console.error('Feature check error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Something went wrong while checking platform status'
+      });
+    }
+  };
+};
+
+module.exports = {
+  checkMaintenance,
+  requireFeature
+};
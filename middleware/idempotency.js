@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const KEY_PATTERN = /^[A-Za-z0-9_:.-]{1,255}$/;
+
+// Serialize a body with sorted keys so the same request always hashes the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path} ${canonicalize(req.body || {})}`)
+  .digest('hex');
+
+// Support the Idempotency-Key header on a mutation. The first response for a
+// key is stored and replayed for retries with the same body; reusing a key
+// with a different body is a conflict. A key is never run twice: while its
+// request is in progress retries get a conflict, and so do retries of a
+// request that failed with a server error (5xx), as it may have committed
+// part of its work before failing. A route that stops waiting for its work
+// (see withTimeout in routes/payments.js) hands it to
+// req.idempotency.settleLater, which holds the key until the work settles
+// and stores its real outcome.
+// `redact` returns the copy of a response body to store, so secrets in it are
+// never written to the database. Must run after protect, as keys are scoped
+// to the user.
+const idempotent = ({ ttlHours = 24, redact = body => body } = {}) => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Idempotency key must be 1 to 255 letters, digits or _ : . - characters'
+      });
+    }
+
+    try {
+      const now = new Date();
+      const requestHash = hashRequest(req);
+
+      let record;
+      try {
+        record = await IdempotencyKey.create({
+          key,
+          userId: req.user._id,
+          method: req.method,
+          path: `${req.baseUrl}${req.path}`,
+          requestHash,
+          expiresAt: new Date(now.getTime() + ttlHours * 60 * 60 * 1000)
+        });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+
+        const existing = await IdempotencyKey.findOne({ userId: req.user._id, key });
+
+        if (!existing || existing.requestHash !== requestHash) {
+          return res.status(409).json({
+            status: 'error',
+            message: 'This idempotency key was already used for a different request'
+          });
+        }
+
+        if (existing.status === 'completed') {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.response.statusCode).json(existing.response.body);
+        }
+
+        if (existing.status === 'failed') {
+          return res.status(409).json({
+            status: 'error',
+            message: 'The request with this idempotency key failed and may have partly completed; ' +
+              'check its result before retrying with a new key'
+          });
+        }
+
+        // Also the answer when the first request died without responding,
+        // as its work may have committed
+        return res.status(409).json({
+          status: 'error',
+          message: 'A request with this idempotency key is still being processed'
+        });
+      }
+
+      const logStoreError = error => console.error(`Idempotency key ${key} store error:`, error);
+
+      // Work the route stopped waiting for decides the outcome once it settles
+      let settling = false;
+      req.idempotency = {
+        settleLater(work, toResponse) {
+          settling = true;
+          work
+            .then(
+              result => IdempotencyKey.complete(record._id, 200, redact(toResponse(result))),
+              () => IdempotencyKey.fail(record._id)
+            )
+            .catch(logStoreError);
+        }
+      };
+
+      // Store the response before it is sent
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode >= 500 && settling) {
+          return json(body);
+        }
+
+        const stored = res.statusCode >= 500
+          ? IdempotencyKey.fail(record._id)
+          : IdempotencyKey.complete(record._id, res.statusCode, redact(body));
+        stored
+          .catch(logStoreError)
+          .finally(() => json(body));
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      console.error('Idempotency key error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Something went wrong while checking the idempotency key'
+      });
+    }
+  };
+};
+
+module.exports = {
+  idempotent
+};
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+// A refund or withdrawal above the approval threshold, waiting for a second
+// admin. Funds only move once a different admin approves it.
+const approvalRequestSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['refund', 'withdrawal'],
+    required: [true, 'Approval type is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired', 'executed', 'failed'],
+    default: 'pending'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  // Admin who asked for the refund, or the user asking to withdraw
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // User whose funds are moved
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  withdrawal: {
+    paymentMethod: {
+      type: String,
+      enum: ['stripe', 'solana', 'bitcoin']
+    },
+    destination: String,
+    // SPL token for Solana withdrawals; unset for SOL
+    token: {
+      type: String,
+      default: null
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approvedAt: {
+    type: Date,
+    default: null
+  },
+  // While approved, how long the approving admin has to carry the request
+  // out before the recovery job takes it over
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  rejectedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  executedAt: {
+    type: Date,
+    default: null
+  },
+  result: {
+    transactionId: {
+      type: String,
+      default: null
+    },
+    txHash: {
+      type: String,
+      default: null
+    }
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+approvalRequestSchema.index({ status: 1, expiresAt: 1 });
+approvalRequestSchema.index({ status: 1, lockedUntil: 1 });
+approvalRequestSchema.index({ type: 1, status: 1, createdAt: -1 });
+approvalRequestSchema.index({ userId: 1, createdAt: -1 });
+// Only one refund per transaction can be waiting at a time
+approvalRequestSchema.index(
+  { transactionId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending', transactionId: { $type: 'objectId' } } }
+);
+
+// Instance method to check if the request can no longer be approved
+approvalRequestSchema.methods.isExpired = function(now = new Date()) {
+  return this.expiresAt <= now;
+};
+
+// Static method to move a pending request to approved for an admin other
+// than the requester, who holds it until lockedUntil; null if that is not
+// possible
+approvalRequestSchema.statics.claim = function(id, adminId, now, lockedUntil) {
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      status: 'pending',
+      expiresAt: { $gt: now },
+      requestedBy: { $ne: adminId }
+    },
+    { $set: { status: 'approved', approvedBy: adminId, approvedAt: now, lockedUntil } },
+    { new: true }
+  );
+};
+
+// Static method to take over an approved request whose execution was
+// interrupted; null if it finished or someone else holds it
+approvalRequestSchema.statics.reclaim = function(id, now, lockedUntil) {
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      status: 'approved',
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { lockedUntil } },
+    { new: true }
+  );
+};
+
+// Static method to expire pending requests nobody approved in time
+approvalRequestSchema.statics.expireDue = async function(now = new Date()) {
+  const result = await this.updateMany(
+    { status: 'pending', expiresAt: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('ApprovalRequest', approvalRequestSchema);
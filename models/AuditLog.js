@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Hash of the (non-existent) entry before the first one
+const GENESIS_HASH = '0'.repeat(64);
+
+// Serialize a value with sorted keys so the same entry always hashes the same
+const canonicalize = (value) => {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return JSON.stringify(value.toString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const changeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Append-only record of privileged actions. Each entry stores the hash of
+// the one before it, so editing or removing an entry breaks the chain.
+const auditLogSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    email: {
+      type: String,
+      default: null
+    },
+    role: {
+      type: String,
+      default: null
+    }
+  },
+  action: {
+    type: String,
+    required: [true, 'Audit action is required'],
+    trim: true
+  },
+  target: {
+    type: {
+      type: String,
+      enum: ['user', 'puzzle', 'transaction', 'settings', 'approval', 'unclaimed_deposit'],
+      required: true
+    },
+    id: {
+      type: String,
+      default: null
+    }
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  changes: [changeSchema],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false,
+  minimize: false // Keep empty objects so stored entries hash the same as when written
+});
+
+// The unique sequence keeps the chain linear when entries are appended concurrently
+auditLogSchema.index({ sequence: 1 }, { unique: true });
+auditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries can only ever be inserted
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified'));
+  }
+  next();
+});
+
+const rejectWrite = function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => auditLogSchema.pre(operation, rejectWrite));
+
+// Instance method to compute the hash of this entry from its content
+auditLogSchema.methods.computeHash = function() {
+  const content = canonicalize({
+    sequence: this.sequence,
+    actor: {
+      userId: this.actor.userId,
+      email: this.actor.email,
+      role: this.actor.role
+    },
+    action: this.action,
+    target: { type: this.target.type, id: this.target.id },
+    outcome: this.outcome,
+    changes: this.changes.map(change => ({ path: change.path, from: change.from, to: change.to })),
+    reason: this.reason,
+    error: this.error,
+    metadata: this.metadata,
+    ipAddress: this.ipAddress,
+    userAgent: this.userAgent,
+    createdAt: this.createdAt
+  });
+
+  return crypto.createHash('sha256').update(this.prevHash + content).digest('hex');
+};
+
+// Static method to append an entry to the end of the chain
+auditLogSchema.statics.append = async function(fields, retries = 5) {
+  for (let attempt = 0; ; attempt++) {
+    const last = await this.findOne().sort({ sequence: -1 }).select('sequence hash');
+    const entry = new this({
+      ...fields,
+      sequence: last ? last.sequence + 1 : 1,
+      prevHash: last ? last.hash : GENESIS_HASH,
+      hash: GENESIS_HASH // Replaced below once the other fields are set
+    });
+    entry.hash = entry.computeHash();
+
+    try {
+      return await entry.save();
+    } catch (error) {
+      // Another entry took this sequence number; link to it and try again
+      if (error.code === 11000 && attempt < retries) {
+        continue;
+      }
+      throw error;
+    }
+  }
+};
+
+// Static method to check the chain for edited, removed or reordered entries
+auditLogSchema.statics.verifyChain = async function({ fromSequence = 1, batchSize = 500 } = {}) {
+  const previous = fromSequence > 1
+    ? await this.findOne({ sequence: fromSequence - 1 }).select('hash')
+    : null;
+
+  if (fromSequence > 1 && !previous) {
+    return { valid: false, checked: 0, brokenAt: fromSequence - 1, problem: 'Entry is missing' };
+  }
+
+  let expectedPrevHash = previous ? previous.hash : GENESIS_HASH;
+  let expectedSequence = fromSequence;
+  let checked = 0;
+
+  const cursor = this.find({ sequence: { $gte: fromSequence } })
+    .sort({ sequence: 1 })
+    .batchSize(batchSize)
+    .cursor();
+
+  for await (const entry of cursor) {
+    if (entry.sequence !== expectedSequence) {
+      return { valid: false, checked, brokenAt: expectedSequence, problem: 'Entry is missing' };
+    }
+    if (entry.prevHash !== expectedPrevHash) {
+      return { valid: false, checked, brokenAt: entry.sequence, problem: 'Link to previous entry is broken' };
+    }
+    if (entry.computeHash() !== entry.hash) {
+      return { valid: false, checked, brokenAt: entry.sequence, problem: 'Entry content was modified' };
+    }
+
+    expectedPrevHash = entry.hash;
+    expectedSequence++;
+    checked++;
+  }
+
+  return { valid: true, checked, brokenAt: null, problem: null };
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// A receive address derived from the platform's extended public key for one
+// deposit request. Funds arriving at the address belong to that deposit, so
+// deposits are attributed by address rather than by amount.
+const depositAddressSchema = new mongoose.Schema({
+  chain: {
+    type: String,
+    enum: ['bitcoin'],
+    required: true
+  },
+  // Identifies the extended public key the address was derived from, so a
+  // key rotation starts a fresh sequence of indexes
+  xpubFingerprint: {
+    type: String,
+    required: true
+  },
+  index: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Derivation path relative to the extended public key
+  path: {
+    type: String,
+    required: true
+  },
+  address: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'used', 'expired'],
+    default: 'issued'
+  },
+  // When the deposit request expires; late payments are still picked up for
+  // a grace period after this
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  txid: {
+    type: String,
+    default: null
+  },
+  receivedSats: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  lastScannedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+depositAddressSchema.index({ chain: 1, xpubFingerprint: 1, index: 1 }, { unique: true });
+depositAddressSchema.index({ status: 1, expiresAt: 1 });
+depositAddressSchema.index({ transactionId: 1 });
+
+// Static method to take the next unused derivation index. derive(index)
+// returns the { address, path } for an index; concurrent requests racing
+// for the same index retry with the next one.
+depositAddressSchema.statics.allocate = async function({ chain, xpubFingerprint, derive, ...fields }, retries = 5) {
+  for (let attempt = 0; ; attempt++) {
+    const last = await this.findOne({ chain, xpubFingerprint }).sort({ index: -1 }).select('index');
+    const index = last ? last.index + 1 : 0;
+
+    try {
+      return await this.create({ chain, xpubFingerprint, index, ...derive(index), ...fields });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= retries) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Static method to find the highest derivation index in use
+depositAddressSchema.statics.getHighestIndex = async function(chain, xpubFingerprint) {
+  const last = await this.findOne({ chain, xpubFingerprint }).sort({ index: -1 }).select('index');
+  return last ? last.index : -1;
+};
+
+module.exports = mongoose.model('DepositAddress', depositAddressSchema);
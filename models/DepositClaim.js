@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Records which deposit an on-chain output funded. The unique index means a
+// payment can credit at most one deposit, however many times its hash is
+// submitted. Solana transfers have no outputs, so they always use index 0.
+const depositClaimSchema = new mongoose.Schema({
+  chain: {
+    type: String,
+    enum: ['solana', 'bitcoin'],
+    required: true
+  },
+  txHash: {
+    type: String,
+    required: true
+  },
+  outputIndex: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+depositClaimSchema.index({ chain: 1, txHash: 1, outputIndex: 1 }, { unique: true });
+depositClaimSchema.index({ transactionId: 1 });
+
+// Static method to find a claim on any of a transaction's outputs made by a
+// deposit other than the given one
+depositClaimSchema.statics.findConflict = function(chain, txHash, outputIndexes, transactionId) {
+  return this.findOne({
+    chain,
+    txHash,
+    outputIndex: { $in: outputIndexes },
+    transactionId: { $ne: transactionId }
+  });
+};
+
+// Static method to claim outputs for a deposit. Runs inside the transaction
+// that credits the deposit; a duplicate key error means another deposit got
+// there first.
+depositClaimSchema.statics.claim = function({ chain, txHash, outputIndexes, transaction }, session = null) {
+  return this.create(outputIndexes.map(outputIndex => ({
+    chain,
+    txHash,
+    outputIndex,
+    transactionId: transaction._id,
+    userId: transaction.toUserId
+  })), { session, ordered: true });
+};
+
+module.exports = mongoose.model('DepositClaim', depositClaimSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Stored outcome of a request sent with an Idempotency-Key header. Retries
+// with the same key get the stored response instead of running again; a
+// request that failed is never run again with its key.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // Hash of the method, path and body the key was first used with
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed'],
+    default: 'processing'
+  },
+  response: {
+    statusCode: {
+      type: Number,
+      default: null
+    },
+    body: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keys are scoped to the user who sent them
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+// MongoDB removes keys once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to store the response for a key
+idempotencyKeySchema.statics.complete = function(id, statusCode, body) {
+  return this.updateOne(
+    { _id: id, status: 'processing' },
+    {
+      $set: {
+        status: 'completed',
+        'response.statusCode': statusCode,
+        'response.body': body,
+        completedAt: new Date()
+      }
+    }
+  );
+};
+
+// Static method to mark a key whose request failed with a server error
+idempotencyKeySchema.statics.fail = function(id) {
+  return this.updateOne(
+    { _id: id, status: 'processing' },
+    { $set: { status: 'failed', completedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
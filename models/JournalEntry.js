@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+
+// Amounts are kept in cents internally so debits and credits balance exactly
+const toCents = (amount) => Math.round(amount * 100);
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: [true, 'Ledger account is required'],
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Debit cannot be negative']
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit cannot be negative']
+  }
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+  transactionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'posted', 'void'],
+    default: 'pending'
+  },
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+    default: null
+  },
+  postedAt: {
+    type: Date,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+journalEntrySchema.index({ 'lines.account': 1, status: 1 });
+journalEntrySchema.index({ 'lines.userId': 1, status: 1 });
+journalEntrySchema.index({ status: 1, createdAt: 1 });
+// An entry can be reversed once; a voided reversal does not count, so a
+// failed reversal can be retried
+journalEntrySchema.index({ reversalOf: 1 }, {
+  name: 'reversalOf_active_unique',
+  unique: true,
+  partialFilterExpression: {
+    reversalOf: { $type: 'objectId' },
+    status: { $in: ['pending', 'posted'] }
+  }
+});
+
+// Virtual for entry total (sum of one side)
+journalEntrySchema.virtual('total').get(function() {
+  return this.lines.reduce((sum, line) => sum + toCents(line.debit), 0) / 100;
+});
+
+// Pre-validate middleware to generate entry ID
+journalEntrySchema.pre('validate', function(next) {
+  if (!this.entryId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substring(2, 8);
+    this.entryId = `je_${timestamp}_${random}`.toUpperCase();
+  }
+  next();
+});
+
+// Pre-validate middleware to enforce double-entry balance
+journalEntrySchema.pre('validate', function(next) {
+  let debits = 0;
+  let credits = 0;
+
+  for (const line of this.lines) {
+    if ((line.debit > 0) === (line.credit > 0)) {
+      return next(new Error(`Journal line for ${line.account} must have exactly one of debit or credit`));
+    }
+    debits += toCents(line.debit);
+    credits += toCents(line.credit);
+  }
+
+  if (debits !== credits) {
+    return next(new Error(`Unbalanced journal entry: debits ${debits / 100} != credits ${credits / 100}`));
+  }
+
+  next();
+});
+
+// Instance method to get the net change for an account (credit positive)
+journalEntrySchema.methods.netFor = function(account) {
+  return this.lines
+    .filter(line => line.account === account)
+    .reduce((sum, line) => sum + toCents(line.credit) - toCents(line.debit), 0) / 100;
+};
+
+// Static method to get the balance of an account from posted entries
+journalEntrySchema.statics.getAccountBalance = async function(account) {
+  const result = await this.aggregate([
+    { $match: { status: 'posted', 'lines.account': account } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.account': account } },
+    {
+      $group: {
+        _id: '$lines.account',
+        debits: { $sum: '$lines.debit' },
+        credits: { $sum: '$lines.credit' },
+        entries: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const totals = result[0] || { debits: 0, credits: 0, entries: 0 };
+  return {
+    account,
+    debits: totals.debits,
+    credits: totals.credits,
+    balance: (toCents(totals.credits) - toCents(totals.debits)) / 100,
+    entries: totals.entries
+  };
+};
+
+// Static method to get account history
+journalEntrySchema.statics.getAccountHistory = function(account, limit = 50, offset = 0) {
+  return this.find({ 'lines.account': account, status: 'posted' })
+    .sort({ postedAt: -1 })
+    .limit(limit)
+    .skip(offset);
+};
+
+journalEntrySchema.statics.toCents = toCents;
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -1,4 +1,149 @@
 const mongoose = require('mongoose');
+const encryption = require('../utils/encryption');
+const answers = require('../utils/answers');
+
+const heirSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Heir email is required'],
+    lowercase: true,
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['invited', 'linked'],
+    default: 'invited'
+  },
+  inviteTokenHash: {
+    type: String,
+    select: false
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  linkedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// A copy of the inheritance data key, wrapped under a key derived from an answer
+const keySlotSchema = new mongoose.Schema({
+  salt: { type: String, required: true },
+  iv: { type: String, required: true },
+  authTag: { type: String, required: true },
+  wrappedKey: { type: String, required: true }
+}, { _id: false });
+
+const sealedSecretSchema = new mongoose.Schema({
+  algorithm: {
+    type: String,
+    enum: ['aes-256-gcm'],
+    required: true
+  },
+  kdf: {
+    name: { type: String, enum: ['scrypt'], required: true },
+    N: { type: Number, required: true },
+    r: { type: Number, required: true },
+    p: { type: Number, required: true }
+  },
+  iv: { type: String, required: true },
+  authTag: { type: String, required: true },
+  ciphertext: { type: String, required: true },
+  keySlots: {
+    type: [keySlotSchema],
+    validate: {
+      validator: (slots) => slots.length > 0,
+      message: 'A sealed inheritance needs at least one key slot'
+    }
+  }
+}, { _id: false });
+
+// A hint unlocks after a number of failed attempts, after a date, or when
+// paid for. A hint without any of these is visible to everyone.
+const hintSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Hint text is required'],
+    trim: true,
+    maxlength: [1000, 'Hint cannot exceed 1000 characters']
+  },
+  unlockAfterAttempts: {
+    type: Number,
+    default: null,
+    min: [1, 'Attempts before a hint unlocks must be at least 1']
+  },
+  unlockAt: {
+    type: Date,
+    default: null
+  },
+  price: {
+    type: Number,
+    default: null,
+    min: [0.5, 'Hint price must be at least $0.50'],
+    max: [1000, 'Hint price cannot exceed $1,000']
+  }
+});
+
+// An intermediate stage of a multi-stage puzzle. Its answer reveals the
+// clue for the next stage, which is sealed with the stage's answers.
+const stageSchema = new mongoose.Schema({
+  answerHashes: {
+    type: [String],
+    validate: {
+      validator: (hashes) => hashes.length > 0,
+      message: 'Stage answer is required'
+    }
+  },
+  sealedNextClue: {
+    type: sealedSecretSchema,
+    required: true
+  },
+  reward: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stage reward cannot be negative']
+  },
+  rewardClaimedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  rewardClaimedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// How submitted answers are normalized before they are compared
+const answerPolicySchema = new mongoose.Schema({
+  caseSensitive: {
+    type: Boolean,
+    default: answers.DEFAULT_POLICY.caseSensitive
+  },
+  collapseWhitespace: {
+    type: Boolean,
+    default: answers.DEFAULT_POLICY.collapseWhitespace
+  },
+  stripPunctuation: {
+    type: Boolean,
+    default: answers.DEFAULT_POLICY.stripPunctuation
+  },
+  stripDiacritics: {
+    type: Boolean,
+    default: answers.DEFAULT_POLICY.stripDiacritics
+  },
+  unicodeNormalization: {
+    type: Boolean,
+    default: answers.DEFAULT_POLICY.unicodeNormalization // NFKC
+  }
+}, { _id: false });
 
 const puzzleSchema = new mongoose.Schema({
   title: {
@@ -19,23 +164,119 @@ const puzzleSchema = new mongoose.Schema({
     trim: true,
     maxlength: [2000, 'Clue cannot exceed 2000 characters']
   },
+  // Legacy plaintext answer, replaced by answerHashes (see scripts/hashAnswers.js)
   answer: {
     type: String,
-    required: [true, 'Puzzle answer is required'],
     trim: true,
-    select: false // Never return the answer in queries
+    select: false
+  },
+  // Salted hashes of every accepted answer (the answer and its aliases)
+  answerHashes: {
+    type: [String],
+    select: false, // Never return the answer hashes in queries
+    validate: {
+      validator: function(hashes) {
+        return hashes.length > 0 || !!this.answer || !this.isNew;
+      },
+      message: 'Puzzle answer is required'
+    }
+  },
+  answerPolicy: {
+    type: answerPolicySchema,
+    default: () => ({})
+  },
+  // Intermediate stages solved before the final answer; the first stage's
+  // clue is the puzzle clue
+  stages: {
+    type: [stageSchema],
+    select: false,
+    validate: {
+      validator: (stages) => stages.length <= 9,
+      message: 'A puzzle cannot have more than 9 intermediate stages'
+    }
+  },
+  stageCount: {
+    type: Number,
+    default: 1 // Including the final stage
+  },
+  stageRewards: {
+    type: Number,
+    default: 0 // Total of the per-stage rewards, escrowed with the value
   },
+  // Plaintext inheritance is only held in memory on creation; it is sealed
+  // into sealedInheritance before saving
   inheritance: {
     type: String,
-    required: [true, 'Inheritance description is required'],
+    required: [function() { return this.isNew && !this.sealedInheritance; }, 'Inheritance description is required'],
     trim: true,
-    maxlength: [1000, 'Inheritance description cannot exceed 1000 characters']
+    maxlength: [1000, 'Inheritance description cannot exceed 1000 characters'],
+    select: false
   },
+  sealedInheritance: {
+    type: sealedSecretSchema,
+    default: undefined,
+    select: false // Only a correct answer can decrypt it
+  },
+  heirs: {
+    type: [heirSchema],
+    select: false, // Heir emails are private to the creator
+    validate: {
+      validator: (heirs) => heirs.length <= 10,
+      message: 'A puzzle cannot have more than 10 heirs'
+    }
+  },
+  hints: {
+    type: [hintSchema],
+    select: false, // Hint texts are only returned once unlocked
+    validate: {
+      validator: (hints) => hints.length <= 10,
+      message: 'A puzzle cannot have more than 10 hints'
+    }
+  },
+  hintUnlocks: {
+    type: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      hintIndex: {
+        type: Number,
+        required: true
+      },
+      method: {
+        type: String,
+        enum: ['free', 'attempts', 'date', 'paid'],
+        required: true
+      },
+      transactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction',
+        default: null
+      },
+      unlockedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  inheritanceReleases: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    releasedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   value: {
     type: Number,
     required: [true, 'Puzzle value is required'],
     min: [1, 'Puzzle value must be at least $1'],
-    max: [10000, 'Puzzle value cannot exceed $10,000']
+    max: [100000, 'Puzzle value cannot exceed $100,000'] // Platform limits are enforced from settings
   },
   creatorId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -73,12 +314,17 @@ const puzzleSchema = new mongoose.Schema({
     },
     answer: {
       type: String,
-      required: true
+      // Correct answers are not kept: they would decrypt the inheritance
+      required: function() { return !this.isCorrect; }
     },
     isCorrect: {
       type: Boolean,
       required: true
     },
+    stage: {
+      type: Number,
+      default: null // Intermediate stage index; null for the final answer
+    },
     attemptedAt: {
       type: Date,
       default: Date.now
@@ -127,16 +373,81 @@ const puzzleSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Admin fee charged at creation; refunded as charged even if the fee setting changes
+    adminFee: {
+      type: Number,
+      default: 1,
+      min: [0, 'Admin fee cannot be negative']
+    },
     payoutProcessed: {
       type: Boolean,
       default: false
+    },
+    escrow: {
+      status: {
+        type: String,
+        enum: ['unfunded', 'funded', 'released', 'refunded'],
+        default: 'unfunded'
+      },
+      amount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Escrow amount cannot be negative']
+      },
+      fundedAt: {
+        type: Date,
+        default: null
+      },
+      settledAt: {
+        type: Date,
+        default: null
+      },
+      releasedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      fundingEntryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'JournalEntry',
+        default: null
+      },
+      settlementEntryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'JournalEntry',
+        default: null
+      },
+      refundReason: {
+        type: String,
+        default: null
+      }
     }
   },
   status: {
     type: String,
-    enum: ['active', 'suspended', 'deleted'],
+    enum: ['active', 'suspended', 'expired', 'deleted'],
     default: 'active'
   },
+  expiredAt: {
+    type: Date,
+    default: null
+  },
+  // Delivery of the expiry email, tracked apart from the expiry itself so a
+  // failed notice is retried without touching the refund
+  expiryNotice: {
+    sentAt: {
+      type: Date,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: {
+      type: String,
+      default: null
+    }
+  },
   tags: [{
     type: String,
     trim: true,
@@ -155,6 +466,14 @@ const puzzleSchema = new mongoose.Schema({
   expiresAt: {
     type: Date,
     default: null // Puzzles can optionally expire
+  },
+  posthumous: {
+    type: Boolean,
+    default: false // Hidden until the creator's check-in switch fires
+  },
+  activatedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
@@ -171,6 +490,10 @@ puzzleSchema.index({ category: 1 });
 puzzleSchema.index({ difficulty: 1 });
 puzzleSchema.index({ status: 1 });
 puzzleSchema.index({ expiresAt: 1 });
+puzzleSchema.index({ 'payment.escrow.status': 1 });
+puzzleSchema.index({ 'heirs.userId': 1 });
+puzzleSchema.index({ creatorId: 1, posthumous: 1, activatedAt: 1 });
+puzzleSchema.index({ 'heirs.inviteTokenHash': 1 });
 
 // Compound indexes
 puzzleSchema.index({ solved: 1, status: 1, createdAt: -1 });
@@ -194,6 +517,47 @@ puzzleSchema.virtual('successRate').get(function() {
   return this.solved ? (1 / this.analytics.totalAttempts) * 100 : 0;
 });
 
+// Pre-validate middleware to hash answers set with setAnswers
+puzzleSchema.pre('validate', async function() {
+  const accepted = this.$locals.acceptedAnswers;
+  if (!accepted || this.$locals.answersHashed) return;
+
+  this.answerHashes = await Promise.all(accepted.map(answer => answers.hashAnswer(answer)));
+  this.answer = undefined;
+  this.$locals.answersHashed = true;
+});
+
+// Pre-validate middleware to hash stage answers and seal stage clues set with setStages
+puzzleSchema.pre('validate', async function() {
+  const pending = this.$locals.pendingStages;
+  if (!pending || this.$locals.stagesSealed) return;
+
+  const stages = [];
+  for (const stage of pending) {
+    stages.push({
+      answerHashes: await Promise.all(stage.answers.map(answer => answers.hashAnswer(answer))),
+      sealedNextClue: await encryption.seal(stage.nextClue, stage.answers),
+      reward: stage.reward
+    });
+  }
+
+  this.stages = stages;
+  this.$locals.stagesSealed = true;
+});
+
+// Pre-save middleware to encrypt the inheritance with every accepted answer
+puzzleSchema.pre('save', async function() {
+  if (!this.isModified('inheritance') || !this.inheritance) return;
+
+  const accepted = this.$locals.acceptedAnswers;
+  if (!accepted) {
+    throw new Error('Answers must be set to seal the inheritance');
+  }
+
+  this.sealedInheritance = await encryption.seal(this.inheritance, accepted);
+  this.inheritance = undefined;
+});
+
 // Pre-save middleware to update total attempts
 puzzleSchema.pre('save', function(next) {
   if (this.isModified('attempts')) {
@@ -202,31 +566,220 @@ puzzleSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to add attempt
-puzzleSchema.methods.addAttempt = function(userId, answer, ipAddress) {
-  const isCorrect = answer.toLowerCase().trim() === this.answer.toLowerCase().trim();
-  
-  const attempt = {
+// Instance method to set the accepted answers (the answer first, then aliases).
+// Cleartext answers only live in memory until they are hashed on save.
+puzzleSchema.methods.setAnswers = function(acceptedAnswers) {
+  this.$locals.acceptedAnswers = answers.normalizeAnswers(acceptedAnswers, this.answerPolicy);
+  this.$locals.answersHashed = false;
+};
+
+// Instance method to set the intermediate stages ({ answers, nextClue, reward }).
+// Cleartext answers and clues only live in memory until they are sealed.
+puzzleSchema.methods.setStages = function(stages) {
+  this.$locals.pendingStages = stages.map(stage => ({
+    answers: answers.normalizeAnswers(stage.answers, this.answerPolicy),
+    nextClue: stage.nextClue,
+    reward: stage.reward || 0
+  }));
+  this.$locals.stagesSealed = false;
+
+  this.stageCount = stages.length + 1;
+  this.stageRewards = this.$locals.pendingStages
+    .reduce((sum, stage) => sum + Math.round(stage.reward * 100), 0) / 100;
+};
+
+// Instance method to check whether the puzzle has intermediate stages
+puzzleSchema.methods.isMultiStage = function() {
+  return this.stageCount > 1;
+};
+
+// Instance method to get the total amount escrowed for the puzzle
+puzzleSchema.methods.getEscrowTotal = function() {
+  return Math.round((this.value + (this.stageRewards || 0)) * 100) / 100;
+};
+
+// Instance method to check a submission against a stage; returns the
+// revealed next clue, or null if the answer is wrong
+puzzleSchema.methods.solveStage = async function(stageIndex, answer) {
+  if (!this.isSelected('stages')) {
+    throw new Error('Stages must be selected to solve a stage');
+  }
+
+  const stage = this.stages[stageIndex];
+  if (!stage) {
+    throw new Error('Stage not found');
+  }
+
+  const normalized = answers.normalizeAnswer(answer, this.answerPolicy);
+  const answerIndex = await answers.matchAnswer(normalized, stage.answerHashes);
+  if (answerIndex === -1) return null;
+
+  return encryption.open(stage.sealedNextClue, normalized, answerIndex);
+};
+
+// Static method to claim a stage's reward for its first solver.
+// Returns null if the reward was already claimed.
+puzzleSchema.statics.claimStageReward = function(puzzleId, stageIndex, userId, session = null) {
+  return this.findOneAndUpdate(
+    { _id: puzzleId, [`stages.${stageIndex}.rewardClaimedBy`]: null },
+    {
+      $set: {
+        [`stages.${stageIndex}.rewardClaimedBy`]: userId,
+        [`stages.${stageIndex}.rewardClaimedAt`]: new Date()
+      }
+    },
+    { new: true, session, projection: { _id: 1 } }
+  );
+};
+
+// Instance method to find which accepted answer a submission matches (-1 if none)
+puzzleSchema.methods.matchAnswer = async function(answer) {
+  if (this.answerHashes && this.answerHashes.length > 0) {
+    return answers.matchAnswer(answers.normalizeAnswer(answer, this.answerPolicy), this.answerHashes);
+  }
+
+  // Puzzles created before answers were hashed that have not been migrated yet
+  if (this.answer) {
+    return answers.legacyNormalize(answer) === answers.legacyNormalize(this.answer) ? 0 : -1;
+  }
+
+  throw new Error('Answers must be selected to check an answer');
+};
+
+// Instance method to decrypt the inheritance with a correct answer, using
+// the key slot of the accepted answer it matched
+puzzleSchema.methods.unsealInheritance = async function(answer, answerIndex = null) {
+  if (this.sealedInheritance) {
+    const key = this.answerHashes && this.answerHashes.length > 0
+      ? answers.normalizeAnswer(answer, this.answerPolicy)
+      : answers.legacyNormalize(answer);
+    return encryption.open(this.sealedInheritance, key, answerIndex);
+  }
+
+  // Puzzles created before encryption that have not been migrated yet
+  return this.inheritance || null;
+};
+
+// Instance method to build an attempt record
+puzzleSchema.methods.buildAttempt = function(userId, answer, ipAddress, isCorrect, stage = null) {
+  return {
     userId,
-    answer: answer.trim(),
+    answer: isCorrect ? undefined : answer.trim(),
     isCorrect,
+    stage,
     ipAddress,
     attemptedAt: new Date()
   };
-  
-  this.attempts.push(attempt);
-  this.analytics.totalAttempts = this.attempts.length;
-  
-  if (isCorrect && !this.solved) {
-    this.solved = true;
-    this.solverInfo = {
-      solverId: userId,
-      solvedAt: new Date(),
-      attempts: this.attempts.filter(a => a.userId.toString() === userId.toString()).length
-    };
+};
+
+// Instance method to count a user's attempts (including a pending one)
+puzzleSchema.methods.countAttempts = function(userId) {
+  return this.attempts.filter(a => a.userId.toString() === userId.toString()).length;
+};
+
+// Instance method to check whether a user is a linked heir
+puzzleSchema.methods.isHeir = function(userId) {
+  if (!this.isSelected('heirs')) {
+    throw new Error('Heirs must be selected to check inheritance access');
   }
-  
-  return { isCorrect, attempt };
+  return this.heirs.some(heir => heir.userId && heir.userId.toString() === userId.toString());
+};
+
+// Instance method to list heirs without their invitation secrets
+puzzleSchema.methods.getHeirSummary = function() {
+  return this.heirs.map(heir => ({
+    _id: heir._id,
+    email: heir.email,
+    userId: heir.userId,
+    status: heir.status,
+    invitedAt: heir.invitedAt,
+    linkedAt: heir.linkedAt
+  }));
+};
+
+// Instance method to check whether a solver may unlock the inheritance.
+// Puzzles without designated heirs release it to whoever solves them.
+puzzleSchema.methods.canUnlockInheritance = function(userId) {
+  if (!this.isSelected('heirs')) {
+    throw new Error('Heirs must be selected to check inheritance access');
+  }
+  return this.heirs.length === 0 || this.isHeir(userId);
+};
+
+// Instance method to check whether the inheritance was already released to a user
+puzzleSchema.methods.hasReleasedInheritanceTo = function(userId) {
+  return this.inheritanceReleases.some(release => release.userId.toString() === userId.toString());
+};
+
+// Instance method to find a user's recorded unlock of a hint
+puzzleSchema.methods.getHintUnlock = function(userId, hintIndex) {
+  if (this.hintUnlocks === undefined) {
+    throw new Error('Hint unlocks must be selected to check hint access');
+  }
+
+  return this.hintUnlocks.find(unlock =>
+    unlock.userId.toString() === userId.toString() && unlock.hintIndex === hintIndex
+  ) || null;
+};
+
+// Instance method to get why a hint is unlocked without paying (null if it is not)
+puzzleSchema.methods.getFreeHintUnlock = function(hint, failedAttempts, now = new Date()) {
+  const gated = hint.unlockAfterAttempts || hint.unlockAt || hint.price;
+  if (!gated) return 'free';
+  if (hint.unlockAfterAttempts && failedAttempts >= hint.unlockAfterAttempts) return 'attempts';
+  if (hint.unlockAt && now >= hint.unlockAt) return 'date';
+  return null;
+};
+
+// Static method to record a hint unlock once per user and hint
+puzzleSchema.statics.recordHintUnlock = function(puzzleId, unlock, session = null) {
+  return this.findOneAndUpdate(
+    {
+      _id: puzzleId,
+      hintUnlocks: { $not: { $elemMatch: { userId: unlock.userId, hintIndex: unlock.hintIndex } } }
+    },
+    { $push: { hintUnlocks: { ...unlock, unlockedAt: new Date() } } },
+    { new: true, session, projection: { _id: 1 } }
+  );
+};
+
+// Static method to record that the inheritance was released to a user
+puzzleSchema.statics.recordInheritanceRelease = function(puzzleId, userId, session = null) {
+  return this.updateOne(
+    { _id: puzzleId, 'inheritanceReleases.userId': { $ne: userId } },
+    { $push: { inheritanceReleases: { userId, releasedAt: new Date() } } },
+    { session }
+  );
+};
+
+// Static method to record an attempt without touching the rest of the document
+puzzleSchema.statics.recordAttempt = function(puzzleId, attempt, session = null) {
+  return this.findByIdAndUpdate(
+    puzzleId,
+    {
+      $push: { attempts: attempt },
+      $inc: { 'analytics.totalAttempts': 1 }
+    },
+    { new: true, session }
+  );
+};
+
+// Static method to atomically claim an unsolved puzzle for a solver.
+// Returns null if someone else solved it first.
+puzzleSchema.statics.claimSolve = function(puzzleId, solverInfo, attempt, session = null) {
+  return this.findOneAndUpdate(
+    { _id: puzzleId, solved: false, status: 'active' },
+    {
+      $set: {
+        solved: true,
+        solverInfo,
+        'payment.payoutProcessed': true
+      },
+      $push: { attempts: attempt },
+      $inc: { 'analytics.totalAttempts': 1 }
+    },
+    { new: true, session }
+  );
 };
 
 // Instance method to add view
@@ -257,13 +810,34 @@ puzzleSchema.methods.incrementShares = function() {
   return this.save();
 };
 
+// Static method to get the filter for publicly visible puzzles
+// (posthumous puzzles stay hidden until they are activated)
+puzzleSchema.statics.visibleFilter = function() {
+  return {
+    $or: [
+      { posthumous: { $ne: true } },
+      { activatedAt: { $ne: null } }
+    ]
+  };
+};
+
+// Instance method to check whether the puzzle is publicly visible
+puzzleSchema.methods.isVisible = function() {
+  return !this.posthumous || !!this.activatedAt;
+};
+
 // Static method to find active puzzles
 puzzleSchema.statics.findActive = function(filters = {}) {
   return this.find({
     status: 'active',
-    $or: [
-      { expiresAt: null },
-      { expiresAt: { $gt: new Date() } }
+    $and: [
+      {
+        $or: [
+          { expiresAt: null },
+          { expiresAt: { $gt: new Date() } }
+        ]
+      },
+      this.visibleFilter()
     ],
     ...filters
   });
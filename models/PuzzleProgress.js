@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// A solver's progress through the stages of a multi-stage puzzle
+const puzzleProgressSchema = new mongoose.Schema({
+  puzzleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Puzzle',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Index of the stage the solver is working on; equal to the number of
+  // intermediate stages once only the final answer is left
+  currentStage: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  completedStages: [{
+    stage: {
+      type: Number,
+      required: true
+    },
+    completedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Clue for the next stage, revealed by this stage's answer
+    revealedClue: {
+      type: String,
+      required: true
+    },
+    reward: {
+      type: Number,
+      default: 0
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null
+    }
+  }],
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+puzzleProgressSchema.index({ puzzleId: 1, userId: 1 }, { unique: true });
+puzzleProgressSchema.index({ userId: 1, updatedAt: -1 });
+
+// Instance method to get the clue for the stage the solver is on
+puzzleProgressSchema.methods.getCurrentClue = function(firstClue) {
+  if (this.completedStages.length === 0) return firstClue;
+  return this.completedStages[this.completedStages.length - 1].revealedClue;
+};
+
+// Static method to get a solver's progress, starting it if needed
+puzzleProgressSchema.statics.findOrStart = function(puzzleId, userId) {
+  return this.findOneAndUpdate(
+    { puzzleId, userId },
+    { $setOnInsert: { puzzleId, userId } },
+    { new: true, upsert: true }
+  );
+};
+
+// Static method to advance a solver past a stage. Returns null if the
+// solver is no longer on that stage (e.g. a concurrent submission won).
+puzzleProgressSchema.statics.completeStage = function(progressId, stage, completion, session = null) {
+  return this.findOneAndUpdate(
+    { _id: progressId, currentStage: stage },
+    {
+      $inc: { currentStage: 1 },
+      $push: { completedStages: { stage, completedAt: new Date(), ...completion } }
+    },
+    { new: true, session }
+  );
+};
+
+module.exports = mongoose.model('PuzzleProgress', puzzleProgressSchema);
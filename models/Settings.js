@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+const feeField = (defaultValue, label) => ({
+  type: Number,
+  default: defaultValue,
+  min: [0, `${label} cannot be negative`]
+});
+
+const perMethod = (stripe, solana, bitcoin, label) => ({
+  stripe: feeField(stripe, label),
+  solana: feeField(solana, label),
+  bitcoin: feeField(bitcoin, label)
+});
+
+const confirmationField = (defaultValue) => ({
+  type: Number,
+  default: defaultValue,
+  min: [1, 'At least 1 confirmation is required'],
+  max: [100, 'Cannot require more than 100 confirmations']
+});
+
+// Trial of a disabled feature: listed users and a stable percentage of
+// accounts still get it
+const rolloutField = () => ({
+  userIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  percentage: {
+    type: Number,
+    default: 0,
+    min: [0, 'Rollout percentage cannot be negative'],
+    max: [100, 'Rollout percentage cannot exceed 100']
+  }
+});
+
+// Platform settings. Every change is saved as a new version so the history
+// of fees and limits is kept; the highest version is the current one.
+const settingsSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    min: 0 // Version 0 is the built-in defaults, never saved
+  },
+  platformFees: {
+    adminFee: feeField(1, 'Admin fee'),
+    hintPlatformShare: {
+      type: Number,
+      default: 0.2,
+      min: [0, 'Hint platform share cannot be negative'],
+      max: [1, 'Hint platform share cannot exceed 100%']
+    },
+    withdrawalFees: perMethod(2.5, 2.5, 5, 'Withdrawal fee')
+  },
+  // Defaults are the limits the payment routes enforced before they moved here
+  limits: {
+    minDeposit: feeField(1, 'Minimum deposit'),
+    maxDeposit: feeField(5000, 'Maximum deposit'),
+    minWithdrawal: perMethod(10, 10, 25, 'Minimum withdrawal'),
+    maxWithdrawal: feeField(10000, 'Maximum withdrawal'),
+    puzzleValue: {
+      min: feeField(1, 'Minimum puzzle value'),
+      max: feeField(10000, 'Maximum puzzle value')
+    }
+  },
+  features: {
+    registrationEnabled: { type: Boolean, default: true },
+    puzzleCreationEnabled: { type: Boolean, default: true },
+    depositsEnabled: { type: Boolean, default: true },
+    withdrawalsEnabled: { type: Boolean, default: true },
+    maintenanceMode: { type: Boolean, default: false }
+  },
+  // Refunds and withdrawals above these amounts wait for a second admin
+  approvals: {
+    refundThreshold: feeField(1000, 'Refund approval threshold'),
+    withdrawalThreshold: feeField(2500, 'Withdrawal approval threshold'),
+    expiryHours: {
+      type: Number,
+      default: 48,
+      min: [1, 'Approvals must stay open for at least 1 hour'],
+      max: [720, 'Approvals cannot stay open for more than 30 days']
+    }
+  },
+  // Confirmations a Bitcoin deposit needs before it is credited. Deposits
+  // from the medium and large thresholds up wait for more blocks.
+  confirmations: {
+    bitcoin: {
+      small: confirmationField(1),
+      medium: confirmationField(3),
+      large: confirmationField(6),
+      mediumThreshold: feeField(1000, 'Medium deposit threshold'),
+      largeThreshold: feeField(10000, 'Large deposit threshold')
+    }
+  },
+  // Registration has no account to roll out to, so only the global flag applies
+  rollouts: {
+    puzzleCreationEnabled: rolloutField(),
+    depositsEnabled: rolloutField(),
+    withdrawalsEnabled: rolloutField()
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  changes: [{
+    path: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: true
+});
+
+// A unique version makes concurrent updates fail instead of overwriting each other
+settingsSchema.index({ version: -1 }, { unique: true });
+
+// Pre-validate middleware to keep ranges consistent
+settingsSchema.pre('validate', function(next) {
+  if (this.limits.minDeposit > this.limits.maxDeposit) {
+    return next(new Error('Minimum deposit cannot exceed maximum deposit'));
+  }
+  if (this.limits.puzzleValue.min > this.limits.puzzleValue.max) {
+    return next(new Error('Minimum puzzle value cannot exceed maximum puzzle value'));
+  }
+  if (this.confirmations.bitcoin.mediumThreshold > this.confirmations.bitcoin.largeThreshold) {
+    return next(new Error('Medium deposit threshold cannot exceed large deposit threshold'));
+  }
+  for (const method of ['stripe', 'solana', 'bitcoin']) {
+    if (this.limits.minWithdrawal[method] > this.limits.maxWithdrawal) {
+      return next(new Error(`Minimum ${method} withdrawal cannot exceed maximum withdrawal`));
+    }
+  }
+  next();
+});
+
+// Static method to get the current settings (defaults if none were saved yet)
+settingsSchema.statics.getCurrent = async function() {
+  const current = await this.findOne().sort({ version: -1 });
+  return current || new this({ version: 0 });
+};
+
+// Static method to get the change history
+settingsSchema.statics.getHistory = function(limit = 20, offset = 0) {
+  return this.find()
+    .sort({ version: -1 })
+    .skip(offset)
+    .limit(limit)
+    .populate('updatedBy', 'profile.firstName profile.lastName email');
+};
+
+module.exports = mongoose.model('Settings', settingsSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const splTokens = require('../utils/splTokens');
 
 const transactionSchema = new mongoose.Schema({
   transactionId: {
@@ -9,33 +10,33 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['puzzle_creation', 'puzzle_solve', 'deposit', 'withdrawal', 'admin_fee', 'refund'],
+    enum: ['puzzle_creation', 'puzzle_solve', 'hint_purchase', 'deposit', 'withdrawal', 'admin_fee', 'refund'],
     required: true
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded'],
+    enum: ['pending', 'completed', 'failed', 'cancelled', 'refunded', 'disputed'],
     default: 'pending'
   },
   fromUserId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: function() {
-      return ['puzzle_creation', 'puzzle_solve', 'withdrawal'].includes(this.type);
+      return ['puzzle_creation', 'puzzle_solve', 'hint_purchase', 'withdrawal'].includes(this.type);
     }
   },
   toUserId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: function() {
-      return ['puzzle_solve', 'deposit'].includes(this.type);
+      return ['puzzle_solve', 'hint_purchase', 'deposit'].includes(this.type);
     }
   },
   puzzleId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Puzzle',
     required: function() {
-      return ['puzzle_creation', 'puzzle_solve'].includes(this.type);
+      return ['puzzle_creation', 'puzzle_solve', 'hint_purchase'].includes(this.type);
     }
   },
   amount: {
@@ -49,9 +50,15 @@ const transactionSchema = new mongoose.Schema({
         type: Number,
         default: 0
       },
+      // Native coins and the configured SPL tokens
       currency: {
         type: String,
-        enum: ['SOL', 'BTC', 'ETH'],
+        enum: ['SOL', 'BTC', 'ETH', ...splTokens.symbols()],
+        default: null
+      },
+      // SPL token mint, for token amounts
+      mint: {
+        type: String,
         default: null
       },
       exchangeRate: {
@@ -93,6 +100,17 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  journalEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+    default: null
+  },
+  // Approval request this refund or withdrawal was carried out for
+  approvalRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApprovalRequest',
+    default: null
+  },
   metadata: {
     ipAddress: String,
     userAgent: String,
@@ -103,6 +121,47 @@ const transactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: null
   },
+  // Lifecycle of a withdrawal: funds are reserved, the payout is broadcast
+  // to the provider, then confirmed (or failed and the reservation released)
+  withdrawal: {
+    state: {
+      type: String,
+      enum: ['reserved', 'broadcasting', 'broadcast', 'confirmed', 'failed'],
+      default: undefined
+    },
+    destination: String,
+    reservationEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry',
+      default: null
+    },
+    settlementEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JournalEntry',
+      default: null
+    },
+    broadcastAt: {
+      type: Date,
+      default: null
+    },
+    confirmedAt: {
+      type: Date,
+      default: null
+    },
+    lastCheckedAt: {
+      type: Date,
+      default: null
+    },
+    checks: {
+      type: Number,
+      default: 0
+    },
+    // Lease held by whoever is advancing the withdrawal
+    lockedUntil: {
+      type: Date,
+      default: null
+    }
+  },
   processedAt: {
     type: Date,
     default: null
@@ -110,6 +169,41 @@ const transactionSchema = new mongoose.Schema({
   failureReason: {
     type: String,
     default: null
+  },
+  // Progress of a crypto deposit towards the confirmation depth it needs,
+  // and the block it was credited in so a reorg can be caught afterwards
+  confirmation: {
+    state: {
+      type: String,
+      enum: ['seen', 'confirming', 'confirmed', 'reorged'],
+      default: undefined
+    },
+    txHash: String,
+    confirmations: Number,
+    required: Number,
+    blockHeight: Number,
+    blockHash: String,
+    seenAt: Date,
+    confirmedAt: Date,
+    lastCheckedAt: Date
+  },
+  // Part of a card deposit refunded from the Stripe dashboard
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Chargeback raised against a card deposit
+  dispute: {
+    disputeId: String,
+    status: String,
+    reason: String,
+    amount: Number,
+    openedAt: Date,
+    closedAt: Date,
+    // Taken back from the user's wallet when the dispute was lost, and the
+    // part the platform absorbed because the wallet could not cover it
+    clawedBack: Number,
+    shortfall: Number
   }
 }, {
   timestamps: true,
@@ -126,10 +220,16 @@ transactionSchema.index({ type: 1 });
 transactionSchema.index({ 'paymentMethod.type': 1 });
 transactionSchema.index({ externalTransactionId: 1 });
 transactionSchema.index({ blockchainTxHash: 1 });
+transactionSchema.index({ journalEntryId: 1 });
+transactionSchema.index({ approvalRequestId: 1 });
+transactionSchema.index({ 'dispute.disputeId': 1 }, { sparse: true });
+transactionSchema.index({ 'paymentMethod.details.reference': 1 }, { sparse: true });
 
 // Compound indexes
 transactionSchema.index({ type: 1, status: 1, createdAt: -1 });
 transactionSchema.index({ fromUserId: 1, type: 1, status: 1 });
+transactionSchema.index({ 'withdrawal.state': 1, 'withdrawal.lockedUntil': 1 });
+transactionSchema.index({ 'paymentMethod.type': 1, 'confirmation.state': 1, 'confirmation.blockHeight': 1 });
 
 // Virtual for total amount including fees
 transactionSchema.virtual('totalAmount').get(function() {
@@ -141,6 +241,9 @@ transactionSchema.virtual('netAmount').get(function() {
   if (this.type === 'puzzle_solve') {
     return this.amount.usd; // Solver gets full amount
   }
+  if (this.type === 'hint_purchase') {
+    return this.amount.usd; // Creator's share; the platform's share is the admin fee
+  }
   return this.amount.usd - this.fees.adminFee - this.fees.processingFee - this.fees.networkFee;
 });
 
@@ -150,8 +253,8 @@ transactionSchema.virtual('processingTime').get(function() {
   return this.processedAt.getTime() - this.createdAt.getTime();
 });
 
-// Pre-save middleware to generate transaction ID
-transactionSchema.pre('save', function(next) {
+// Pre-validate middleware to generate transaction ID (runs before the required check)
+transactionSchema.pre('validate', function(next) {
   if (!this.transactionId) {
     const timestamp = Date.now().toString(36);
     const random = Math.random().toString(36).substring(2, 8);
@@ -160,13 +263,18 @@ transactionSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to mark as completed
-transactionSchema.methods.markCompleted = function(externalTxId = null, blockchainTxHash = null) {
+// Instance method to set completion fields without saving (for ledger postings)
+transactionSchema.methods.setCompleted = function(externalTxId = null, blockchainTxHash = null) {
   this.status = 'completed';
   this.processedAt = new Date();
   if (externalTxId) this.externalTransactionId = externalTxId;
   if (blockchainTxHash) this.blockchainTxHash = blockchainTxHash;
-  return this.save();
+  return this;
+};
+
+// Instance method to mark as completed
+transactionSchema.methods.markCompleted = function(externalTxId = null, blockchainTxHash = null) {
+  return this.setCompleted(externalTxId, blockchainTxHash).save();
 };
 
 // Instance method to mark as failed
@@ -188,13 +296,14 @@ transactionSchema.methods.addWebhookData = function(data) {
 };
 
 // Static method to create puzzle creation transaction
-transactionSchema.statics.createPuzzleCreation = function(userId, puzzleId, amount, paymentMethod) {
+transactionSchema.statics.createPuzzleCreation = function(userId, puzzleId, amount, paymentMethod, adminFee = 1) {
   return new this({
+    transactionId: this.generateTransactionId(), // Needed up front for the related admin fee
     type: 'puzzle_creation',
     fromUserId: userId,
     puzzleId,
     amount: { usd: amount },
-    fees: { adminFee: 1 },
+    fees: { adminFee },
     paymentMethod,
     metadata: {
       description: `Puzzle creation payment for puzzle ${puzzleId}`
@@ -218,6 +327,39 @@ transactionSchema.statics.createPuzzleSolve = function(fromUserId, toUserId, puz
   });
 };
 
+// Static method to create stage reward transaction (multi-stage puzzles)
+transactionSchema.statics.createStageReward = function(fromUserId, toUserId, puzzleId, stageNumber, amount) {
+  return new this({
+    type: 'puzzle_solve',
+    fromUserId, // Creator escrowed the stage reward
+    toUserId,   // First solver of the stage receives it
+    puzzleId,
+    amount: { usd: amount },
+    fees: { adminFee: 0 },
+    paymentMethod: { type: 'internal', details: { source: 'stage_reward' } },
+    metadata: {
+      description: `Stage ${stageNumber} reward payment for puzzle ${puzzleId}`
+    }
+  });
+};
+
+// Static method to create hint purchase transaction
+transactionSchema.statics.createHintPurchase = function(buyerId, creatorId, puzzleId, hintNumber, creatorShare, platformFee) {
+  return new this({
+    transactionId: this.generateTransactionId(), // Needed up front for the related admin fee
+    type: 'hint_purchase',
+    fromUserId: buyerId,   // Solver pays for the hint
+    toUserId: creatorId,   // Creator receives their share
+    puzzleId,
+    amount: { usd: creatorShare },
+    fees: { adminFee: platformFee },
+    paymentMethod: { type: 'internal', details: { source: 'wallet_balance' } },
+    metadata: {
+      description: `Hint ${hintNumber} purchase for puzzle ${puzzleId}`
+    }
+  });
+};
+
 // Static method to create admin fee transaction
 transactionSchema.statics.createAdminFee = function(fromUserId, amount, relatedTransactionId) {
   return new this({
@@ -276,13 +418,18 @@ transactionSchema.statics.createDeposit = function(userId, amount, paymentMethod
 };
 
 // Static method to create withdrawal transaction
-transactionSchema.statics.createWithdrawal = function(userId, amount, paymentMethod) {
+transactionSchema.statics.createWithdrawal = function(userId, amount, paymentMethod, withdrawalFee) {
   return new this({
+    transactionId: this.generateTransactionId(), // Used as the provider idempotency key
     type: 'withdrawal',
     fromUserId: userId,
     amount: { usd: amount },
-    fees: { processingFee: 2.50 }, // Flat withdrawal fee
+    fees: { adminFee: 0, processingFee: withdrawalFee },
     paymentMethod,
+    withdrawal: {
+      state: 'reserved',
+      destination: paymentMethod.details.destination
+    },
     metadata: {
       description: `Wallet withdrawal to ${paymentMethod.type}`
     }
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// A payment received on-chain that could not be matched to a deposit, e.g.
+// sent without the deposit's reference key or memo, or for the wrong amount.
+// Kept for an admin to review and settle by hand.
+const unclaimedDepositSchema = new mongoose.Schema({
+  chain: {
+    type: String,
+    enum: ['solana'],
+    required: true
+  },
+  txHash: {
+    type: String,
+    required: true
+  },
+  // Platform address or token account that received the payment
+  address: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  mint: {
+    type: String,
+    default: null
+  },
+  sender: {
+    type: String,
+    default: null
+  },
+  blockTime: {
+    type: Date,
+    default: null
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  // Deposit the payment referenced but failed verification for, if any
+  depositTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending_review', 'resolved', 'dismissed'],
+    default: 'pending_review'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+unclaimedDepositSchema.index({ chain: 1, txHash: 1 }, { unique: true });
+unclaimedDepositSchema.index({ status: 1, createdAt: -1 });
+
+// Static method to record a payment for review; a payment already recorded
+// is left as it is
+unclaimedDepositSchema.statics.record = async function(fields) {
+  try {
+    return await this.create(fields);
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('UnclaimedDeposit', unclaimedDepositSchema);
@@ -100,6 +100,52 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  stripeCustomerId: {
+    type: String,
+    default: null
+  },
+  // Stripe Connect Express account that card withdrawals are paid out to.
+  // Kept in sync from account.updated webhooks.
+  stripeConnect: {
+    accountId: {
+      type: String,
+      default: null
+    },
+    detailsSubmitted: {
+      type: Boolean,
+      default: false
+    },
+    chargesEnabled: {
+      type: Boolean,
+      default: false
+    },
+    payoutsEnabled: {
+      type: Boolean,
+      default: false
+    },
+    capabilities: {
+      transfers: {
+        type: String,
+        enum: ['active', 'inactive', 'pending'],
+        default: 'inactive'
+      }
+    },
+    requirements: {
+      currentlyDue: [String],
+      disabledReason: {
+        type: String,
+        default: null
+      }
+    },
+    onboardedAt: {
+      type: Date,
+      default: null
+    },
+    syncedAt: {
+      type: Date,
+      default: null
+    }
+  },
   security: {
     lastLogin: {
       type: Date,
@@ -120,7 +166,27 @@ const userSchema = new mongoose.Schema({
     twoFactorSecret: {
       type: String,
       select: false
-    }
+    },
+    // Set when the account does something that looks like fraud, e.g.
+    // submitting a payment that already funded another deposit
+    suspectedFraud: {
+      type: Boolean,
+      default: false
+    },
+    fraudFlags: [{
+      reason: {
+        type: String,
+        required: true
+      },
+      details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+      },
+      flaggedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   },
   preferences: {
     emailNotifications: {
@@ -137,6 +203,55 @@ const userSchema = new mongoose.Schema({
       default: 'USD'
     }
   },
+  checkIn: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    intervalDays: {
+      type: Number,
+      default: 30,
+      min: [1, 'Check-in interval must be at least 1 day'],
+      max: [365, 'Check-in interval cannot exceed 365 days']
+    },
+    reminderLeadDays: {
+      type: Number,
+      default: 7,
+      min: [0, 'Reminder lead time cannot be negative'],
+      max: [30, 'Reminder lead time cannot exceed 30 days']
+    },
+    gracePeriodDays: {
+      type: Number,
+      default: 14,
+      min: [1, 'Grace period must be at least 1 day'],
+      max: [90, 'Grace period cannot exceed 90 days']
+    },
+    state: {
+      type: String,
+      enum: ['active', 'reminded', 'grace', 'triggered'],
+      default: 'active'
+    },
+    lastCheckInAt: {
+      type: Date,
+      default: null
+    },
+    nextDueAt: {
+      type: Date,
+      default: null
+    },
+    remindersSent: {
+      type: Number,
+      default: 0
+    },
+    lastReminderAt: {
+      type: Date,
+      default: null
+    },
+    triggeredAt: {
+      type: Date,
+      default: null
+    }
+  },
   status: {
     type: String,
     enum: ['active', 'suspended', 'banned'],
@@ -169,6 +284,8 @@ userSchema.index({ email: 1 });
 userSchema.index({ 'security.lastLogin': -1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ role: 1 });
+userSchema.index({ 'checkIn.enabled': 1, 'checkIn.state': 1, 'checkIn.nextDueAt': 1 });
+userSchema.index({ 'stripeConnect.accountId': 1 });
 
 // Virtual for full name
 userSchema.virtual('profile.fullName').get(function() {
@@ -271,6 +388,12 @@ userSchema.methods.addPaymentMethod = function(type, details, isDefault = false)
   return this.save();
 };
 
+// Instance method to check if card withdrawals can be paid out to the user
+userSchema.methods.canReceiveStripePayouts = function() {
+  const connect = this.stripeConnect;
+  return Boolean(connect?.accountId && connect.payoutsEnabled && connect.capabilities?.transfers === 'active');
+};
+
 // Instance method to remove payment method
 userSchema.methods.removePaymentMethod = function(methodId) {
   const methodIndex = this.paymentMethods.findIndex(method => method.id === methodId);
@@ -289,22 +412,43 @@ userSchema.methods.removePaymentMethod = function(methodId) {
   return this.save();
 };
 
-// Instance method to update wallet balance
-userSchema.methods.updateBalance = function(amount, type = 'usd') {
-  if (type === 'usd') {
-    this.wallet.balance += amount;
-    if (amount > 0) {
-      this.wallet.totalEarnings += amount;
-    } else {
-      this.wallet.totalSpent += Math.abs(amount);
-    }
-  } else if (type === 'solana') {
-    this.wallet.cryptoBalances.solana += amount;
-  } else if (type === 'bitcoin') {
-    this.wallet.cryptoBalances.bitcoin += amount;
+// Static method to apply a ledger posting to a user's wallet projection.
+// Only the ledger service should call this; negative deltas are guarded so
+// the balance can never go below zero, even under concurrent postings.
+userSchema.statics.applyBalanceDelta = async function(userId, amount, session = null) {
+  const filter = { _id: userId };
+  const update = { $inc: { 'wallet.balance': amount } };
+
+  if (amount > 0) {
+    update.$inc['wallet.totalEarnings'] = amount;
+  } else {
+    update.$inc['wallet.totalSpent'] = Math.abs(amount);
+    filter['wallet.balance'] = { $gte: Math.abs(amount) };
   }
-  
-  return this.save();
+
+  const user = await this.findOneAndUpdate(filter, update, {
+    new: true,
+    session,
+    projection: { wallet: 1 }
+  });
+
+  if (!user) {
+    const exists = await this.exists({ _id: userId }).session(session);
+    throw new Error(exists ? 'Insufficient balance' : 'User not found');
+  }
+
+  return user.wallet;
+};
+
+// Static method to flag an account for suspected fraud
+userSchema.statics.flagSuspectedFraud = function(userId, reason, details = null) {
+  return this.updateOne(
+    { _id: userId },
+    {
+      $set: { 'security.suspectedFraud': true },
+      $push: { 'security.fraudFlags': { reason, details, flaggedAt: new Date() } }
+    }
+  );
 };
 
 // Static method to find by email
@@ -328,9 +472,6 @@ userSchema.statics.createAdmin = async function(email, password, firstName, last
       lastName,
       bio: 'System Administrator'
     },
-    wallet: {
-      balance: 10000 // Admin starts with $10,000
-    },
     emailVerified: true,
     status: 'active'
   });
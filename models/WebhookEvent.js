@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// How long an event may be processing before a redelivery can take it over
+const LOCK_MS = 5 * 60 * 1000;
+// Providers stop redelivering after a few days, so older events can go
+const RETENTION_DAYS = 30;
+
+// A webhook event received from a payment provider. Storing the event id
+// lets redeliveries of an event that was already processed be skipped.
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    enum: ['stripe'],
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // What the handler did with the event
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, type: 1, createdAt: -1 });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to start processing an event. Returns null if the event was
+// already processed or another delivery of it is still being processed.
+webhookEventSchema.statics.begin = async function(provider, event, now = new Date()) {
+  const lockedUntil = new Date(now.getTime() + LOCK_MS);
+
+  try {
+    return await this.create({
+      eventId: event.id,
+      provider,
+      type: event.type,
+      lockedUntil,
+      expiresAt: new Date(now.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Seen before: retry it if it failed or its processing died
+  return this.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedUntil, error: null },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Instance method to record a processed event
+webhookEventSchema.methods.markProcessed = function(result = null) {
+  this.status = 'processed';
+  this.result = result;
+  this.lockedUntil = null;
+  this.processedAt = new Date();
+  return this.save();
+};
+
+// Instance method to record a failed event so a redelivery retries it
+webhookEventSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.error = error.message;
+  this.lockedUntil = null;
+  return this.save();
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -2,6 +2,18 @@ const express = require('express');
 const User = require('../models/User');
 const Puzzle = require('../models/Puzzle');
 const Transaction = require('../models/Transaction');
+const Settings = require('../models/Settings');
+const AuditLog = require('../models/AuditLog');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const UnclaimedDeposit = require('../models/UnclaimedDeposit');
+const ledger = require('../services/ledger');
+const escrow = require('../services/escrow');
+const settingsService = require('../services/settings');
+const audit = require('../services/audit');
+const approvals = require('../services/approvals');
+const refunds = require('../services/refunds');
+const withdrawals = require('../services/withdrawals');
+const { runInTransaction } = require('../utils/db');
 const { protect, restrictTo } = require('../middleware/auth');
 const { body, param, query, validationResult } = require('express-validator');
 
@@ -122,7 +134,11 @@ router.get('/users', [
     .optional()
     .trim()
     .isLength({ min: 1, max: 100 })
-    .withMessage('Search term must be between 1 and 100 characters')
+    .withMessage('Search term must be between 1 and 100 characters'),
+  query('suspectedFraud')
+    .optional()
+    .isBoolean()
+    .withMessage('suspectedFraud must be true or false')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -139,12 +155,14 @@ router.get('/users', [
       limit = 20,
       status,
       role,
-      search
+      search,
+      suspectedFraud
     } = req.query;
 
     const query = {};
     if (status) query.status = status;
     if (role) query.role = role;
+    if (suspectedFraud !== undefined) query['security.suspectedFraud'] = suspectedFraud === 'true';
 
     if (search) {
       query.$or = [
@@ -276,6 +294,7 @@ router.patch('/users/:id/status', [
       });
     }
 
+    const oldStatus = user.status;
     user.status = status;
     if (reason) {
       user.adminNotes = user.adminNotes || [];
@@ -289,6 +308,14 @@ router.patch('/users/:id/status', [
 
     await user.save();
 
+    await audit.record(req, {
+      action: 'user.status.update',
+      target: { type: 'user', id: user._id },
+      before: { status: oldStatus },
+      after: { status },
+      reason
+    });
+
     res.status(200).json({
       status: 'success',
       message: 'User status updated successfully',
@@ -303,6 +330,14 @@ router.patch('/users/:id/status', [
     });
 
   } catch (error) {
+    await audit.recordFailure(req, {
+      action: 'user.status.update',
+      target: { type: 'user', id: req.params.id },
+      reason: req.body.reason,
+      error,
+      metadata: { status: req.body.status }
+    });
+
     console.error('Update user status error:', error);
     res.status(500).json({
       status: 'error',
@@ -311,6 +346,62 @@ router.patch('/users/:id/status', [
   }
 });
 
+// Reconcile a user's wallet against the ledger
+router.post('/users/:id/reconcile', [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('apply')
+    .optional()
+    .isBoolean()
+    .withMessage('Apply must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reconciliation = await ledger.reconcileUser(req.params.id, {
+      apply: req.body.apply === true || req.body.apply === 'true'
+    });
+
+    // Only a reconciliation that rewrote the wallet balance changes anything
+    if (reconciliation.applied) {
+      await audit.record(req, {
+        action: 'user.wallet.reconcile',
+        target: { type: 'user', id: req.params.id },
+        before: { wallet: { balance: reconciliation.walletBalance } },
+        after: { wallet: { balance: reconciliation.ledgerBalance } },
+        metadata: { drift: reconciliation.drift }
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        reconciliation
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    console.error('Reconcile user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while reconciling user balance'
+    });
+  }
+});
+
 // Get all puzzles with admin filters
 router.get('/puzzles', [
   query('page')
@@ -323,7 +414,7 @@ router.get('/puzzles', [
     .withMessage('Limit must be between 1 and 100'),
   query('status')
     .optional()
-    .isIn(['active', 'suspended', 'deleted'])
+    .isIn(['active', 'suspended', 'expired', 'deleted'])
     .withMessage('Invalid status'),
   query('solved')
     .optional()
@@ -427,6 +518,15 @@ router.patch('/puzzles/:id/status', [
     }
 
     const oldStatus = puzzle.status;
+
+    // Expired puzzles were refunded, so they cannot be reopened
+    if (oldStatus === 'expired' && status !== 'deleted') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Expired puzzles can only be deleted'
+      });
+    }
+
     puzzle.status = status;
 
     // Add admin note
@@ -438,7 +538,32 @@ router.patch('/puzzles/:id/status', [
       timestamp: new Date()
     });
 
-    await puzzle.save();
+    // Deleting an unsolved puzzle refunds its escrowed value to the creator
+    let refund = null;
+    if (status === 'deleted' && oldStatus !== 'deleted' && !puzzle.solved &&
+        puzzle.payment.escrow.status === 'funded') {
+      refund = await runInTransaction(async (session) => {
+        await puzzle.save({ session });
+        return escrow.refund(puzzle, {
+          reason: reason || 'Deleted by admin',
+          source: 'admin_puzzle_deletion',
+          session
+        });
+      });
+    } else {
+      await puzzle.save();
+    }
+
+    await audit.record(req, {
+      action: 'puzzle.status.update',
+      target: { type: 'puzzle', id: puzzle._id },
+      before: { status: oldStatus },
+      after: { status },
+      reason,
+      metadata: refund
+        ? { refundAmount: refund.amount, refundTransactionId: refund.transaction.transactionId }
+        : {}
+    });
 
     res.status(200).json({
       status: 'success',
@@ -449,11 +574,23 @@ router.patch('/puzzles/:id/status', [
           title: puzzle.title,
           status: puzzle.status,
           creatorId: puzzle.creatorId
+        },
+        refund: refund && {
+          amount: refund.amount,
+          transactionId: refund.transaction.transactionId
         }
       }
     });
 
   } catch (error) {
+    await audit.recordFailure(req, {
+      action: 'puzzle.status.update',
+      target: { type: 'puzzle', id: req.params.id },
+      reason: req.body.reason,
+      error,
+      metadata: { status: req.body.status }
+    });
+
     console.error('Update puzzle status error:', error);
     res.status(500).json({
       status: 'error',
@@ -462,6 +599,55 @@ router.patch('/puzzles/:id/status', [
   }
 });
 
+// Get escrow summary and locked funds
+router.get('/escrow', [
+  query('status')
+    .optional()
+    .isIn(['unfunded', 'funded', 'released', 'refunded'])
+    .withMessage('Invalid escrow status'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'funded', limit = 20 } = req.query;
+
+    const [summary, puzzles] = await Promise.all([
+      escrow.getSummary(),
+      Puzzle.find({ 'payment.escrow.status': status })
+        .populate('creatorId', 'profile.firstName profile.lastName email')
+        .select('title value status solved expiresAt payment.escrow createdAt')
+        .sort({ 'payment.escrow.amount': -1 })
+        .limit(parseInt(limit))
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        summary,
+        puzzles
+      }
+    });
+
+  } catch (error) {
+    console.error('Get escrow summary error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while fetching escrow summary'
+    });
+  }
+});
+
 // Get all transactions with admin filters
 router.get('/transactions', [
   query('page')
@@ -478,7 +664,7 @@ router.get('/transactions', [
     .withMessage('Invalid transaction type'),
   query('status')
     .optional()
-    .isIn(['pending', 'completed', 'failed', 'cancelled', 'refunded'])
+    .isIn(['pending', 'completed', 'failed', 'cancelled', 'refunded', 'disputed'])
     .withMessage('Invalid status'),
   query('userId')
     .optional()
@@ -580,52 +766,63 @@ router.post('/transactions/:id/refund', [
       });
     }
 
-    if (transaction.status !== 'completed') {
+    try {
+      await refunds.assertRefundable(transaction);
+    } catch (error) {
       return res.status(400).json({
         status: 'error',
-        message: 'Can only refund completed transactions'
+        message: error.message
       });
     }
 
-    // Create refund transaction
-    const refundTransaction = new Transaction({
-      type: 'refund',
-      fromUserId: transaction.toUserId?._id,
-      toUserId: transaction.fromUserId?._id,
-      puzzleId: transaction.puzzleId,
-      amount: transaction.amount,
-      fees: { adminFee: 0 },
-      paymentMethod: { type: 'internal', details: { source: 'admin_refund' } },
-      status: 'completed',
-      processedAt: new Date(),
-      metadata: {
-        description: `Admin refund for transaction ${transaction.transactionId}`,
-        reason,
-        originalTransactionId: transaction.transactionId,
-        adminId: req.user._id
-      }
-    });
+    // Large refunds wait for a second admin
+    if (await approvals.requiresApproval('refund', transaction.amount.usd)) {
+      const approval = await approvals.request('refund', {
+        amount: transaction.amount.usd,
+        requestedBy: req.user._id,
+        userId: transaction.fromUserId?._id,
+        transactionId: transaction._id,
+        reason
+      });
 
-    await refundTransaction.save();
+      await audit.record(req, {
+        action: 'approval.request',
+        target: { type: 'approval', id: approval._id },
+        reason,
+        changes: [],
+        metadata: {
+          type: 'refund',
+          transactionId: transaction.transactionId,
+          amount: transaction.amount.usd
+        }
+      });
 
-    // Update balances
-    if (transaction.fromUserId) {
-      await transaction.fromUserId.updateBalance(transaction.amount.usd);
-    }
-    if (transaction.toUserId) {
-      await transaction.toUserId.updateBalance(-transaction.amount.usd);
+      return res.status(202).json({
+        status: 'success',
+        message: 'Refund is waiting for approval by another admin',
+        data: {
+          approval
+        }
+      });
     }
 
-    // Mark original transaction as refunded
-    transaction.status = 'refunded';
-    transaction.metadata = {
-      ...transaction.metadata,
-      refundTransactionId: refundTransaction.transactionId,
-      refundReason: reason,
-      refundedBy: req.user._id,
-      refundedAt: new Date()
-    };
-    await transaction.save();
+    const { refundTransaction } = await refunds.refund(transaction, {
+      reason,
+      adminId: req.user._id
+    });
+
+    await audit.record(req, {
+      action: 'transaction.refund',
+      target: { type: 'transaction', id: transaction._id },
+      before: { status: 'completed' },
+      after: { status: transaction.status },
+      reason,
+      metadata: {
+        transactionId: transaction.transactionId,
+        refundTransactionId: refundTransaction.transactionId,
+        amount: transaction.amount.usd
+      }
+    });
 
     res.status(200).json({
       status: 'success',
@@ -637,6 +834,20 @@ router.post('/transactions/:id/refund', [
     });
 
   } catch (error) {
+    if (error.message === 'A refund for this transaction is already awaiting approval') {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    await audit.recordFailure(req, {
+      action: 'transaction.refund',
+      target: { type: 'transaction', id: req.params.id },
+      reason: req.body.reason,
+      error
+    });
+
     console.error('Process refund error:', error);
     res.status(500).json({
       status: 'error',
@@ -645,72 +856,107 @@ router.post('/transactions/:id/refund', [
   }
 });
 
-// Get platform settings
-router.get('/settings', async (req, res) => {
+// Replace a stuck Bitcoin withdrawal with one paying a higher fee (RBF)
+router.post('/withdrawals/:id/bump-fee', [
+  param('id').isMongoId().withMessage('Invalid transaction ID'),
+  body('feeRate')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Fee rate must be between 1 and 1000 sat/vB')
+    .toInt(),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
   try {
-    // In a real app, these would be stored in database
-    const settings = {
-      platformFees: {
-        adminFee: 1.00,
-        withdrawalFees: {
-          stripe: 2.50,
-          solana: 2.50,
-          bitcoin: 5.00
-        }
-      },
-      limits: {
-        minDeposit: 1.00,
-        maxDeposit: 10000.00,
-        minWithdrawal: {
-          stripe: 10.00,
-          solana: 10.00,
-          bitcoin: 25.00
-        },
-        maxWithdrawal: 50000.00,
-        puzzleValue: {
-          min: 1.00,
-          max: 10000.00
-        }
-      },
-      features: {
-        registrationEnabled: true,
-        puzzleCreationEnabled: true,
-        depositsEnabled: true,
-        withdrawalsEnabled: true,
-        maintenanceMode: false
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await withdrawals.bumpFee(req.params.id, req.body.feeRate || null);
+
+    await audit.record(req, {
+      action: 'withdrawal.bump_fee',
+      target: { type: 'transaction', id: result.transaction._id },
+      before: { blockchainTxHash: result.previousTxHash },
+      after: { blockchainTxHash: result.transaction.blockchainTxHash },
+      reason: req.body.reason,
+      metadata: {
+        feeRate: result.feeRate,
+        feeSats: result.feeSats
       }
-    };
+    });
 
     res.status(200).json({
       status: 'success',
+      message: `Withdrawal replaced at ${result.feeRate} sat/vB`,
       data: {
-        settings
+        transaction: result.transaction,
+        previousTxHash: result.previousTxHash
       }
     });
 
   } catch (error) {
-    console.error('Get settings error:', error);
+    if (error.message === 'Withdrawal not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    if (error.message.startsWith('Only ') || error.message.startsWith('Withdrawal is being processed')) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    if (/fee|replace-by-fee|Insufficient/i.test(error.message)) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    await audit.recordFailure(req, {
+      action: 'withdrawal.bump_fee',
+      target: { type: 'transaction', id: req.params.id },
+      error
+    });
+
+    console.error('Bump withdrawal fee error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Something went wrong while fetching settings'
+      message: 'Something went wrong while bumping the withdrawal fee'
     });
   }
 });
 
-// Update platform settings
-router.patch('/settings', [
-  body('platformFees.adminFee')
+// Get refunds and withdrawals waiting for (or past) approval
+router.get('/approvals', [
+  query('page')
     .optional()
-    .isFloat({ min: 0, max: 100 })
-    .withMessage('Admin fee must be between $0 and $100'),
-  body('features.registrationEnabled')
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
     .optional()
-    .isBoolean()
-    .withMessage('Registration enabled must be true or false'),
-  body('features.maintenanceMode')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
     .optional()
-    .isBoolean()
-    .withMessage('Maintenance mode must be true or false')
+    .isIn(['pending', 'approved', 'rejected', 'expired', 'executed', 'failed'])
+    .withMessage('Invalid status'),
+  query('type')
+    .optional()
+    .isIn(['refund', 'withdrawal'])
+    .withMessage('Invalid approval type')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -722,21 +968,770 @@ router.patch('/settings', [
       });
     }
 
-    // In a real app, you would update these in the database
-    // For now, just return success
+    const { page = 1, limit = 20, status = 'pending', type } = req.query;
+
+    // Don't show requests as pending once they can no longer be approved
+    await approvals.expire();
+
+    const query = { status };
+    if (type) query.type = type;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [requests, total] = await Promise.all([
+      ApprovalRequest.find(query)
+        .populate('requestedBy', 'profile.firstName profile.lastName email')
+        .populate('userId', 'profile.firstName profile.lastName email')
+        .populate('approvedBy rejectedBy', 'profile.firstName profile.lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ApprovalRequest.countDocuments(query)
+    ]);
+
     res.status(200).json({
       status: 'success',
-      message: 'Settings updated successfully',
+      results: requests.length,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      },
       data: {
-        updatedFields: Object.keys(req.body)
+        approvals: requests
       }
     });
 
   } catch (error) {
-    console.error('Update settings error:', error);
+    console.error('Get approvals error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Something went wrong while updating settings'
+      message: 'Something went wrong while fetching approvals'
+    });
+  }
+});
+
+// Approve a queued refund or withdrawal and carry it out
+router.post('/approvals/:id/approve', [
+  param('id').isMongoId().withMessage('Invalid approval ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const approval = await approvals.approve(req.params.id, req.user);
+
+    await audit.record(req, {
+      action: 'approval.approve',
+      target: { type: 'approval', id: approval._id },
+      before: { status: 'pending' },
+      after: { status: approval.status },
+      reason: approval.reason,
+      metadata: {
+        type: approval.type,
+        amount: approval.amount,
+        result: approval.result,
+        error: approval.error
+      }
+    });
+
+    if (approval.status === 'failed') {
+      return res.status(502).json({
+        status: 'error',
+        message: `Approved, but the ${approval.type} failed: ${approval.error}`,
+        data: {
+          approval
+        }
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Approved and ${approval.type} processed successfully`,
+      data: {
+        approval
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'Approval request not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    if (error.message === 'A different admin must approve this request') {
+      return res.status(403).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    if (error.message.startsWith('Approval request')) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    await audit.recordFailure(req, {
+      action: 'approval.approve',
+      target: { type: 'approval', id: req.params.id },
+      error
+    });
+
+    console.error('Approve request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while approving the request'
+    });
+  }
+});
+
+// Reject a queued refund or withdrawal
+router.post('/approvals/:id/reject', [
+  param('id').isMongoId().withMessage('Invalid approval ID'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Rejection reason is required and must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const approval = await approvals.reject(req.params.id, req.user, req.body.reason);
+
+    await audit.record(req, {
+      action: 'approval.reject',
+      target: { type: 'approval', id: approval._id },
+      before: { status: 'pending' },
+      after: { status: approval.status },
+      reason: req.body.reason,
+      metadata: {
+        type: approval.type,
+        amount: approval.amount
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Request rejected',
+      data: {
+        approval
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'Approval request not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    if (error.message.startsWith('Approval request')) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Reject request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while rejecting the request'
+    });
+  }
+});
+
+// On-chain payments that could not be matched to a deposit
+router.get('/unclaimed-deposits', [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['pending_review', 'resolved', 'dismissed'])
+    .withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status = 'pending_review' } = req.query;
+
+    const query = { status };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [deposits, total] = await Promise.all([
+      UnclaimedDeposit.find(query)
+        .populate('depositTransactionId', 'transactionId toUserId amount status createdAt')
+        .populate('reviewedBy', 'profile.firstName profile.lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      UnclaimedDeposit.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: deposits.length,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      },
+      data: {
+        deposits
+      }
+    });
+
+  } catch (error) {
+    console.error('Get unclaimed deposits error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while fetching unclaimed deposits'
+    });
+  }
+});
+
+// Close an unclaimed payment once it has been settled by hand (resolved) or
+// found to need no action (dismissed)
+router.post('/unclaimed-deposits/:id/review', [
+  param('id').isMongoId().withMessage('Invalid unclaimed deposit ID'),
+  body('status')
+    .isIn(['resolved', 'dismissed'])
+    .withMessage('Status must be resolved or dismissed'),
+  body('note')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Review note is required and must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, note } = req.body;
+
+    const deposit = await UnclaimedDeposit.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending_review' },
+      { $set: { status, reviewNote: note, reviewedBy: req.user._id, reviewedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!deposit) {
+      const exists = await UnclaimedDeposit.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        status: 'error',
+        message: exists ? 'Unclaimed deposit has already been reviewed' : 'Unclaimed deposit not found'
+      });
+    }
+
+    await audit.record(req, {
+      action: 'unclaimed_deposit.review',
+      target: { type: 'unclaimed_deposit', id: deposit._id },
+      before: { status: 'pending_review' },
+      after: { status: deposit.status },
+      reason: note,
+      metadata: {
+        chain: deposit.chain,
+        txHash: deposit.txHash,
+        amount: deposit.amount,
+        currency: deposit.currency
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Unclaimed deposit ${status}`,
+      data: {
+        deposit
+      }
+    });
+
+  } catch (error) {
+    console.error('Review unclaimed deposit error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while reviewing the unclaimed deposit'
+    });
+  }
+});
+
+// Shape of the settings returned to admins
+const formatSettings = (settings) => ({
+  version: settings.version,
+  platformFees: settings.platformFees,
+  limits: settings.limits,
+  features: settings.features,
+  approvals: settings.approvals,
+  confirmations: settings.confirmations,
+  rollouts: settings.rollouts,
+  updatedBy: settings.updatedBy,
+  updatedAt: settings.updatedAt || null
+});
+
+// Get platform settings
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await settingsService.get();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        settings: formatSettings(settings)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while fetching settings'
+    });
+  }
+});
+
+// Get the history of settings changes
+router.get('/settings/history', [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [versions, total] = await Promise.all([
+      Settings.getHistory(parseInt(limit), skip),
+      Settings.countDocuments()
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: versions.length,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      },
+      data: {
+        history: versions.map(version => ({
+          version: version.version,
+          changes: version.changes,
+          reason: version.reason,
+          updatedBy: version.updatedBy,
+          updatedAt: version.createdAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get settings history error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while fetching settings history'
+    });
+  }
+});
+
+// Update platform settings
+router.patch('/settings', [
+  body('version')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Version must be a non-negative integer'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('platformFees.adminFee')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Admin fee must be between $0 and $100')
+    .toFloat(),
+  body('platformFees.hintPlatformShare')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Hint platform share must be between 0 and 1')
+    .toFloat(),
+  body(['platformFees.withdrawalFees.stripe', 'platformFees.withdrawalFees.solana', 'platformFees.withdrawalFees.bitcoin'])
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Withdrawal fee must be between $0 and $100')
+    .toFloat(),
+  body(['limits.minDeposit', 'limits.maxDeposit'])
+    .optional()
+    .isFloat({ min: 0.5, max: 100000 })
+    .withMessage('Deposit limits must be between $0.50 and $100,000')
+    .toFloat(),
+  body(['limits.minWithdrawal.stripe', 'limits.minWithdrawal.solana', 'limits.minWithdrawal.bitcoin', 'limits.maxWithdrawal'])
+    .optional()
+    .isFloat({ min: 1, max: 1000000 })
+    .withMessage('Withdrawal limits must be between $1 and $1,000,000')
+    .toFloat(),
+  body(['limits.puzzleValue.min', 'limits.puzzleValue.max'])
+    .optional()
+    .isFloat({ min: 1, max: 100000 })
+    .withMessage('Puzzle value limits must be between $1 and $100,000')
+    .toFloat(),
+  body([
+    'features.registrationEnabled',
+    'features.puzzleCreationEnabled',
+    'features.depositsEnabled',
+    'features.withdrawalsEnabled',
+    'features.maintenanceMode'
+  ])
+    .optional()
+    .isBoolean()
+    .withMessage('Feature flags must be true or false')
+    .toBoolean(true),
+  body(['approvals.refundThreshold', 'approvals.withdrawalThreshold'])
+    .optional()
+    .isFloat({ min: 0, max: 1000000 })
+    .withMessage('Approval thresholds must be between $0 and $1,000,000')
+    .toFloat(),
+  body('approvals.expiryHours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Approval expiry must be between 1 and 720 hours')
+    .toInt(),
+  body(['confirmations.bitcoin.small', 'confirmations.bitcoin.medium', 'confirmations.bitcoin.large'])
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Bitcoin confirmations must be between 1 and 100')
+    .toInt(),
+  body(['confirmations.bitcoin.mediumThreshold', 'confirmations.bitcoin.largeThreshold'])
+    .optional()
+    .isFloat({ min: 0, max: 1000000 })
+    .withMessage('Confirmation thresholds must be between $0 and $1,000,000')
+    .toFloat(),
+  body(['rollouts.puzzleCreationEnabled', 'rollouts.depositsEnabled', 'rollouts.withdrawalsEnabled'])
+    .optional()
+    .isObject()
+    .withMessage('Rollouts must be objects'),
+  body([
+    'rollouts.puzzleCreationEnabled.percentage',
+    'rollouts.depositsEnabled.percentage',
+    'rollouts.withdrawalsEnabled.percentage'
+  ])
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Rollout percentage must be between 0 and 100')
+    .toInt(),
+  body([
+    'rollouts.puzzleCreationEnabled.userIds',
+    'rollouts.depositsEnabled.userIds',
+    'rollouts.withdrawalsEnabled.userIds'
+  ])
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('Rollout users must be a list of at most 1000 user IDs'),
+  body([
+    'rollouts.puzzleCreationEnabled.userIds.*',
+    'rollouts.depositsEnabled.userIds.*',
+    'rollouts.withdrawalsEnabled.userIds.*'
+  ])
+    .isMongoId()
+    .withMessage('Invalid rollout user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Only the editable settings are picked from the body
+    const settings = await settingsService.update(req.body, {
+      updatedBy: req.user._id,
+      reason: req.body.reason,
+      expectedVersion: req.body.version !== undefined ? parseInt(req.body.version) : null
+    });
+
+    await audit.record(req, {
+      action: 'settings.update',
+      target: { type: 'settings', id: settings.version },
+      changes: settings.changes.map(({ path, from, to }) => ({ path, from, to })),
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Settings updated successfully',
+      data: {
+        settings: formatSettings(settings),
+        changes: settings.changes
+      }
+    });
+
+  } catch (error) {
+    if (error.message.startsWith('Settings have changed')) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    if (error.message === 'No settings were changed' ||
+        error.name === 'ValidationError' ||
+        error.message.includes('cannot exceed')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    await audit.recordFailure(req, {
+      action: 'settings.update',
+      target: { type: 'settings' },
+      reason: req.body.reason,
+      error
+    });
+
+    console.error('Update settings error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while updating settings'
+    });
+  }
+});
+
+// Columns in the audit log CSV export
+const AUDIT_CSV_COLUMNS = [
+  ['sequence', entry => entry.sequence],
+  ['createdAt', entry => entry.createdAt.toISOString()],
+  ['actorId', entry => entry.actor.userId],
+  ['actorEmail', entry => entry.actor.email],
+  ['action', entry => entry.action],
+  ['targetType', entry => entry.target.type],
+  ['targetId', entry => entry.target.id],
+  ['outcome', entry => entry.outcome],
+  ['reason', entry => entry.reason],
+  ['error', entry => entry.error],
+  ['changes', entry => JSON.stringify(entry.changes)],
+  ['metadata', entry => JSON.stringify(entry.metadata)],
+  ['ipAddress', entry => entry.ipAddress],
+  ['userAgent', entry => entry.userAgent],
+  ['prevHash', entry => entry.prevHash],
+  ['hash', entry => entry.hash]
+];
+
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Get the audit log, or export it as CSV or JSON
+router.get('/audit-log', [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('actorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID'),
+  query('action')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Action must be between 1 and 100 characters'),
+  query('targetType')
+    .optional()
+    .isIn(['user', 'puzzle', 'transaction', 'settings', 'approval', 'unclaimed_deposit'])
+    .withMessage('Invalid target type'),
+  query('targetId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invalid target ID'),
+  query('outcome')
+    .optional()
+    .isIn(['success', 'failure'])
+    .withMessage('Invalid outcome'),
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601'),
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Export format must be csv or json')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 50,
+      actorId,
+      action,
+      targetType,
+      targetId,
+      outcome,
+      startDate,
+      endDate,
+      format
+    } = req.query;
+
+    const query = {};
+    if (actorId) query['actor.userId'] = actorId;
+    if (action) query.action = action;
+    if (targetType) query['target.type'] = targetType;
+    if (targetId) query['target.id'] = targetId;
+    if (outcome) query.outcome = outcome;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    // Exports return every matching entry (up to a cap) in chain order
+    if (format) {
+      const entries = await AuditLog.find(query).sort({ sequence: 1 }).limit(10000).lean();
+      const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+      if (format === 'json') {
+        return res.status(200).json(entries);
+      }
+
+      const rows = entries.map(entry => AUDIT_CSV_COLUMNS.map(([, get]) => toCsvField(get(entry))).join(','));
+      res.set('Content-Type', 'text/csv');
+      return res.status(200).send([AUDIT_CSV_COLUMNS.map(([name]) => name).join(','), ...rows].join('\n'));
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ sequence: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: entries.length,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      },
+      data: {
+        entries
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while fetching the audit log'
+    });
+  }
+});
+
+// Check the audit log hash chain for tampering
+router.get('/audit-log/verify', [
+  query('fromSequence')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Sequence must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const verification = await AuditLog.verifyChain({
+      fromSequence: parseInt(req.query.fromSequence || 1)
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        verification
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while verifying the audit log'
     });
   }
 });
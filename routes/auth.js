@@ -2,17 +2,23 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const User = require('../models/User');
+const heirService = require('../services/heirs');
+const deadMansSwitch = require('../services/deadMansSwitch');
 const { 
   createSendToken, 
   protect, 
   refreshToken, 
   sensitiveRateLimit 
 } = require('../middleware/auth');
+const { checkMaintenance, requireFeature } = require('../middleware/features');
 const { body, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
 
+// Admins must still be able to sign in during maintenance
+router.use(checkMaintenance({ allow: ['/login', '/logout', '/refresh-token'] }));
+
 // Rate limiting for auth routes
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -54,7 +60,12 @@ const registerValidation = [
   body('lastName')
     .trim()
     .isLength({ min: 1, max: 50 })
-    .withMessage('Last name is required and must be less than 50 characters')
+    .withMessage('Last name is required and must be less than 50 characters'),
+  body('inviteToken')
+    .optional()
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid invitation token')
 ];
 
 const loginValidation = [
@@ -68,7 +79,7 @@ const loginValidation = [
 ];
 
 // Register new user
-router.post('/register', authLimiter, registerValidation, async (req, res) => {
+router.post('/register', authLimiter, requireFeature('registrationEnabled'), registerValidation, async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -112,6 +123,15 @@ router.post('/register', authLimiter, registerValidation, async (req, res) => {
     
     await newUser.save({ validateBeforeSave: false });
 
+    // Accept an heir invitation the user signed up through
+    if (req.body.inviteToken) {
+      try {
+        await heirService.acceptInvitation(req.body.inviteToken, newUser);
+      } catch (error) {
+        console.warn('Invitation not accepted during registration:', error.message);
+      }
+    }
+
     // Send token to user
     createSendToken(newUser, 201, res, 'User registered successfully');
 
@@ -301,6 +321,102 @@ router.patch('/update-profile', protect, [
   }
 });
 
+// Get check-in switch status
+router.get('/check-in', protect, async (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      checkIn: deadMansSwitch.getStatus(req.user.checkIn)
+    }
+  });
+});
+
+// Check in to postpone the release of posthumous puzzles
+router.post('/check-in', protect, async (req, res) => {
+  try {
+    const checkIn = await deadMansSwitch.checkIn(req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Checked in successfully',
+      data: {
+        checkIn
+      }
+    });
+  } catch (error) {
+    if (error.message.includes('not enabled')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Check-ins are not enabled for this account'
+      });
+    }
+
+    console.error('Check-in error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while checking in'
+    });
+  }
+});
+
+// Update check-in switch settings
+router.patch('/check-in', protect, [
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Enabled must be a boolean'),
+  body('intervalDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .toInt()
+    .withMessage('Check-in interval must be between 1 and 365 days'),
+  body('reminderLeadDays')
+    .optional()
+    .isInt({ min: 0, max: 30 })
+    .toInt()
+    .withMessage('Reminder lead time must be between 0 and 30 days'),
+  body('gracePeriodDays')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .toInt()
+    .withMessage('Grace period must be between 1 and 90 days')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const checkIn = await deadMansSwitch.configure(req.user._id, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Check-in settings updated successfully',
+      data: {
+        checkIn
+      }
+    });
+  } catch (error) {
+    if (/already been triggered|shorter than|cannot be disabled/.test(error.message)) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message.replace('Failed to configure check-ins: ', '')
+      });
+    }
+
+    console.error('Update check-in settings error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while updating check-in settings'
+    });
+  }
+});
+
 // Change password
 router.patch('/change-password', protect, sensitiveRateLimit(3), [
   body('currentPassword')
@@ -0,0 +1,182 @@
+const express = require('express');
+const crypto = require('crypto');
+const deadMansSwitch = require('../services/deadMansSwitch');
+const expiry = require('../services/expiry');
+const approvals = require('../services/approvals');
+const withdrawals = require('../services/withdrawals');
+
+const router = express.Router();
+
+// Scheduled jobs are triggered by Vercel Cron, which sends the CRON_SECRET
+// as a bearer token
+const requireCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  const valid = secret &&
+    token.length === secret.length &&
+    crypto.timingSafeEqual(Buffer.from(token), Buffer.from(secret));
+
+  if (!valid) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid cron secret'
+    });
+  }
+
+  next();
+};
+
+router.use(requireCronSecret);
+
+// Evaluate check-in switches, send reminders and release posthumous puzzles
+router.get('/check-ins', async (req, res) => {
+  try {
+    const summary = await deadMansSwitch.evaluate();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Check-in job error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while evaluating check-ins'
+    });
+  }
+});
+
+// Expire unsolved puzzles past their expiry date and refund their creators
+router.get('/expiry', async (req, res) => {
+  try {
+    const summary = await expiry.process();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Expiry job error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while expiring puzzles'
+    });
+  }
+});
+
+// Resume in-flight withdrawals and confirm the ones that have settled
+router.get('/withdrawals', async (req, res) => {
+  try {
+    const summary = await withdrawals.resume();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Withdrawal job error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while resuming withdrawals'
+    });
+  }
+});
+
+// Expire refund and withdrawal approvals nobody acted on in time, and finish
+// approved ones whose execution was interrupted
+router.get('/approvals', async (req, res) => {
+  try {
+    const expired = await approvals.expire();
+    const recovered = await approvals.recover();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        summary: { expired, recovered }
+      }
+    });
+  } catch (error) {
+    console.error('Approval job error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while processing approvals'
+    });
+  }
+});
+
+// Credit Bitcoin deposits paid to their derived deposit addresses
+router.get('/bitcoin-deposits', async (req, res) => {
+  try {
+    // Loaded on use so the other jobs do not pay for the Bitcoin libraries
+    const bitcoinService = require('../services/bitcoin');
+    const summary = await bitcoinService.scanDepositAddresses();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Bitcoin deposit scan job error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while scanning Bitcoin deposit addresses'
+    });
+  }
+});
+
+// Advance Bitcoin deposits waiting for confirmations and reverse credited
+// deposits whose transaction left the chain
+router.get('/bitcoin-confirmations', async (req, res) => {
+  try {
+    const bitcoinService = require('../services/bitcoin');
+    const summary = await bitcoinService.trackConfirmations();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Bitcoin confirmation job error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while tracking Bitcoin confirmations'
+    });
+  }
+});
+
+// Credit Solana deposits paid with their reference key or memo and flag
+// payments nobody claimed for review
+router.get('/solana-deposits', async (req, res) => {
+  try {
+    // Loaded on use so the other jobs do not pay for the Solana libraries
+    const solanaService = require('../services/solana');
+    const summary = await solanaService.pollDeposits();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Solana deposit poll job error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while polling Solana deposits'
+    });
+  }
+});
+
+module.exports = router;
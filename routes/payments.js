@@ -1,9 +1,15 @@
 const express = require('express');
     const { protect, sensitiveRateLimit } = require('../middleware/auth');
+    const { checkMaintenance, requireFeature } = require('../middleware/features');
+    const { idempotent } = require('../middleware/idempotency');
     const { body, param, validationResult } = require('express-validator');
     const rateLimit = require('express-rate-limit');
     const stripeService = require('../services/stripe');
+    const settingsService = require('../services/settings');
+    const withdrawalService = require('../services/withdrawals');
+    const approvals = require('../services/approvals');
     const Transaction = require('../models/Transaction');
+    const splTokens = require('../utils/splTokens');
 
     const router = express.Router();
 
@@ -40,11 +46,12 @@ const paymentLimiter = rateLimit({
   skipSuccessfulRequests: true, // Don't count successful requests
 });
 
-// Validation middleware with stricter limits
+// Validation middleware. Deposit and withdrawal limits come from the
+// platform settings and are checked in the handlers.
 const depositValidation = [
   body('amount')
-    .isFloat({ min: 1, max: 5000 }) // Allow $1 minimum, cap at $5,000
-    .withMessage('Amount must be between $1 and $5,000'),
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be a positive number'),
   body('paymentMethod')
     .isIn(['stripe', 'solana', 'bitcoin'])
     .withMessage('Invalid payment method')
@@ -52,24 +59,54 @@ const depositValidation = [
 
 const withdrawalValidation = [
   body('amount')
-    .isFloat({ min: 10, max: 10000 }) // Reduced max from 50000 to 10000
-    .withMessage('Amount must be between $10 and $10,000'),
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be a positive number'),
   body('paymentMethod')
     .isIn(['stripe', 'solana', 'bitcoin'])
     .withMessage('Invalid payment method'),
+  // Solana withdrawals can be paid in SOL or a configured SPL token
+  body('token')
+    .optional()
+    .if(body('paymentMethod').equals('solana'))
+    .isIn(['SOL', ...splTokens.symbols()])
+    .withMessage('Unsupported Solana token'),
+  // Card withdrawals go to the user's connected account instead
   body('destination')
+    .if(body('paymentMethod').not().equals('stripe'))
     .isLength({ min: 10, max: 200 }) // Add length validation
     .withMessage('Invalid destination address format')
 ];
 
-// Timeout wrapper for async operations
-const withTimeout = (promise, timeoutMs = 25000, errorMessage = 'Operation timeout') => {
+// Monitoring keeps working during maintenance. Stripe webhooks are served
+// from /api/webhooks, outside this router, so payments are not lost either.
+router.use(checkMaintenance({ allow: ['/health'] }));
+
+// Timeout wrapper for async operations. The operation keeps running after
+// the timeout, so for a request with an idempotency key it is handed to the
+// key, which stores toResponse(result) once it finishes.
+const withTimeout = (promise, timeoutMs = 25000, errorMessage = 'Operation timeout', { req = null, toResponse = null } = {}) => {
+  let timer;
   return Promise.race([
     promise,
-    new Promise((_, reject) => 
-      setTimeout(() => reject(new Error(errorMessage)), timeoutMs)
-    )
-  ]);
+    new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        if (req?.idempotency && toResponse) {
+          req.idempotency.settleLater(Promise.resolve(promise), toResponse);
+        }
+        reject(new Error(errorMessage));
+      }, timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timer));
+};
+
+// Check an amount against the platform limits; returns the error message if it is outside them
+const checkAmountLimits = async (check) => {
+  try {
+    await check();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
 };
 
 // Error handler wrapper
@@ -199,10 +236,10 @@ router.get('/transactions/:id', protect, [
 
 // STRIPE ROUTES with timeout protection
 
-router.post('/stripe/create-payment-intent', protect, paymentLimiter, [
+router.post('/stripe/create-payment-intent', protect, requireFeature('depositsEnabled'), paymentLimiter, idempotent(), [
   body('amount')
-    .isFloat({ min: 1, max: 5000 })
-    .withMessage('Amount must be between $1 and $5,000')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be a positive number')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -215,13 +252,15 @@ router.post('/stripe/create-payment-intent', protect, paymentLimiter, [
 
   const { amount } = req.body;
 
-  const result = await withTimeout(
-    stripeService.createPaymentIntent(req.user._id, amount),
-    20000,
-    'Payment intent creation timeout'
-  );
+  const limitError = await checkAmountLimits(() => settingsService.checkDepositAmount(parseFloat(amount)));
+  if (limitError) {
+    return res.status(400).json({
+      status: 'error',
+      message: limitError
+    });
+  }
 
-  res.status(200).json({
+  const toResponse = result => ({
     status: 'success',
     message: 'Payment intent created successfully',
     data: {
@@ -230,6 +269,15 @@ router.post('/stripe/create-payment-intent', protect, paymentLimiter, [
       amount
     }
   });
+
+  const result = await withTimeout(
+    stripeService.createPaymentIntent(req.user._id, amount),
+    20000,
+    'Payment intent creation timeout',
+    { req, toResponse }
+  );
+
+  res.status(200).json(toResponse(result));
 }));
 
 router.post('/stripe/confirm-payment', protect, [
@@ -265,11 +313,40 @@ router.post('/stripe/confirm-payment', protect, [
     message: 'Payment confirmed successfully',
     data: {
       transaction: result.transaction,
-      newBalance: result.user.wallet.balance
+      newBalance: result.newBalance
     }
   });
 }));
 
+// STRIPE CONNECT ROUTES for card withdrawals
+
+router.post('/stripe/connect/onboard', protect, sensitiveRateLimit(5), asyncHandler(async (req, res) => {
+  const link = await withTimeout(
+    stripeService.createAccountLink(req.user._id),
+    15000,
+    'Payout onboarding timeout'
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Continue payout onboarding at the returned URL',
+    data: link
+  });
+}));
+
+router.get('/stripe/connect/status', protect, asyncHandler(async (req, res) => {
+  const status = await withTimeout(
+    stripeService.getConnectStatus(req.user._id),
+    10000,
+    'Payout status timeout'
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: { stripeConnect: status }
+  });
+}));
+
 // SOLANA ROUTES with enhanced timeout protection
 
 router.post('/solana/add-wallet', protect, [
@@ -299,10 +376,14 @@ router.post('/solana/add-wallet', protect, [
   });
 }));
 
-router.post('/solana/create-deposit', protect, paymentLimiter, [
+router.post('/solana/create-deposit', protect, requireFeature('depositsEnabled'), paymentLimiter, idempotent(), [
   body('amount')
-    .isFloat({ min: 1, max: 5000 })
-    .withMessage('Amount must be between $1 and $5,000')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be a positive number'),
+  body('token')
+    .optional()
+    .isIn(['SOL', ...splTokens.symbols()])
+    .withMessage('Unsupported Solana token')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -313,19 +394,30 @@ router.post('/solana/create-deposit', protect, paymentLimiter, [
     });
   }
 
-  const { amount } = req.body;
+  const { amount, token = 'SOL' } = req.body;
 
-  const result = await withTimeout(
-    (await loadSolanaService()).createDepositTransaction(req.user._id, amount),
-    15000,
-    'Deposit creation timeout'
-  );
+  const limitError = await checkAmountLimits(() => settingsService.checkDepositAmount(parseFloat(amount)));
+  if (limitError) {
+    return res.status(400).json({
+      status: 'error',
+      message: limitError
+    });
+  }
 
-  res.status(200).json({
+  const toResponse = result => ({
     status: 'success',
     message: 'Solana deposit transaction created',
     data: result.depositInfo
   });
+
+  const result = await withTimeout(
+    (await loadSolanaService()).createDepositTransaction(req.user._id, amount, token),
+    15000,
+    'Deposit creation timeout',
+    { req, toResponse }
+  );
+
+  res.status(200).json(toResponse(result));
 }));
 
 router.post('/solana/confirm-deposit', protect, [
@@ -357,12 +449,23 @@ router.post('/solana/confirm-deposit', protect, [
     });
   }
 
+  if (result.pending) {
+    return res.status(202).json({
+      status: 'success',
+      message: 'Deposit seen, waiting for the transaction to be finalized',
+      data: {
+        transaction: result.transaction,
+        confirmation: result.transaction.confirmation
+      }
+    });
+  }
+
   res.status(200).json({
     status: 'success',
     message: 'Solana deposit confirmed successfully',
     data: {
       transaction: result.transaction,
-      newBalance: result.user.wallet.balance
+      newBalance: result.newBalance
     }
   });
 }));
@@ -396,10 +499,10 @@ router.post('/bitcoin/add-wallet', protect, [
   });
 }));
 
-router.post('/bitcoin/create-deposit', protect, paymentLimiter, [
+router.post('/bitcoin/create-deposit', protect, requireFeature('depositsEnabled'), paymentLimiter, idempotent(), [
   body('amount')
-    .isFloat({ min: 1, max: 5000 })
-    .withMessage('Amount must be between $1 and $5,000')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be a positive number')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -412,17 +515,28 @@ router.post('/bitcoin/create-deposit', protect, paymentLimiter, [
 
   const { amount } = req.body;
 
-  const result = await withTimeout(
-    (await loadBitcoinService()).createDepositTransaction(req.user._id, amount),
-    15000,
-    'Bitcoin deposit creation timeout'
-  );
+  const limitError = await checkAmountLimits(() => settingsService.checkDepositAmount(parseFloat(amount)));
+  if (limitError) {
+    return res.status(400).json({
+      status: 'error',
+      message: limitError
+    });
+  }
 
-  res.status(200).json({
+  const toResponse = result => ({
     status: 'success',
     message: 'Bitcoin deposit transaction created',
     data: result.depositInfo
   });
+
+  const result = await withTimeout(
+    (await loadBitcoinService()).createDepositTransaction(req.user._id, amount),
+    15000,
+    'Bitcoin deposit creation timeout',
+    { req, toResponse }
+  );
+
+  res.status(200).json(toResponse(result));
 }));
 
 router.post('/bitcoin/confirm-deposit', protect, [
@@ -454,19 +568,30 @@ router.post('/bitcoin/confirm-deposit', protect, [
     });
   }
 
+  if (result.pending) {
+    return res.status(202).json({
+      status: 'success',
+      message: `Deposit seen, waiting for confirmations (${result.confirmations}/${result.required})`,
+      data: {
+        transaction: result.transaction,
+        confirmation: result.transaction.confirmation
+      }
+    });
+  }
+
   res.status(200).json({
     status: 'success',
     message: 'Bitcoin deposit confirmed successfully',
     data: {
       transaction: result.transaction,
-      newBalance: result.user.wallet.balance
+      newBalance: result.newBalance
     }
   });
 }));
 
 // WITHDRAWAL ROUTES with strict timeout
 
-router.post('/withdraw', protect, sensitiveRateLimit(2), withdrawalValidation, asyncHandler(async (req, res) => {
+router.post('/withdraw', protect, requireFeature('withdrawalsEnabled'), sensitiveRateLimit(2), idempotent(), withdrawalValidation, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -476,11 +601,33 @@ router.post('/withdraw', protect, sensitiveRateLimit(2), withdrawalValidation, a
     });
   }
 
-  const { amount, paymentMethod, destination } = req.body;
+  const { amount, paymentMethod } = req.body;
+  let { destination } = req.body;
+  // SOL is the default; only SPL tokens are recorded on the withdrawal
+  const token = paymentMethod === 'solana' && req.body.token && req.body.token !== 'SOL' ? req.body.token : null;
+
+  // Card withdrawals are refused until payout onboarding is complete
+  if (paymentMethod === 'stripe') {
+    if (!req.user.canReceiveStripePayouts()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Complete payout onboarding before withdrawing to Stripe'
+      });
+    }
+    destination = req.user.stripeConnect.accountId;
+  }
+
+  const limitError = await checkAmountLimits(() => settingsService.checkWithdrawalAmount(paymentMethod, parseFloat(amount)));
+  if (limitError) {
+    return res.status(400).json({
+      status: 'error',
+      message: limitError
+    });
+  }
 
   // Pre-validate user balance to fail fast
-  const withdrawalFee = paymentMethod === 'stripe' ? 1.50 : 2.50;
-  const totalRequired = amount + withdrawalFee;
+  const withdrawalFee = await settingsService.getWithdrawalFee(paymentMethod);
+  const totalRequired = parseFloat(amount) + withdrawalFee;
 
   if (!req.user.wallet?.balance || req.user.wallet.balance < totalRequired) {
     return res.status(400).json({
@@ -489,47 +636,51 @@ router.post('/withdraw', protect, sensitiveRateLimit(2), withdrawalValidation, a
     });
   }
 
-  let result;
-  const timeoutMs = paymentMethod === 'stripe' ? 25000 : 35000; // Longer timeout for crypto
+  // Large withdrawals are paid out once an admin approves them
+  if (await approvals.requiresApproval('withdrawal', parseFloat(amount))) {
+    const approval = await approvals.request('withdrawal', {
+      amount: parseFloat(amount),
+      requestedBy: req.user._id,
+      userId: req.user._id,
+      withdrawal: { paymentMethod, destination, token }
+    });
 
-  switch (paymentMethod) {
-    case 'stripe':
-      result = await withTimeout(
-        stripeService.processWithdrawal(req.user._id, amount, destination),
-        timeoutMs,
-        'Stripe withdrawal timeout'
-      );
-      break;
-    case 'solana':
-      result = await withTimeout(
-        (await loadSolanaService()).processWithdrawal(req.user._id, amount, destination),
-        timeoutMs,
-        'Solana withdrawal timeout'
-      );
-      break;
-    case 'bitcoin':
-      result = await withTimeout(
-        (await loadBitcoinService()).processWithdrawal(req.user._id, amount, destination),
-        timeoutMs,
-        'Bitcoin withdrawal timeout'
-      );
-      break;
-    default:
-      return res.status(400).json({
-        status: 'error',
-        message: 'Invalid payment method'
-      });
+    return res.status(202).json({
+      status: 'success',
+      message: 'Withdrawal is waiting for approval',
+      data: {
+        approvalId: approval._id,
+        amount: approval.amount,
+        expiresAt: approval.expiresAt
+      }
+    });
   }
 
-  res.status(200).json({
+  const timeoutMs = paymentMethod === 'stripe' ? 25000 : 35000; // Longer timeout for crypto
+  const methodName = paymentMethod.charAt(0).toUpperCase() + paymentMethod.slice(1);
+
+  // On-chain withdrawals are confirmed later by the withdrawals job
+  const toResponse = result => ({
     status: 'success',
-    message: 'Withdrawal processed successfully',
+    message: result.state === 'confirmed'
+      ? 'Withdrawal processed successfully'
+      : 'Withdrawal sent and waiting for confirmation',
     data: {
       transaction: result.transaction,
-      txHash: result.txHash || result.transfer?.id,
-      fee: withdrawalFee
+      txHash: result.txHash,
+      state: result.state,
+      fee: result.fee
     }
   });
+
+  const result = await withTimeout(
+    withdrawalService.process(req.user._id, paymentMethod, parseFloat(amount), destination, { token }),
+    timeoutMs,
+    `${methodName} withdrawal timeout`,
+    { req, toResponse }
+  );
+
+  res.status(200).json(toResponse(result));
 }));
 
 // Optimized balance endpoint with parallel processing limits
@@ -689,31 +840,6 @@ router.delete('/payment-methods/:id', protect, [
   });
 }));
 
-// Optimized webhook endpoint
-router.post('/stripe/webhook', express.raw({ 
-  type: 'application/json',
-  limit: '1mb' // Limit payload size
-}), asyncHandler(async (req, res) => {
-  const signature = req.headers['stripe-signature'];
-  
-  if (!signature) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'Missing Stripe signature'
-    });
-  }
-
-  const event = stripeService.verifyWebhookSignature(req.body, signature);
-
-  await withTimeout(
-    stripeService.handleWebhook(event),
-    20000,
-    'Webhook processing timeout'
-  );
-
-  res.status(200).json({ received: true });
-}));
-
 // Health check endpoint for monitoring
 router.get('/health', asyncHandler(async (req, res) => {
   const health = {
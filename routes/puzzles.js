@@ -1,18 +1,29 @@
 const express = require('express');
 const Puzzle = require('../models/Puzzle');
+const PuzzleProgress = require('../models/PuzzleProgress');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const escrow = require('../services/escrow');
+const settingsService = require('../services/settings');
+const heirService = require('../services/heirs');
+const hintService = require('../services/hints');
+const stageService = require('../services/stages');
+const { runInTransaction } = require('../utils/db');
 const { 
   protect, 
   optionalAuth, 
   validateOwnership, 
   sensitiveRateLimit 
 } = require('../middleware/auth');
+const { checkMaintenance, requireFeature } = require('../middleware/features');
+const { idempotent } = require('../middleware/idempotency');
 const { body, param, query, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
 
+router.use(checkMaintenance());
+
 // Rate limiting for puzzle creation
 const createPuzzleLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
@@ -38,6 +49,83 @@ const attemptLimiter = rateLimit({
 });
 
 // Validation middleware
+const heirsValidation = [
+  body('heirs')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Heirs must be an array with maximum 10 items'),
+  body('heirs.*.email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Invalid heir email'),
+  body('heirs.*.userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid heir user ID'),
+  body('heirs.*')
+    .custom(heir => Boolean(heir && (heir.email || heir.userId)))
+    .withMessage('Each heir needs an email or a user ID')
+];
+
+const hintsValidation = [
+  body('hints')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Hints must be an array with maximum 10 items'),
+  body('hints.*.text')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Each hint needs text of less than 1000 characters'),
+  body('hints.*.unlockAfterAttempts')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 100 })
+    .toInt()
+    .withMessage('Attempts before a hint unlocks must be between 1 and 100'),
+  body('hints.*.unlockAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .toDate()
+    .withMessage('Invalid hint unlock date'),
+  body('hints.*.price')
+    .optional({ nullable: true })
+    .isFloat({ min: 0.5, max: 1000 })
+    .toFloat()
+    .withMessage('Hint price must be between $0.50 and $1,000')
+];
+
+const stagesValidation = [
+  body('stages')
+    .optional()
+    .isArray({ max: 9 })
+    .withMessage('Stages must be an array with maximum 9 items'),
+  body('stages.*.answer')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each stage needs an answer of less than 100 characters'),
+  body('stages.*.aliases')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Stage aliases must be an array with maximum 5 items'),
+  body('stages.*.aliases.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each stage alias must be less than 100 characters'),
+  body('stages.*.nextClue')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Each stage needs a next clue of less than 2000 characters'),
+  body('stages.*.reward')
+    .optional()
+    .isFloat({ min: 0, max: 10000 })
+    .toFloat()
+    .withMessage('Stage reward must be between $0 and $10,000')
+];
+
 const createPuzzleValidation = [
   body('title')
     .trim()
@@ -55,13 +143,37 @@ const createPuzzleValidation = [
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Answer is required and must be less than 100 characters'),
+  body('aliases')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Aliases must be an array with maximum 5 items'),
+  body('aliases.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each alias must be less than 100 characters'),
+  body('answerPolicy')
+    .optional()
+    .isObject()
+    .withMessage('Answer policy must be an object'),
+  body([
+    'answerPolicy.caseSensitive',
+    'answerPolicy.collapseWhitespace',
+    'answerPolicy.stripPunctuation',
+    'answerPolicy.stripDiacritics',
+    'answerPolicy.unicodeNormalization'
+  ])
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Answer policy options must be booleans'),
   body('inheritance')
     .trim()
     .isLength({ min: 1, max: 1000 })
     .withMessage('Inheritance description is required and must be less than 1000 characters'),
   body('value')
-    .isFloat({ min: 1, max: 10000 })
-    .withMessage('Value must be between $1 and $10,000'),
+    .isFloat({ min: 1, max: 100000 })
+    .withMessage('Value must be between $1 and $100,000'),
   body('category')
     .optional()
     .isIn(['social-media', 'crypto', 'gaming', 'music', 'art', 'tech', 'personal', 'other'])
@@ -78,7 +190,15 @@ const createPuzzleValidation = [
     .optional()
     .isISO8601()
     .toDate()
-    .withMessage('Invalid expiration date')
+    .withMessage('Invalid expiration date'),
+  body('posthumous')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Posthumous must be a boolean'),
+  ...heirsValidation,
+  ...hintsValidation,
+  ...stagesValidation
 ];
 
 const solvePuzzleValidation = [
@@ -157,6 +277,9 @@ router.get('/', optionalAuth, [
       { expiresAt: { $gt: new Date() } }
     ];
 
+    // Hide posthumous puzzles until the creator's check-in switch fires
+    query.$and = [Puzzle.visibleFilter()];
+
     if (category) query.category = category;
     if (difficulty) query.difficulty = difficulty;
     if (solved !== undefined) query.solved = solved === 'true';
@@ -169,7 +292,7 @@ router.get('/', optionalAuth, [
 
     if (search) {
       query.$and = [
-        query.$and || {},
+        ...query.$and,
         {
           $or: [
             { title: { $regex: search, $options: 'i' } },
@@ -281,7 +404,9 @@ router.get('/:id', optionalAuth, [
       .populate('solverInfo.solverId', 'profile.firstName profile.lastName')
       .select('-answer'); // Never return the answer
 
-    if (!puzzle) {
+    // Posthumous puzzles are only visible to their creator until activated
+    const isCreator = req.user && puzzle && puzzle.creatorId._id.toString() === req.user._id.toString();
+    if (!puzzle || (!puzzle.isVisible() && !isCreator)) {
       return res.status(404).json({
         status: 'error',
         message: 'Puzzle not found'
@@ -318,8 +443,21 @@ router.get('/:id', optionalAuth, [
   }
 });
 
+// Invite links carry plaintext invitation tokens, so they are left out of
+// the stored response; a replayed creation lists the invited emails only
+const withoutInviteLinks = (body) => {
+  if (!body?.data?.invitations) return body;
+  return {
+    ...body,
+    data: {
+      ...body.data,
+      invitations: body.data.invitations.map(({ email }) => ({ email }))
+    }
+  };
+};
+
 // Create new puzzle
-router.post('/', protect, createPuzzleLimiter, createPuzzleValidation, async (req, res) => {
+router.post('/', protect, requireFeature('puzzleCreationEnabled'), createPuzzleLimiter, idempotent({ redact: withoutInviteLinks }), createPuzzleValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -335,20 +473,46 @@ router.post('/', protect, createPuzzleLimiter, createPuzzleValidation, async (re
       description,
       clue,
       answer,
+      aliases = [],
+      answerPolicy = {},
       inheritance,
       value,
       category = 'other',
       difficulty = 'medium',
       tags = [],
-      expiresAt
+      expiresAt,
+      posthumous = false,
+      heirs = [],
+      hints = [],
+      stages = []
     } = req.body;
 
-    // Check if user has sufficient balance (value + $1 admin fee)
-    const totalCost = parseFloat(value) + 1; // $1 admin fee
+    // Posthumous puzzles are released by the check-in switch
+    if (posthumous && !req.user.checkIn.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Enable check-ins before creating a posthumous puzzle'
+      });
+    }
+
+    try {
+      await settingsService.checkPuzzleValue(parseFloat(value));
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    // Check if user has sufficient balance (value + stage rewards + admin fee)
+    const adminFee = await settingsService.getAdminFee();
+    const stageRewards = stages.reduce((sum, stage) => sum + (stage.reward || 0), 0);
+    const totalCost = parseFloat(value) + stageRewards + adminFee;
     if (req.user.wallet.balance < totalCost) {
+      const stageRewardsNote = stageRewards > 0 ? ` + stage rewards: $${stageRewards}` : '';
       return res.status(400).json({
         status: 'error',
-        message: `Insufficient balance. You need $${totalCost} to create this puzzle (puzzle value: $${value} + admin fee: $1)`
+        message: `Insufficient balance. You need $${totalCost} to create this puzzle (puzzle value: $${value}${stageRewardsNote} + admin fee: $${adminFee})`
       });
     }
 
@@ -357,42 +521,87 @@ router.post('/', protect, createPuzzleLimiter, createPuzzleValidation, async (re
       title,
       description,
       clue,
-      answer,
+      answerPolicy,
       inheritance,
       value: parseFloat(value),
       creatorId: req.user._id,
       category,
       difficulty,
       tags: tags.map(tag => tag.toLowerCase().trim()),
-      expiresAt
+      expiresAt,
+      posthumous,
+      hints: hints.map(({ text, unlockAfterAttempts, unlockAt, price }) => ({
+        text,
+        unlockAfterAttempts,
+        unlockAt,
+        price
+      }))
     });
 
-    await puzzle.save();
+    // Accepted answers are hashed (and never stored in cleartext) on save
+    try {
+      puzzle.setAnswers([answer, ...aliases]);
+      puzzle.setStages(stages.map(stage => ({
+        answers: [stage.answer, ...(stage.aliases || [])],
+        nextClue: stage.nextClue,
+        reward: stage.reward || 0
+      })));
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
 
-    // Deduct cost from user's balance
-    await req.user.updateBalance(-totalCost);
+    // Link or invite heirs
+    let invitations;
+    try {
+      const resolved = await heirService.resolve(heirs, req.user._id);
+      puzzle.heirs = resolved.heirs;
+      invitations = resolved.invitations;
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
 
-    // Create transaction record
+    // Create transaction records
     const transaction = Transaction.createPuzzleCreation(
       req.user._id,
       puzzle._id,
-      parseFloat(value),
-      { type: 'internal', details: { source: 'wallet_balance' } }
+      puzzle.getEscrowTotal(),
+      { type: 'internal', details: { source: 'wallet_balance' } },
+      adminFee
     );
-    
-    transaction.status = 'completed';
-    transaction.processedAt = new Date();
-    await transaction.save();
+    transaction.setCompleted();
 
-    // Create admin fee transaction
-    const adminFeeTransaction = Transaction.createAdminFee(
-      req.user._id,
-      1,
-      transaction.transactionId
-    );
-    adminFeeTransaction.status = 'completed';
-    adminFeeTransaction.processedAt = new Date();
-    await adminFeeTransaction.save();
+    // A zero admin fee leaves nothing to record
+    const transactions = [transaction];
+    if (adminFee > 0) {
+      const adminFeeTransaction = Transaction.createAdminFee(
+        req.user._id,
+        adminFee,
+        transaction.transactionId
+      );
+      adminFeeTransaction.setCompleted();
+      transactions.push(adminFeeTransaction);
+    }
+
+    // Fund the escrow (admin fee to the platform) and save the puzzle in
+    // one transaction
+    const { wallets } = await runInTransaction(async (session) => {
+      const result = await escrow.fund(puzzle, {
+        adminFee,
+        transactions,
+        session
+      });
+
+      await puzzle.save({ session });
+      return result;
+    });
+
+    const invitationLinks = await heirService.notify(puzzle, puzzle.heirs, invitations, req.user);
 
     // Populate creator info for response
     await puzzle.populate('creatorId', 'profile.firstName profile.lastName');
@@ -403,17 +612,28 @@ router.post('/', protect, createPuzzleLimiter, createPuzzleValidation, async (re
       data: {
         puzzle: {
           ...puzzle.toObject(),
-          answer: undefined // Don't return answer even to creator
+          answerHashes: undefined, // Don't return answer hashes even to creator
+          sealedInheritance: undefined,
+          stages: undefined,
+          heirs: puzzle.getHeirSummary()
         },
+        invitations: invitationLinks,
         transaction: {
           id: transaction.transactionId,
           amount: totalCost,
-          newBalance: req.user.wallet.balance
+          newBalance: wallets[req.user._id.toString()].balance
         }
       }
     });
 
   } catch (error) {
+    if (error.message === 'Insufficient balance') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Insufficient balance to create this puzzle'
+      });
+    }
+
     console.error('Create puzzle error:', error);
     res.status(500).json({
       status: 'error',
@@ -437,13 +657,13 @@ router.post('/:id/solve', protect, attemptLimiter, solvePuzzleValidation, async
     const { answer } = req.body;
     const puzzleId = req.params.id;
 
-    // Find puzzle with answer
+    // Find puzzle with answer hashes, inheritance and heirs
     const puzzle = await Puzzle.findOne({
       _id: puzzleId,
       status: 'active'
-    }).select('+answer').populate('creatorId', 'profile.firstName profile.lastName wallet.balance');
+    }).select('+answerHashes +answer +inheritance +sealedInheritance +heirs +stages').populate('creatorId', 'profile.firstName profile.lastName wallet.balance');
 
-    if (!puzzle) {
+    if (!puzzle || !puzzle.isVisible()) {
       return res.status(404).json({
         status: 'error',
         message: 'Puzzle not found'
@@ -458,36 +678,103 @@ router.post('/:id/solve', protect, attemptLimiter, solvePuzzleValidation, async
       });
     }
 
-    // Check if puzzle is already solved
-    if (puzzle.solved) {
+    // Check if user is trying to solve their own puzzle
+    if (puzzle.creatorId._id.toString() === req.user._id.toString()) {
       return res.status(400).json({
         status: 'error',
-        message: 'This puzzle has already been solved'
+        message: 'You cannot solve your own puzzle'
       });
     }
 
-    // Check if user is trying to solve their own puzzle
-    if (puzzle.creatorId._id.toString() === req.user._id.toString()) {
+    // Heirs may still solve an already solved puzzle to unlock the inheritance
+    const isHeir = puzzle.isHeir(req.user._id);
+    if (puzzle.solved && (!isHeir || puzzle.hasReleasedInheritanceTo(req.user._id))) {
       return res.status(400).json({
         status: 'error',
-        message: 'You cannot solve your own puzzle'
+        message: 'This puzzle has already been solved'
       });
     }
 
-    // Add attempt
     const ipAddress = req.ip || req.connection.remoteAddress;
-    const { isCorrect, attempt } = puzzle.addAttempt(req.user._id, answer, ipAddress);
 
-    await puzzle.save();
+    // Multi-stage puzzles: answers go to the solver's current stage until
+    // only the final answer is left
+    const progress = puzzle.isMultiStage()
+      ? await PuzzleProgress.findOrStart(puzzle._id, req.user._id)
+      : null;
+
+    if (!stageService.isFinalStage(puzzle, progress)) {
+      const result = await stageService.submit(puzzle, progress, req.user, answer, ipAddress);
+
+      if (!result.isCorrect) {
+        return res.status(200).json({
+          status: 'success',
+          message: 'Incorrect answer. Try again!',
+          data: result
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: `Stage ${result.stage} solved!`,
+        data: {
+          isCorrect: true,
+          stage: result.stage,
+          nextStage: result.nextStage,
+          finalStage: result.finalStage,
+          clue: result.nextClue,
+          reward: result.reward,
+          transaction: result.transaction ? {
+            id: result.transaction.transactionId,
+            amount: result.reward,
+            newBalance: result.newBalance
+          } : null
+        }
+      });
+    }
 
-    if (isCorrect) {
-      // Update solver info with user name
-      puzzle.solverInfo.solverName = `${req.user.profile.firstName} ${req.user.profile.lastName}`;
-      await puzzle.save();
+    const answerIndex = await puzzle.matchAnswer(answer);
+    const isCorrect = answerIndex !== -1;
+    const attempt = puzzle.buildAttempt(req.user._id, answer, ipAddress, isCorrect);
 
-      // Transfer money from creator to solver
-      await req.user.updateBalance(puzzle.value); // Add to solver
-      await puzzle.creatorId.updateBalance(-puzzle.value); // Deduct from creator
+    if (!isCorrect) {
+      const updated = await Puzzle.recordAttempt(puzzle._id, attempt);
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Incorrect answer. Try again!',
+        data: {
+          isCorrect: false,
+          attemptsCount: updated.countAttempts(req.user._id),
+          totalAttempts: updated.analytics.totalAttempts
+        }
+      });
+    }
+
+    const unlocksInheritance = puzzle.canUnlockInheritance(req.user._id);
+
+    // Decrypt before claiming so a solver is never paid without the
+    // inheritance they are entitled to
+    const inheritance = unlocksInheritance ? await puzzle.unsealInheritance(answer, answerIndex) : null;
+    if (unlocksInheritance && inheritance === null) {
+      throw new Error(`Inheritance for puzzle ${puzzle._id} could not be decrypted`);
+    }
+
+    // Claim the puzzle and pay the solver in one transaction. The
+    // "solved: false" guard makes sure only one concurrent solver wins.
+    const claim = puzzle.solved ? null : await runInTransaction(async (session) => {
+      const solvedPuzzle = await Puzzle.claimSolve(puzzle._id, {
+        solverId: req.user._id,
+        solverName: `${req.user.profile.firstName} ${req.user.profile.lastName}`,
+        solvedAt: new Date(),
+        attempts: puzzle.countAttempts(req.user._id) + 1
+      }, attempt, session);
+
+      if (!solvedPuzzle) {
+        // Lost the race: heirs fall through to unlock the inheritance only
+        if (isHeir) return null;
+        throw new Error('Puzzle already solved');
+      }
 
       // Create solve transaction
       const transaction = Transaction.createPuzzleSolve(
@@ -497,46 +784,85 @@ router.post('/:id/solve', protect, attemptLimiter, solvePuzzleValidation, async
         puzzle.value,
         { type: 'internal', details: { source: 'puzzle_solve' } }
       );
-      
-      transaction.status = 'completed';
-      transaction.processedAt = new Date();
-      await transaction.save();
+      transaction.setCompleted();
+
+      // Release the escrowed reward to the solver
+      const { wallets } = await escrow.release(puzzle, req.user._id, {
+        transactions: [transaction],
+        session
+      });
 
-      // Update puzzle payment status
-      puzzle.payment.payoutProcessed = true;
-      await puzzle.save();
+      if (unlocksInheritance) {
+        await Puzzle.recordInheritanceRelease(puzzle._id, req.user._id, session);
+      }
 
-      res.status(200).json({
+      return { solvedPuzzle, transaction, wallets };
+    });
+
+    if (progress) {
+      await stageService.complete(puzzle._id, req.user._id);
+    }
+
+    // An heir solving after someone else claimed the reward
+    if (!claim) {
+      await Puzzle.recordAttempt(puzzle._id, attempt);
+      await Puzzle.recordInheritanceRelease(puzzle._id, req.user._id);
+
+      return res.status(200).json({
         status: 'success',
-        message: 'Congratulations! You solved the puzzle!',
+        message: 'Correct! The inheritance left for you has been unlocked.',
         data: {
-          puzzle: {
-            ...puzzle.toObject(),
-            answer: undefined // Don't return answer in response
-          },
-          reward: puzzle.value,
-          inheritance: puzzle.inheritance,
-          transaction: {
-            id: transaction.transactionId,
-            amount: puzzle.value,
-            newBalance: req.user.wallet.balance
-          }
+          reward: 0,
+          inheritance
         }
       });
+    }
 
-    } else {
-      res.status(200).json({
-        status: 'success',
-        message: 'Incorrect answer. Try again!',
-        data: {
-          isCorrect: false,
-          attemptsCount: puzzle.attempts.filter(a => a.userId.toString() === req.user._id.toString()).length,
-          totalAttempts: puzzle.analytics.totalAttempts
+    const { solvedPuzzle, transaction, wallets } = claim;
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Congratulations! You solved the puzzle!',
+      data: {
+        puzzle: {
+          ...solvedPuzzle.toObject(),
+          answerHashes: undefined, // Don't return answer hashes in response
+          sealedInheritance: undefined
+        },
+        reward: puzzle.value,
+        inheritance,
+        inheritanceLocked: !unlocksInheritance,
+        transaction: {
+          id: transaction.transactionId,
+          amount: puzzle.value,
+          newBalance: wallets[req.user._id.toString()].balance
         }
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'Stage already completed') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This stage has already been completed'
+      });
+    }
+
+    if (error.message === 'Puzzle already solved') {
+      // Lost the race; still keep a record of the (correct but late) attempt
+      await Puzzle.recordAttempt(req.params.id, {
+        userId: req.user._id,
+        isCorrect: true,
+        ipAddress: req.ip || req.connection.remoteAddress,
+        attemptedAt: new Date()
+      }).catch(() => {});
+
+      return res.status(409).json({
+        status: 'error',
+        message: 'This puzzle has already been solved'
       });
     }
 
-  } catch (error) {
     console.error('Solve puzzle error:', error);
     res.status(500).json({
       status: 'error',
@@ -545,6 +871,422 @@ router.post('/:id/solve', protect, attemptLimiter, solvePuzzleValidation, async
   }
 });
 
+// Get the current user's progress on multi-stage puzzles
+router.get('/user/progress', protect, async (req, res) => {
+  try {
+    const progress = await PuzzleProgress.find({ userId: req.user._id })
+      .populate('puzzleId', 'title value stageCount solved status')
+      .select('-completedStages.revealedClue')
+      .sort({ updatedAt: -1 });
+
+    const entries = progress.filter(entry => entry.puzzleId && entry.puzzleId.status !== 'deleted');
+
+    res.status(200).json({
+      status: 'success',
+      results: entries.length,
+      data: {
+        progress: entries.map(entry => ({
+          puzzle: entry.puzzleId,
+          currentStage: Math.min(entry.currentStage + 1, entry.puzzleId.stageCount),
+          totalStages: entry.puzzleId.stageCount,
+          stagesCompleted: entry.completedStages.length,
+          rewardsEarned: entry.completedStages.reduce((sum, stage) => sum + stage.reward, 0),
+          completedAt: entry.completedAt,
+          updatedAt: entry.updatedAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user progress error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while fetching your progress'
+    });
+  }
+});
+
+// Get the current user's progress through a multi-stage puzzle
+router.get('/:id/progress', protect, [
+  param('id').isMongoId().withMessage('Invalid puzzle ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const puzzle = await Puzzle.findOne({
+      _id: req.params.id,
+      status: { $ne: 'deleted' }
+    }).select('clue stageCount posthumous activatedAt +stages');
+
+    if (!puzzle || !puzzle.isVisible()) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Puzzle not found'
+      });
+    }
+
+    const progress = await PuzzleProgress.findOne({ puzzleId: puzzle._id, userId: req.user._id });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        progress: stageService.describe(puzzle, progress)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get puzzle progress error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while fetching progress'
+    });
+  }
+});
+
+// Get the hints of a puzzle, with the text of those the user has unlocked
+router.get('/:id/hints', optionalAuth, [
+  param('id').isMongoId().withMessage('Invalid puzzle ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const puzzle = await Puzzle.findOne({
+      _id: req.params.id,
+      status: { $ne: 'deleted' }
+    }).select('creatorId posthumous activatedAt attempts +hints +hintUnlocks');
+
+    const userId = req.user ? req.user._id : null;
+    const isCreator = userId && puzzle && puzzle.creatorId.toString() === userId.toString();
+    if (!puzzle || (!puzzle.isVisible() && !isCreator)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Puzzle not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      results: puzzle.hints.length,
+      data: {
+        hints: hintService.describe(puzzle, userId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get hints error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while fetching hints'
+    });
+  }
+});
+
+// Unlock a hint (free once its gate opens, otherwise paid from the wallet)
+router.post('/:id/hints/:n/unlock', protect, [
+  param('id').isMongoId().withMessage('Invalid puzzle ID'),
+  param('n').isInt({ min: 1, max: 10 }).toInt().withMessage('Invalid hint number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const puzzle = await Puzzle.findOne({
+      _id: req.params.id,
+      status: 'active'
+    }).select('creatorId solved status posthumous activatedAt attempts +hints +hintUnlocks');
+
+    if (!puzzle || !puzzle.isVisible()) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Puzzle not found'
+      });
+    }
+
+    const result = await hintService.unlock(puzzle, req.user, req.params.n);
+
+    res.status(200).json({
+      status: 'success',
+      message: result.charged > 0 ? 'Hint purchased successfully' : 'Hint unlocked',
+      data: {
+        hint: {
+          number: req.params.n,
+          text: result.hint.text,
+          unlockedBy: result.method
+        },
+        charged: result.charged,
+        transaction: result.transaction ? {
+          id: result.transaction.transactionId,
+          amount: result.charged,
+          newBalance: result.newBalance
+        } : null
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'Hint not found') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Hint not found'
+      });
+    }
+
+    if (error.message === 'Hint is still locked') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'This hint is still locked'
+      });
+    }
+
+    if (error.message === 'Hint already unlocked') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This hint has already been unlocked'
+      });
+    }
+
+    if ([
+      'Insufficient balance',
+      'Creators can already see all of their hints',
+      'Hints can only be bought for open puzzles'
+    ].includes(error.message)) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Unlock hint error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while unlocking hint'
+    });
+  }
+});
+
+// Get heirs of a puzzle (creator or admin)
+router.get('/:id/heirs', protect, [
+  param('id').isMongoId().withMessage('Invalid puzzle ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const puzzle = await Puzzle.findById(req.params.id).select('+heirs');
+
+    if (!puzzle) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Puzzle not found'
+      });
+    }
+
+    if (puzzle.creatorId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only view heirs of your own puzzles'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        heirs: puzzle.getHeirSummary(),
+        inheritanceReleases: puzzle.inheritanceReleases
+      }
+    });
+
+  } catch (error) {
+    console.error('Get heirs error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while fetching heirs'
+    });
+  }
+});
+
+// Replace heirs of a puzzle (creator only)
+router.put('/:id/heirs', protect, [
+  param('id').isMongoId().withMessage('Invalid puzzle ID'),
+  body('heirs')
+    .isArray({ max: 10 })
+    .withMessage('Heirs must be an array with maximum 10 items'),
+  ...heirsValidation.slice(1)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Invite token hashes are selected so saving keeps pending invitations valid
+    const puzzle = await Puzzle.findById(req.params.id).select('+heirs +heirs.inviteTokenHash');
+
+    if (!puzzle || puzzle.status === 'deleted') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Puzzle not found'
+      });
+    }
+
+    if (puzzle.creatorId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only change heirs of your own puzzles'
+      });
+    }
+
+    if (puzzle.inheritanceReleases.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Heirs cannot be changed after the inheritance has been released'
+      });
+    }
+
+    let resolved;
+    try {
+      resolved = await heirService.resolve(req.body.heirs, req.user._id);
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    // Keep existing links and pending invitations for heirs that stay
+    const existing = new Map(puzzle.heirs.map(heir => [heir.email, heir]));
+    const kept = resolved.heirs.map(heir => existing.get(heir.email) || heir);
+    const invitations = resolved.invitations.filter(invite => !existing.has(invite.email));
+    const added = kept.filter(heir => !existing.has(heir.email));
+
+    puzzle.heirs = kept;
+    await puzzle.save();
+
+    const invitationLinks = await heirService.notify(puzzle, added, invitations, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Heirs updated successfully',
+      data: {
+        heirs: puzzle.getHeirSummary(),
+        invitations: invitationLinks
+      }
+    });
+
+  } catch (error) {
+    console.error('Update heirs error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while updating heirs'
+    });
+  }
+});
+
+// Accept an heir invitation
+router.post('/invitations/:token/accept', protect, [
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid invitation token')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await heirService.acceptInvitation(req.params.token, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation accepted. You are now an heir of this puzzle.',
+      data: {
+        puzzle: {
+          _id: result.puzzleId,
+          title: result.title
+        }
+      }
+    });
+
+  } catch (error) {
+    if (/invitation|heir/i.test(error.message)) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while accepting invitation'
+    });
+  }
+});
+
+// Get puzzles the current user is an heir of
+router.get('/user/inheritances', protect, async (req, res) => {
+  try {
+    const puzzles = await Puzzle.find({
+      'heirs.userId': req.user._id,
+      status: { $ne: 'deleted' }
+    })
+      .populate('creatorId', 'profile.firstName profile.lastName')
+      .select('title description clue value solved status expiresAt posthumous activatedAt inheritanceReleases')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: puzzles.length,
+      data: {
+        puzzles: puzzles.map(puzzle => ({
+          ...puzzle.toObject(),
+          clue: puzzle.isVisible() ? puzzle.clue : undefined,
+          inheritanceReleases: undefined,
+          inheritanceUnlocked: puzzle.hasReleasedInheritanceTo(req.user._id)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get inheritances error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Something went wrong while fetching your inheritances'
+    });
+  }
+});
+
 // Get user's puzzles
 router.get('/user/my-puzzles', protect, [
   query('status')
@@ -730,29 +1472,34 @@ router.delete('/:id', protect, [
       });
     }
 
-    // Soft delete - mark as deleted instead of removing
-    puzzle.status = 'deleted';
-    await puzzle.save();
+    // Expired puzzles have already been refunded
+    if (puzzle.status === 'expired') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot delete an expired puzzle'
+      });
+    }
+
+    // Soft delete and refund the creator (puzzle value + admin fee) together.
+    // The guard on the update stops a puzzle from being refunded twice.
+    const { transaction, wallets, amount: refundAmount } = await runInTransaction(async (session) => {
+      const deleted = await Puzzle.findOneAndUpdate(
+        { _id: puzzle._id, solved: false, status: { $in: ['active', 'suspended'] } },
+        { $set: { status: 'deleted' } },
+        { new: true, session }
+      );
 
-    // Refund the creator (puzzle value + admin fee)
-    const refundAmount = puzzle.value + 1;
-    await req.user.updateBalance(refundAmount);
-
-    // Create refund transaction
-    const transaction = new Transaction({
-      type: 'refund',
-      toUserId: req.user._id,
-      puzzleId: puzzle._id,
-      amount: { usd: refundAmount },
-      fees: { adminFee: 0 },
-      paymentMethod: { type: 'internal', details: { source: 'puzzle_deletion_refund' } },
-      status: 'completed',
-      processedAt: new Date(),
-      metadata: {
-        description: `Refund for deleted puzzle: ${puzzle.title}`
+      if (!deleted) {
+        throw new Error('Puzzle already solved or deleted');
       }
+
+      return escrow.refund(puzzle, {
+        reason: 'Puzzle deleted',
+        adminFee: puzzle.payment.adminFee,
+        source: 'puzzle_deletion_refund',
+        session
+      });
     });
-    await transaction.save();
 
     res.status(200).json({
       status: 'success',
@@ -761,12 +1508,19 @@ router.delete('/:id', protect, [
         refund: {
           amount: refundAmount,
           transactionId: transaction.transactionId,
-          newBalance: req.user.wallet.balance
+          newBalance: wallets[puzzle.creatorId.toString()].balance
         }
       }
     });
 
   } catch (error) {
+    if (error.message === 'Puzzle already solved or deleted') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This puzzle has already been solved or deleted'
+      });
+    }
+
     console.error('Delete puzzle error:', error);
     res.status(500).json({
       status: 'error',
@@ -1,122 +1,39 @@
 const express = require('express');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const Transaction = require('../models/Transaction');
-const User = require('../models/User');
+const stripeService = require('../services/stripe');
+const stripeWebhooks = require('../services/stripeWebhooks');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Stripe webhook endpoint
-router.post('/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
+// Stripe webhook endpoint. Mounted before the JSON body parser so the raw
+// body is available for signature verification.
+router.post('/stripe', express.raw({ type: 'application/json', limit: '1mb' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
   let event;
 
+  if (!sig) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Missing Stripe signature'
+    });
+  }
+
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+    event = stripeService.verifyWebhookSignature(req.body, sig);
   } catch (err) {
     logger.error('Webhook signature verification failed:', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
   try {
-    // Handle the event
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentIntentSucceeded(event.data.object);
-        break;
-      
-      case 'payment_intent.payment_failed':
-        await handlePaymentIntentFailed(event.data.object);
-        break;
-      
-      case 'charge.dispute.created':
-        await handleChargeDispute(event.data.object);
-        break;
-      
-      default:
-        logger.info(`Unhandled event type: ${event.type}`);
-    }
+    const { duplicate } = await stripeWebhooks.handle(event);
 
-    res.json({ received: true });
+    res.json({ received: true, duplicate });
   } catch (error) {
-    logger.error('Webhook processing error:', error);
+    // Stripe redelivers the event, which retries it
+    logger.error(`Webhook processing error for ${event.type} ${event.id}:`, error);
     res.status(500).json({ error: 'Webhook processing failed' });
   }
 });
 
-// Handle successful payment
-async function handlePaymentIntentSucceeded(paymentIntent) {
-  try {
-    const transaction = await Transaction.findOne({
-      'paymentMethod.details.paymentIntentId': paymentIntent.id
-    });
-
-    if (!transaction) {
-      logger.warn(`No transaction found for payment intent: ${paymentIntent.id}`);
-      return;
-    }
-
-    if (transaction.status === 'completed') {
-      logger.info(`Transaction ${transaction.transactionId} already completed`);
-      return;
-    }
-
-    // Update user balance
-    const user = await User.findById(transaction.toUserId);
-    if (user) {
-      await user.updateBalance(transaction.amount.usd);
-    }
-
-    // Mark transaction as completed
-    await transaction.markCompleted(null, paymentIntent.id);
-
-    logger.info(`Payment completed for transaction: ${transaction.transactionId}`);
-  } catch (error) {
-    logger.error('Error handling payment success:', error);
-  }
-}
-
-// Handle failed payment
-async function handlePaymentIntentFailed(paymentIntent) {
-  try {
-    const transaction = await Transaction.findOne({
-      'paymentMethod.details.paymentIntentId': paymentIntent.id
-    });
-
-    if (!transaction) {
-      logger.warn(`No transaction found for failed payment intent: ${paymentIntent.id}`);
-      return;
-    }
-
-    // Mark transaction as failed
-    transaction.status = 'failed';
-    transaction.failureReason = paymentIntent.last_payment_error?.message || 'Payment failed';
-    await transaction.save();
-
-    logger.info(`Payment failed for transaction: ${transaction.transactionId}`);
-  } catch (error) {
-    logger.error('Error handling payment failure:', error);
-  }
-}
-
-// Handle charge dispute
-async function handleChargeDispute(dispute) {
-  try {
-    const transaction = await Transaction.findOne({
-      blockchainTxHash: dispute.charge
-    });
-
-    if (transaction) {
-      // Mark transaction as disputed
-      transaction.status = 'disputed';
-      transaction.disputeId = dispute.id;
-      await transaction.save();
-
-      logger.warn(`Dispute created for transaction: ${transaction.transactionId}`);
-    }
-  } catch (error) {
-    logger.error('Error handling charge dispute:', error);
-  }
-}
-
 module.exports = router;
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Puzzle = require('../models/Puzzle');
+const Transaction = require('../models/Transaction');
+const JournalEntry = require('../models/JournalEntry');
+const ledger = require('../services/ledger');
+require('dotenv').config();
+
+// One-off migration: record escrow state for open puzzles created before
+// escrow tracking. Their value was already taken from the creator, so it is
+// moved into the escrow account (from the opening balance if the creation
+// predates the ledger).
+async function backfillEscrow() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    const puzzles = await Puzzle.find({
+      'payment.escrow.status': { $in: ['unfunded', null] },
+      solved: false,
+      status: { $ne: 'deleted' }
+    });
+
+    for (const puzzle of puzzles) {
+      const creation = await Transaction.findOne({
+        type: 'puzzle_creation',
+        puzzleId: puzzle._id,
+        journalEntryId: { $ne: null }
+      });
+
+      let fundingEntryId = creation ? creation.journalEntryId : null;
+
+      if (!fundingEntryId) {
+        // Post directly: no wallet is affected by this entry
+        const entry = new JournalEntry({
+          description: `Escrow backfill for puzzle ${puzzle._id}`,
+          lines: ledger.transfer(ledger.accounts.OPENING_BALANCE, ledger.accounts.ESCROW, puzzle.value),
+          status: 'posted',
+          postedAt: new Date()
+        });
+        await entry.save();
+        fundingEntryId = entry._id;
+      }
+
+      await Puzzle.updateOne({ _id: puzzle._id }, {
+        $set: {
+          'payment.escrow': {
+            status: 'funded',
+            amount: puzzle.value,
+            fundedAt: puzzle.createdAt,
+            fundingEntryId
+          }
+        }
+      });
+
+      console.log(`Escrow funded for puzzle ${puzzle._id} ($${puzzle.value})`);
+    }
+
+    console.log(`✅ Escrow backfilled for ${puzzles.length} puzzles`);
+
+  } catch (error) {
+    console.error('❌ Error backfilling escrow:', error.message);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+backfillEscrow();
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Puzzle = require('../models/Puzzle');
+const encryption = require('../utils/encryption');
+const answers = require('../utils/answers');
+require('dotenv').config();
+
+// One-off migration: replace plaintext answers with salted hashes and reseal
+// each inheritance with a key derived from the answer normalized by the
+// puzzle's policy. Works on puzzles whose inheritance is still plaintext as
+// well as ones already sealed by scripts/sealInheritances.js.
+async function hashAnswers() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    const puzzles = await Puzzle.find({
+      answer: { $exists: true, $ne: null }
+    }).select('+answer +inheritance +sealedInheritance');
+
+    let migrated = 0;
+
+    for (const puzzle of puzzles) {
+      const inheritance = puzzle.sealedInheritance
+        ? await encryption.open(puzzle.sealedInheritance, answers.legacyNormalize(puzzle.answer))
+        : puzzle.inheritance;
+
+      if (inheritance === null || inheritance === undefined) {
+        console.log(`⚠️ Could not recover the inheritance of puzzle ${puzzle._id}, skipped`);
+        continue;
+      }
+
+      const accepted = answers.normalizeAnswers([puzzle.answer], puzzle.answerPolicy);
+      const answerHashes = await Promise.all(accepted.map(answer => answers.hashAnswer(answer)));
+      const sealedInheritance = await encryption.seal(inheritance, accepted);
+
+      // Only drop the plaintext answer if nobody changed it meanwhile
+      const result = await Puzzle.updateOne(
+        { _id: puzzle._id, answer: puzzle.answer },
+        {
+          $set: {
+            answerHashes,
+            sealedInheritance,
+            answerPolicy: puzzle.answerPolicy.toObject()
+          },
+          $unset: { answer: '', inheritance: '' }
+        }
+      );
+
+      if (result.modifiedCount === 0) {
+        console.log(`⚠️ Puzzle ${puzzle._id} changed during migration, skipped`);
+        continue;
+      }
+
+      migrated++;
+      console.log(`Answer hashed for puzzle ${puzzle._id}`);
+    }
+
+    console.log(`✅ Hashed answers for ${migrated} of ${puzzles.length} puzzles`);
+
+  } catch (error) {
+    console.error('❌ Error hashing answers:', error.message);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+hashAnswers();
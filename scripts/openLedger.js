@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const ledger = require('../services/ledger');
+require('dotenv').config();
+
+// One-off migration: post an opening balance for every wallet that existed
+// before the ledger, so wallet balances reconcile against journal entries.
+async function openLedger() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    const users = await User.find({ 'wallet.balance': { $gt: 0 } }).select('email wallet');
+    let opened = 0;
+
+    for (const user of users) {
+      const account = ledger.accounts.user(user._id);
+      const hasEntries = await JournalEntry.exists({ 'lines.account': account });
+      if (hasEntries) {
+        console.log(`Skipping ${user.email}: ledger account already has entries`);
+        continue;
+      }
+
+      // Post directly so the wallet projection is not applied a second time
+      const entry = new JournalEntry({
+        description: `Opening balance for ${user.email}`,
+        lines: ledger.transfer(ledger.accounts.OPENING_BALANCE, account, user.wallet.balance),
+        status: 'posted',
+        postedAt: new Date()
+      });
+      await entry.save();
+
+      opened++;
+      console.log(`Opened ${account} with $${user.wallet.balance}`);
+    }
+
+    console.log(`✅ Opening balances posted for ${opened} of ${users.length} wallets`);
+
+  } catch (error) {
+    console.error('❌ Error opening ledger:', error.message);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+openLedger();
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Puzzle = require('../models/Puzzle');
+const encryption = require('../utils/encryption');
+const answers = require('../utils/answers');
+require('dotenv').config();
+
+// One-off migration: encrypt plaintext inheritances of existing puzzles with
+// their answer and drop the plaintext, along with stored correct answers
+// from attempt history (they would decrypt the inheritance).
+async function sealInheritances() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    const puzzles = await Puzzle.find({
+      inheritance: { $exists: true, $ne: null },
+      answer: { $exists: true, $ne: null }
+    }).select('+answer +inheritance');
+
+    for (const puzzle of puzzles) {
+      // Puzzles that still have a plaintext answer use the legacy normalization
+      const sealedInheritance = await encryption.seal(puzzle.inheritance, [answers.legacyNormalize(puzzle.answer)]);
+
+      // Only clear the plaintext if nobody changed it meanwhile
+      const result = await Puzzle.updateOne(
+        { _id: puzzle._id, inheritance: puzzle.inheritance },
+        {
+          $set: { sealedInheritance },
+          $unset: { inheritance: '' }
+        }
+      );
+
+      if (result.modifiedCount === 0) {
+        console.log(`⚠️ Puzzle ${puzzle._id} changed during migration, skipped`);
+        continue;
+      }
+
+      console.log(`Inheritance sealed for puzzle ${puzzle._id}`);
+    }
+
+    const redacted = await Puzzle.updateMany(
+      { 'attempts.isCorrect': true },
+      { $unset: { 'attempts.$[attempt].answer': '' } },
+      { arrayFilters: [{ 'attempt.isCorrect': true }] }
+    );
+
+    console.log(`✅ Sealed ${puzzles.length} inheritances, redacted correct attempts on ${redacted.modifiedCount} puzzles`);
+
+  } catch (error) {
+    console.error('❌ Error sealing inheritances:', error.message);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  }
+}
+
+sealInheritances();
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const ledger = require('../services/ledger');
 require('dotenv').config();
 
 async function seedAdmin() {
@@ -35,6 +36,17 @@ async function seedAdmin() {
       adminLastName
     );
 
+    // Admin starts with $10,000, posted as an opening balance
+    const { wallets } = await ledger.post({
+      description: 'Opening balance for platform administrator',
+      lines: ledger.transfer(
+        ledger.accounts.OPENING_BALANCE,
+        ledger.accounts.user(admin._id),
+        10000
+      )
+    });
+    admin.wallet = wallets[admin._id.toString()];
+
     console.log('✅ Admin user created successfully!');
     console.log('📧 Email:', admin.email);
     console.log('🆔 ID:', admin._id);
@@ -0,0 +1,201 @@
+const ApprovalRequest = require('../models/ApprovalRequest');
+const Transaction = require('../models/Transaction');
+const settings = require('./settings');
+const refunds = require('./refunds');
+const withdrawals = require('./withdrawals');
+
+// How long an approving admin has to carry a request out before recover()
+// treats it as interrupted. Far longer than a refund or payout takes, so a
+// request that is still running is not taken over.
+const LEASE_MS = 10 * 60 * 1000;
+
+// Four-eyes approval for large refunds and withdrawals. Requests above the
+// configured thresholds are queued and only carried out once a second,
+// different admin approves them.
+//
+//   pending -> approved -> executed / failed
+//      \
+//       `--> rejected / expired
+//
+// The refund or withdrawal records the request it was made for, so
+// recover() can finish a request left approved by a crash without moving
+// funds twice.
+class ApprovalService {
+  // Check whether an amount is large enough to need a second admin
+  async requiresApproval(type, amount) {
+    const { approvals } = await settings.get();
+    const threshold = type === 'refund' ? approvals.refundThreshold : approvals.withdrawalThreshold;
+    return amount > threshold;
+  }
+
+  // Queue a refund or withdrawal for approval
+  async request(type, fields) {
+    const { approvals } = await settings.get();
+
+    try {
+      return await ApprovalRequest.create({
+        ...fields,
+        type,
+        expiresAt: new Date(Date.now() + approvals.expiryHours * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('A refund for this transaction is already awaiting approval');
+      }
+      throw error;
+    }
+  }
+
+  // Approve a pending request and carry it out
+  async approve(id, admin, now = new Date()) {
+    const approval = await ApprovalRequest.claim(id, admin._id, now, new Date(now.getTime() + LEASE_MS));
+
+    if (!approval) {
+      const existing = await ApprovalRequest.findById(id);
+      if (!existing) {
+        throw new Error('Approval request not found');
+      }
+      if (existing.requestedBy.toString() === admin._id.toString()) {
+        throw new Error('A different admin must approve this request');
+      }
+      if (existing.status === 'pending' && existing.isExpired(now)) {
+        throw new Error('Approval request has expired');
+      }
+      throw new Error(`Approval request is already ${existing.status}`);
+    }
+
+    return this.run(approval, admin);
+  }
+
+  // Carry out a request we hold and record its outcome
+  async run(approval, admin) {
+    try {
+      approval.result = await this.execute(approval, admin);
+      approval.status = 'executed';
+      approval.executedAt = new Date();
+    } catch (error) {
+      approval.status = 'failed';
+      approval.error = error.message;
+    }
+
+    approval.lockedUntil = null;
+    await approval.save();
+    return approval;
+  }
+
+  // Reject a pending request; nothing is moved
+  async reject(id, admin, reason, now = new Date()) {
+    const approval = await ApprovalRequest.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { $set: { status: 'rejected', rejectedBy: admin._id, rejectedAt: now, rejectionReason: reason } },
+      { new: true }
+    );
+
+    if (!approval) {
+      const existing = await ApprovalRequest.findById(id);
+      throw new Error(existing ? `Approval request is already ${existing.status}` : 'Approval request not found');
+    }
+
+    return approval;
+  }
+
+  // Move the funds for an approved request
+  async execute(approval, admin) {
+    if (approval.type === 'refund') {
+      const transaction = await Transaction.findById(approval.transactionId)
+        .populate('fromUserId')
+        .populate('toUserId');
+
+      if (!transaction) {
+        throw new Error('Transaction not found');
+      }
+
+      const { refundTransaction } = await refunds.refund(transaction, {
+        reason: approval.reason,
+        adminId: approval.requestedBy,
+        approvedBy: admin._id,
+        approvalRequestId: approval._id
+      });
+
+      return { transactionId: refundTransaction.transactionId, txHash: null };
+    }
+
+    const { paymentMethod, destination, token } = approval.withdrawal;
+    const result = await withdrawals.process(approval.userId, paymentMethod, approval.amount, destination, {
+      token,
+      approvalRequestId: approval._id
+    });
+
+    return {
+      transactionId: result.transaction.transactionId,
+      txHash: result.txHash || null
+    };
+  }
+
+  // Expire pending requests nobody approved in time
+  async expire(now = new Date()) {
+    return ApprovalRequest.expireDue(now);
+  }
+
+  // Finish approved requests whose execution was interrupted. A request
+  // whose refund or withdrawal was recorded takes that outcome; one with
+  // nothing recorded never moved funds, so it is carried out again.
+  async recover({ now = new Date(), limit = 50 } = {}) {
+    const summary = { executed: 0, failed: 0, skipped: 0, errors: [] };
+
+    const interrupted = await ApprovalRequest.find({
+      status: 'approved',
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    })
+      .select('_id')
+      .sort({ approvedAt: 1 })
+      .limit(limit);
+
+    for (const { _id } of interrupted) {
+      const approval = await ApprovalRequest.reclaim(_id, now, new Date(now.getTime() + LEASE_MS));
+      if (!approval) {
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        const transaction = await Transaction.findOne({ approvalRequestId: approval._id });
+
+        if (transaction) {
+          this.recordOutcome(approval, transaction, now);
+          await approval.save();
+        } else {
+          await this.run(approval, { _id: approval.approvedBy });
+        }
+
+        summary[approval.status]++;
+      } catch (error) {
+        console.error(`Approval recovery error for ${approval._id}:`, error);
+        summary.errors.push({ approvalId: approval._id, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  // Mark a request with the outcome of the refund or withdrawal made for it.
+  // A withdrawal still in flight counts as executed, as it does when
+  // approved; the withdrawals job settles it from here.
+  recordOutcome(approval, transaction, now = new Date()) {
+    if (transaction.withdrawal?.state === 'failed') {
+      approval.status = 'failed';
+      approval.error = `Failed to process withdrawal: ${transaction.failureReason}`;
+    } else {
+      approval.status = 'executed';
+      approval.executedAt = now;
+      approval.result = {
+        transactionId: transaction.transactionId,
+        txHash: transaction.blockchainTxHash || transaction.externalTransactionId || null
+      };
+    }
+
+    approval.lockedUntil = null;
+  }
+}
+
+module.exports = new ApprovalService();
@@ -0,0 +1,69 @@
+const AuditLog = require('../models/AuditLog');
+
+// Plain JSON copy of a snapshot (documents, ObjectIds and dates become plain values)
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Flatten nested objects into dotted paths; arrays are compared as whole values
+const flatten = (value, prefix = '', result = {}) => {
+  if (!isPlainObject(value)) {
+    result[prefix] = value;
+    return result;
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    flatten(child, prefix ? `${prefix}.${key}` : key, result);
+  }
+  return result;
+};
+
+// Records who did what to which account, puzzle, transaction or setting
+class AuditService {
+  // List the fields that differ between two snapshots
+  diff(before = {}, after = {}) {
+    const from = flatten(toPlain(before) || {});
+    const to = flatten(toPlain(after) || {});
+    const paths = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+    return paths
+      .filter(path => JSON.stringify(from[path]) !== JSON.stringify(to[path]))
+      .map(path => ({ path, from: from[path] ?? null, to: to[path] ?? null }));
+  }
+
+  // Append an entry for a privileged action taken in a request. Failing to
+  // write the entry is logged but never undoes the action itself.
+  async record(req, { action, target, before, after, changes, reason = null, outcome = 'success', error = null, metadata = {} }) {
+    try {
+      return await AuditLog.append({
+        actor: {
+          userId: req.user ? req.user._id : null,
+          email: req.user ? req.user.email : null,
+          role: req.user ? req.user.role : null
+        },
+        action,
+        target: {
+          type: target.type,
+          id: target.id ? target.id.toString() : null
+        },
+        outcome,
+        changes: changes || this.diff(before, after),
+        reason: reason || null,
+        error: error ? error.message || String(error) : null,
+        metadata: toPlain(metadata),
+        ipAddress: req.ip || (req.connection && req.connection.remoteAddress) || null,
+        userAgent: req.get ? req.get('User-Agent') || null : null
+      });
+    } catch (auditError) {
+      console.error(`Audit log error (${action}):`, auditError);
+      return null;
+    }
+  }
+
+  // Record a privileged action that failed
+  recordFailure(req, { action, target, reason, error, metadata }) {
+    return this.record(req, { action, target, reason, error, metadata, changes: [], outcome: 'failure' });
+  }
+}
+
+module.exports = new AuditService();
@@ -1,15 +1,45 @@
 const bitcoin = require('bitcoinjs-lib');
 const ecc = require('tiny-secp256k1');
 const ECPairFactory = require('ecpair');
+const { BIP32Factory } = require('bip32');
 const axios = require('axios');
 const User = require('../models/User');
 const TransactionModel = require('../models/Transaction');
+const DepositAddress = require('../models/DepositAddress');
+const DepositClaim = require('../models/DepositClaim');
+const ledger = require('./ledger');
+const depositClaims = require('./depositClaims');
+const settings = require('./settings');
+const priceOracle = require('./priceOracle');
+const { runInTransaction } = require('../utils/db');
 
 // Initialize bitcoinjs-lib with tiny-secp256k1
 bitcoin.initEccLib(ecc);
 
 // Initialize ECPair with secp256k1 implementation
 const ECPair = ECPairFactory.ECPairFactory(ecc);
+const bip32 = BIP32Factory(ecc);
+
+// Consecutive unused addresses wallet software checks before it stops looking
+const GAP_LIMIT = 20;
+// How long after a deposit request expires a late payment is still credited
+const LATE_PAYMENT_GRACE_MS = 7 * 24 * 60 * 60 * 1000;
+// How long a deposit request, and the price quoted for it, is valid
+const DEPOSIT_TTL_MS = 60 * 60 * 1000;
+// Credited deposits are watched for reorgs until buried this many blocks deep
+const REORG_WATCH_DEPTH = 12;
+
+// Platform address types, native SegWit by default
+const ADDRESS_TYPES = ['p2wpkh', 'p2tr', 'p2pkh'];
+// Virtual size of spending one input of each type, with its signature
+const INPUT_VBYTES = { p2pkh: 148, p2wpkh: 68, p2tr: 57.5 };
+// Outputs below this are uneconomical to spend and not relayed
+const DUST_LIMIT = 546;
+// Input sequence that signals the transaction can be replaced (BIP 125)
+const RBF_SEQUENCE = 0xfffffffd;
+
+// X-only public key used by Taproot
+const toXOnly = (pubkey) => pubkey.subarray(1, 33);
 
 class BitcoinService {
   constructor() {
@@ -33,23 +63,38 @@ class BitcoinService {
       console.warn('Bitcoin platform wallet not configured - please set BITCOIN_PLATFORM_PRIVATE_KEY environment variable');
     }
 
+    this.addressType = ADDRESS_TYPES.includes(process.env.BITCOIN_ADDRESS_TYPE)
+      ? process.env.BITCOIN_ADDRESS_TYPE
+      : 'p2wpkh';
+
+    // Deposits are received on addresses derived from an extended public
+    // key, one per deposit request. The matching private key stays offline.
+    this.depositNode = null;
+
+    if (process.env.BITCOIN_DEPOSIT_XPUB) {
+      try {
+        this.depositNode = bip32.fromBase58(process.env.BITCOIN_DEPOSIT_XPUB, this.network);
+        if (!this.depositNode.isNeutered()) {
+          console.warn('BITCOIN_DEPOSIT_XPUB is a private key; only the extended public key is needed');
+          this.depositNode = this.depositNode.neutered();
+        }
+      } catch (error) {
+        console.error('Invalid Bitcoin deposit xpub:', error.message);
+        this.depositNode = null;
+      }
+    } else {
+      console.warn('Bitcoin deposit xpub not configured - deposits fall back to the single platform address');
+    }
+
     // API endpoints for blockchain data
     this.apiBaseUrl = process.env.BITCOIN_NETWORK === 'mainnet'
       ? 'https://blockstream.info/api'
       : 'https://blockstream.info/testnet/api';
   }
 
-  // Get BTC to USD exchange rate
+  // Get BTC to USD exchange rate; throws when no fresh price is available
   async getBtcToUsdRate() {
-    try {
-      // In production, you'd use a real price API like CoinGecko
-      const response = await axios.get('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd');
-      return response.data.bitcoin.usd;
-    } catch (error) {
-      console.error('Error fetching BTC price:', error);
-      // Fallback price if API fails
-      return 50000; // $50,000 per BTC as fallback
-    }
+    return priceOracle.getUsdRate('BTC');
   }
 
   // Convert USD to BTC
@@ -84,13 +129,18 @@ class BitcoinService {
     }
   }
 
-  // Generate Bitcoin address from public key
-  getAddressFromKeyPair(keyPair) {
-    const { address } = bitcoin.payments.p2pkh({ 
-      pubkey: keyPair.publicKey, 
-      network: this.network 
-    });
-    return address;
+  // Generate a Bitcoin address of the given type from a key pair
+  getAddressFromKeyPair(keyPair, type = this.addressType) {
+    const pubkey = Buffer.from(keyPair.publicKey);
+
+    switch (type) {
+      case 'p2pkh':
+        return bitcoin.payments.p2pkh({ pubkey, network: this.network }).address;
+      case 'p2tr':
+        return bitcoin.payments.p2tr({ internalPubkey: toXOnly(pubkey), network: this.network }).address;
+      default:
+        return bitcoin.payments.p2wpkh({ pubkey, network: this.network }).address;
+    }
   }
 
   // Get platform wallet address
@@ -101,6 +151,49 @@ class BitcoinService {
     return this.getAddressFromKeyPair(this.platformWallet);
   }
 
+  // Every address the platform key controls, the configured type first.
+  // Funds left on the other types (e.g. the old P2PKH address) are spent
+  // by withdrawals, with change going to the configured address.
+  getPlatformAddresses() {
+    const types = [this.addressType, ...ADDRESS_TYPES.filter(type => type !== this.addressType)];
+    return types.map(type => ({ type, address: this.getAddressFromKeyPair(this.platformWallet, type) }));
+  }
+
+  // Signer for platform inputs of an address type. Taproot key-path spends
+  // sign with the key tweaked by its (empty) script tree.
+  getSigner(type) {
+    const keyPair = this.platformWallet;
+
+    if (type === 'p2tr') {
+      const tweaked = keyPair.tweak(bitcoin.crypto.taggedHash('TapTweak', toXOnly(Buffer.from(keyPair.publicKey))));
+      return {
+        publicKey: Buffer.from(tweaked.publicKey),
+        signSchnorr: hash => Buffer.from(tweaked.signSchnorr(hash))
+      };
+    }
+
+    return {
+      publicKey: Buffer.from(keyPair.publicKey),
+      sign: hash => Buffer.from(keyPair.sign(hash))
+    };
+  }
+
+  // Fingerprint of the deposit xpub, stored with each derived address
+  getDepositFingerprint() {
+    return Buffer.from(this.depositNode.fingerprint).toString('hex');
+  }
+
+  // Derive the receive address at an index of the deposit xpub (external
+  // chain, native SegWit)
+  deriveDepositAddress(index) {
+    const child = this.depositNode.derive(0).derive(index);
+    const { address } = bitcoin.payments.p2wpkh({
+      pubkey: Buffer.from(child.publicKey),
+      network: this.network
+    });
+    return { address, path: `0/${index}` };
+  }
+
   // Add Bitcoin wallet to user's payment methods
   async addWallet(userId, walletAddress) {
     try {
@@ -191,10 +284,10 @@ class BitcoinService {
     }
   }
 
-  // Create deposit transaction (user sends BTC to platform wallet)
+  // Create deposit transaction (user sends BTC to a fresh deposit address)
   async createDepositTransaction(userId, usdAmount) {
     try {
-      if (!this.platformWallet) {
+      if (!this.depositNode && !this.platformWallet) {
         throw new Error('Bitcoin platform wallet not configured');
       }
 
@@ -203,10 +296,13 @@ class BitcoinService {
         throw new Error('User not found');
       }
 
-      // Convert USD to BTC
-      const btcAmount = await this.usdToBtc(usdAmount);
-      const btcPrice = await this.getBtcToUsdRate();
-      const platformAddress = this.getPlatformAddress();
+      await settings.checkDepositAmount(usdAmount);
+
+      // Lock the BTC price for this deposit; it holds until the deposit expires
+      const quote = await priceOracle.lockQuote('BTC', DEPOSIT_TTL_MS);
+      const btcPrice = quote.price;
+      const btcAmount = usdAmount / btcPrice;
+      const expiresAt = quote.expiresAt;
 
       // Create pending transaction
       const transaction = TransactionModel.createDeposit(
@@ -217,24 +313,52 @@ class BitcoinService {
           details: {
             btcAmount,
             btcPrice,
-            platformWallet: platformAddress,
-            expectedAmount: btcAmount
+            expectedAmount: btcAmount,
+            quote
           }
         },
         null // No external transaction ID yet
       );
+      transaction.amount.crypto = { amount: btcAmount, currency: 'BTC', exchangeRate: btcPrice };
+
+      let depositAddress;
+      if (this.depositNode) {
+        const allocated = await DepositAddress.allocate({
+          chain: 'bitcoin',
+          xpubFingerprint: this.getDepositFingerprint(),
+          derive: index => this.deriveDepositAddress(index),
+          userId,
+          transactionId: transaction._id,
+          expiresAt
+        });
+        depositAddress = allocated.address;
+        transaction.paymentMethod.details = {
+          ...transaction.paymentMethod.details,
+          depositAddress,
+          derivationIndex: allocated.index,
+          derivationPath: allocated.path
+        };
+      } else {
+        depositAddress = this.getPlatformAddress();
+        transaction.paymentMethod.details = {
+          ...transaction.paymentMethod.details,
+          platformWallet: depositAddress
+        };
+      }
 
       await transaction.save();
 
       return {
         transaction,
         depositInfo: {
-          platformWallet: platformAddress,
+          depositAddress,
+          // Kept for clients reading the old field name
+          platformWallet: depositAddress,
           btcAmount,
           usdAmount,
           btcPrice,
           transactionId: transaction.transactionId,
-          expiresAt: new Date(Date.now() + 60 * 60 * 1000) // 1 hour
+          expiresAt
         }
       };
 
@@ -268,36 +392,81 @@ class BitcoinService {
         throw new Error('Transaction not found on blockchain');
       }
 
-      // Verify the transaction details
-      const platformAddress = this.getPlatformAddress();
-      const expectedAmount = this.btcToSatoshis(transaction.paymentMethod.details.expectedAmount);
+      // Verify the transaction details. Deposits made without per-deposit
+      // addresses were paid to the platform address recorded at the time.
+      const { details } = transaction.paymentMethod;
+      const depositAddress = details.depositAddress || details.platformWallet || this.getPlatformAddress();
+
+      // The locked price holds for payments sent before the quote expired
+      const firstSeenAt = transaction.confirmation?.txHash === txHash && transaction.confirmation.seenAt;
+      const blockTime = txInfo.status?.block_time ? new Date(txInfo.status.block_time * 1000) : null;
+      const paidAt = new Date(Math.min(...[firstSeenAt, blockTime, new Date()].filter(Boolean).map(Number)));
+      const expectedAmount = this.btcToSatoshis(await this.getExpectedAmount(transaction, paidAt));
 
-      // Check if transaction was to our platform wallet
+      // Check if transaction was to the deposit address
       let receivedAmount = 0;
-      for (const output of txInfo.vout) {
-        if (output.scriptpubkey_address === platformAddress) {
+      const outputIndexes = [];
+      txInfo.vout.forEach((output, index) => {
+        if (output.scriptpubkey_address === depositAddress) {
           receivedAmount += output.value;
+          outputIndexes.push(index);
         }
-      }
+      });
 
       if (receivedAmount === 0) {
-        throw new Error('Transaction not sent to platform wallet');
+        throw new Error('Transaction not sent to the deposit address');
       }
 
+      const claim = { chain: 'bitcoin', txHash, outputIndexes, transaction };
+      await depositClaims.assertUnclaimed(claim);
+
       // Allow 5% tolerance for amount differences due to price fluctuations
       const tolerance = expectedAmount * 0.05;
       if (Math.abs(receivedAmount - expectedAmount) > tolerance) {
         throw new Error(`Amount mismatch. Expected: ${expectedAmount} satoshis, Received: ${receivedAmount} satoshis`);
       }
 
-      // Update user balance
-      const user = await User.findById(transaction.toUserId);
-      await user.updateBalance(transaction.amount.usd);
+      // Larger deposits wait for more blocks before they are credited
+      const required = await settings.getRequiredConfirmations(transaction.amount.usd);
+      const confirmations = await this.getConfirmations(txInfo.status);
+
+      transaction.confirmation = {
+        state: confirmations >= required ? 'confirmed' : (confirmations > 0 ? 'confirming' : 'seen'),
+        txHash,
+        confirmations,
+        required,
+        blockHeight: txInfo.status?.block_height ?? null,
+        blockHash: txInfo.status?.block_hash ?? null,
+        seenAt: transaction.confirmation?.txHash === txHash ? transaction.confirmation.seenAt : new Date(),
+        lastCheckedAt: new Date()
+      };
+
+      if (confirmations < required) {
+        await transaction.save();
+        return { transaction, confirmations, required, pending: true, alreadyProcessed: false };
+      }
 
-      // Mark transaction as completed
-      await transaction.markCompleted(null, txHash);
+      // Credit the user's wallet and mark the transaction as completed
+      transaction.confirmation.confirmedAt = new Date();
+      transaction.setCompleted(null, txHash);
+      const { wallets } = await depositClaims.credit({
+        ...claim,
+        description: `Bitcoin deposit ${txHash}`,
+        lines: ledger.transfer(
+          ledger.accounts.external('bitcoin'),
+          ledger.accounts.user(transaction.toUserId),
+          transaction.amount.usd
+        )
+      });
 
-      return { transaction, user, alreadyProcessed: false };
+      return {
+        transaction,
+        newBalance: wallets[transaction.toUserId.toString()].balance,
+        confirmations,
+        required,
+        pending: false,
+        alreadyProcessed: false
+      };
 
     } catch (error) {
       console.error('Bitcoin confirm deposit error:', error);
@@ -305,6 +474,47 @@ class BitcoinService {
     }
   }
 
+  // Height of the best chain's tip
+  async getTipHeight() {
+    const response = await axios.get(`${this.apiBaseUrl}/blocks/tip/height`);
+    return Number(response.data);
+  }
+
+  // Confirmations of a transaction with the given Esplora status
+  async getConfirmations(status, tipHeight = null) {
+    if (!status || !status.confirmed) {
+      return 0;
+    }
+    const tip = tipHeight ?? await this.getTipHeight();
+    return Math.max(tip - status.block_height + 1, 0);
+  }
+
+  // Confirmation status of a transaction in the best chain; null if the
+  // node no longer knows it. Unlike getTransaction, lookup failures throw,
+  // so an API outage is never mistaken for a dropped transaction.
+  async getTransactionStatus(txHash) {
+    try {
+      const response = await axios.get(`${this.apiBaseUrl}/tx/${txHash}/status`);
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Amount of BTC a deposit should have paid. The price locked when the
+  // deposit was created holds for payments made before it expired; later
+  // payments are priced at the current rate.
+  async getExpectedAmount(transaction, paidAt) {
+    const { details } = transaction.paymentMethod;
+    if (priceOracle.isQuoteValid(details.quote, paidAt)) {
+      return details.expectedAmount;
+    }
+    return this.usdToBtc(transaction.amount.usd);
+  }
+
   // Get transaction details from blockchain API
   async getTransaction(txHash) {
     try {
@@ -316,132 +526,270 @@ class BitcoinService {
     }
   }
 
-  // Process withdrawal (send BTC from platform wallet to user wallet)
-  async processWithdrawal(userId, usdAmount, userWalletAddress) {
-    try {
-      if (!this.platformWallet) {
-        throw new Error('Bitcoin platform wallet not configured');
+  // Build and sign the payout for a reserved withdrawal. The signed
+  // transaction is stored before broadcasting, so it can be re-sent (with
+  // the same txid) if the process dies in between. It signals RBF, so a
+  // payout stuck at a low fee can be replaced with bumpWithdrawalFee.
+  async prepareWithdrawal(transaction) {
+    if (!this.platformWallet) {
+      throw new Error('Bitcoin platform wallet not configured');
+    }
+
+    const usdAmount = transaction.amount.usd;
+    const userWalletAddress = transaction.withdrawal.destination;
+
+    // Validate user wallet address
+    if (!this.validateAddress(userWalletAddress)) {
+      throw new Error('Invalid user wallet address');
+    }
+
+    // Convert USD to BTC
+    const btcAmount = await this.usdToBtc(usdAmount);
+    const btcPrice = await this.getBtcToUsdRate();
+    const satoshisAmount = this.btcToSatoshis(btcAmount);
+
+    const feeRate = await this.getFeeRate();
+    const payout = await this.buildPayout({
+      destination: userWalletAddress,
+      amount: satoshisAmount,
+      feeRate,
+      utxos: await this.getSpendableUtxos()
+    });
+
+    return {
+      blockchainTxHash: payout.txid,
+      details: {
+        userWallet: userWalletAddress,
+        btcAmount,
+        btcPrice,
+        ...payout.details,
+        txids: [payout.txid]
       }
+    };
+  }
 
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error('User not found');
+  // Replace a broadcast payout with one paying a higher fee rate (BIP 125).
+  // The replacement spends the same inputs, adding more if the change
+  // cannot cover the fee, so only one of the two can ever confirm.
+  async bumpWithdrawalFee(transaction, feeRate = null) {
+    const details = transaction.paymentMethod.details;
+
+    if (!details.inputs || !details.feeRate) {
+      throw new Error('Withdrawal was not sent with replace-by-fee');
+    }
+
+    // Default to the rate for the next block, and always at least 1 sat/vB more
+    const targetRate = feeRate || Math.max(await this.getFeeRate(1), details.feeRate + 1);
+    if (targetRate <= details.feeRate) {
+      throw new Error(`Fee rate must be higher than the current ${details.feeRate} sat/vB`);
+    }
+
+    const spent = new Set(details.inputs.map(input => `${input.txid}:${input.vout}`));
+    const utxos = (await this.getSpendableUtxos()).filter(utxo => !spent.has(`${utxo.txid}:${utxo.vout}`));
+
+    const payout = await this.buildPayout({
+      destination: details.userWallet,
+      amount: details.amountSats,
+      feeRate: targetRate,
+      inputs: details.inputs,
+      utxos
+    });
+
+    // The replacement must also pay for its own relay at 1 sat/vB
+    if (payout.details.feeSats < details.feeSats + payout.details.vsize) {
+      throw new Error('Fee increase is too small to replace the transaction');
+    }
+
+    return {
+      blockchainTxHash: payout.txid,
+      details: {
+        ...payout.details,
+        txids: [...(details.txids || [transaction.blockchainTxHash]), payout.txid]
       }
+    };
+  }
 
-      // Check minimum withdrawal
-      if (usdAmount < 25) {
-        throw new Error('Minimum withdrawal amount is $25');
+  // Unspent outputs of every platform address, confirmed ones first
+  async getSpendableUtxos() {
+    const utxos = [];
+    for (const { type, address } of this.getPlatformAddresses()) {
+      for (const utxo of await this.getAddressUtxos(address)) {
+        utxos.push({ txid: utxo.txid, vout: utxo.vout, value: utxo.value, type, address, confirmed: Boolean(utxo.status?.confirmed) });
       }
+    }
 
-      // Check user balance (including withdrawal fee)
-      const withdrawalFee = 5.00; // Higher fee for Bitcoin due to network fees
-      const totalDeduction = usdAmount + withdrawalFee;
+    return utxos.sort((a, b) => (b.confirmed - a.confirmed) || (b.value - a.value));
+  }
 
-      if (user.wallet.balance < totalDeduction) {
-        throw new Error(`Insufficient balance. You need $${totalDeduction} (amount: $${usdAmount} + fee: $${withdrawalFee})`);
+  // Fee rate (sat/vB) for confirmation within the target number of blocks
+  async getFeeRate(targetBlocks = 6) {
+    try {
+      const response = await axios.get(`${this.apiBaseUrl}/fee-estimates`);
+      const rate = response.data[String(targetBlocks)];
+      if (rate) {
+        return Math.max(Math.ceil(rate), 1);
       }
+    } catch (error) {
+      console.error('Error fetching fee estimates:', error);
+    }
+    return 10; // fallback to 10 sat/vB
+  }
 
-      // Validate user wallet address
-      if (!this.validateAddress(userWalletAddress)) {
-        throw new Error('Invalid user wallet address');
-      }
+  // Virtual size of a transaction spending inputs of the given types to
+  // the given addresses
+  estimateVsize(inputTypes, outputAddresses) {
+    const hasWitness = inputTypes.some(type => type !== 'p2pkh');
+    // Version, locktime and the input and output counts, plus the witness
+    // marker and flag
+    let vsize = 10 + (hasWitness ? 0.5 : 0);
+    for (const type of inputTypes) {
+      vsize += INPUT_VBYTES[type];
+    }
+    for (const address of outputAddresses) {
+      vsize += 9 + bitcoin.address.toOutputScript(address, this.network).length;
+    }
+    return Math.ceil(vsize);
+  }
 
-      // Convert USD to BTC
-      const btcAmount = await this.usdToBtc(usdAmount);
-      const btcPrice = await this.getBtcToUsdRate();
-      const satoshisAmount = this.btcToSatoshis(btcAmount);
+  // Choose the inputs for a payment. Inputs that must be spent (those of a
+  // transaction being replaced) come first; more are taken from utxos until
+  // the amount and the fee at feeRate are covered. Change below the dust
+  // limit is left to the fee.
+  selectInputs({ destination, amount, feeRate, inputs = [], utxos = [] }) {
+    const changeAddress = this.getPlatformAddress();
+    const selected = [...inputs];
+    const pool = [...utxos];
 
-      // Get platform wallet address and UTXOs
-      const platformAddress = this.getPlatformAddress();
-      const utxos = await this.getAddressUtxos(platformAddress);
+    for (;;) {
+      const inputValue = selected.reduce((sum, input) => sum + input.value, 0);
+      const inputTypes = selected.map(input => input.type);
 
-      if (utxos.length === 0) {
-        throw new Error('No UTXOs available in platform wallet');
-      }
+      const fee = Math.ceil(this.estimateVsize(inputTypes, [destination, changeAddress]) * feeRate);
+      const change = inputValue - amount - fee;
 
-      // Calculate total available balance
-      const totalBalance = utxos.reduce((sum, utxo) => sum + utxo.value, 0);
-      const networkFee = 10000; // 0.0001 BTC network fee (adjust based on network conditions)
+      if (selected.length > 0 && change >= DUST_LIMIT) {
+        return { selected, fee, change };
+      }
+      if (selected.length > 0 && change >= 0) {
+        return { selected, fee: fee + change, change: 0 };
+      }
 
-      if (totalBalance < satoshisAmount + networkFee) {
+      const next = pool.shift();
+      if (!next) {
         throw new Error('Insufficient platform wallet balance for withdrawal');
       }
+      selected.push(next);
+    }
+  }
 
-      // Create Bitcoin transaction
-      const psbt = new bitcoin.Psbt({ network: this.network });
-
-      // Add inputs (UTXOs)
-      let inputAmount = 0;
-      for (const utxo of utxos) {
-        if (inputAmount >= satoshisAmount + networkFee) break;
-        
-        psbt.addInput({
-          hash: utxo.txid,
-          index: utxo.vout,
-          witnessUtxo: {
-            script: bitcoin.address.toOutputScript(platformAddress, this.network),
-            value: utxo.value,
-          },
-        });
-        inputAmount += utxo.value;
-      }
+  // Build and sign a payout from the platform wallet
+  async buildPayout({ destination, amount, feeRate, inputs = [], utxos = [] }) {
+    const changeAddress = this.getPlatformAddress();
+    const { selected, fee, change } = this.selectInputs({ destination, amount, feeRate, inputs, utxos });
 
-      // Add output to user wallet
-      psbt.addOutput({
-        address: userWalletAddress,
-        value: satoshisAmount,
-      });
+    const psbt = new bitcoin.Psbt({ network: this.network });
 
-      // Add change output if necessary
-      const change = inputAmount - satoshisAmount - networkFee;
-      if (change > 546) { // Dust threshold
-        psbt.addOutput({
-          address: platformAddress,
-          value: change,
-        });
+    for (const input of selected) {
+      const psbtInput = { hash: input.txid, index: input.vout, sequence: RBF_SEQUENCE };
+      const script = bitcoin.address.toOutputScript(input.address, this.network);
+
+      if (input.type === 'p2pkh') {
+        // Legacy inputs sign over the whole previous transaction
+        psbtInput.nonWitnessUtxo = await this.getTransactionHex(input.txid);
+      } else {
+        psbtInput.witnessUtxo = { script, value: input.value };
+        if (input.type === 'p2tr') {
+          psbtInput.tapInternalKey = toXOnly(Buffer.from(this.platformWallet.publicKey));
+        }
       }
 
-      // Sign transaction
-      psbt.signAllInputs(this.platformWallet);
-      psbt.finalizeAllInputs();
+      psbt.addInput(psbtInput);
+    }
 
-      // Extract and broadcast transaction
-      const tx = psbt.extractTransaction();
-      const txHex = tx.toHex();
-      const txHash = await this.broadcastTransaction(txHex);
+    psbt.addOutput({ address: destination, value: amount });
+    if (change > 0) {
+      psbt.addOutput({ address: changeAddress, value: change });
+    }
 
-      // Deduct from user balance
-      await user.updateBalance(-totalDeduction);
+    selected.forEach((input, index) => psbt.signInput(index, this.getSigner(input.type)));
+    psbt.finalizeAllInputs();
 
-      // Create withdrawal transaction record
-      const transaction = TransactionModel.createWithdrawal(
-        userId,
-        usdAmount,
-        {
-          type: 'bitcoin',
-          details: {
-            userWallet: userWalletAddress,
-            btcAmount,
-            btcPrice,
-            txHash,
-            networkFee: this.satoshisToBtc(networkFee)
-          }
-        }
-      );
+    const tx = psbt.extractTransaction();
 
-      transaction.status = 'completed';
-      transaction.processedAt = new Date();
-      transaction.blockchainTxHash = txHash;
-      await transaction.save();
+    return {
+      txid: tx.getId(),
+      details: {
+        txHex: tx.toHex(),
+        amountSats: amount,
+        feeRate,
+        feeSats: fee,
+        vsize: tx.virtualSize(),
+        networkFee: this.satoshisToBtc(fee),
+        changeSats: change,
+        inputs: selected.map(({ txid, vout, value, type, address }) => ({ txid, vout, value, type, address }))
+      }
+    };
+  }
 
-      return { transaction, txHash, btcAmount };
+  // Raw previous transaction, needed to sign legacy inputs
+  async getTransactionHex(txid) {
+    const response = await axios.get(`${this.apiBaseUrl}/tx/${txid}/hex`);
+    return Buffer.from(response.data, 'hex');
+  }
 
+  // Broadcast a prepared withdrawal; safe to call again for the same transaction
+  async sendWithdrawal(transaction) {
+    const txHash = transaction.blockchainTxHash;
+
+    // Already seen by the network (e.g. broadcast before a restart)
+    if (await this.getTransaction(txHash)) {
+      return { blockchainTxHash: txHash };
+    }
+
+    try {
+      await axios.post(`${this.apiBaseUrl}/tx`, transaction.paymentMethod.details.txHex, {
+        headers: { 'Content-Type': 'text/plain' }
+      });
+      return { blockchainTxHash: txHash };
     } catch (error) {
+      const message = error.response ? String(error.response.data) : error.message;
+      if (/already/i.test(message)) {
+        return { blockchainTxHash: txHash };
+      }
+
       console.error('Bitcoin withdrawal error:', error);
-      throw new Error(`Failed to process withdrawal: ${error.message}`);
+      const sendError = new Error(`Failed to broadcast withdrawal: ${message}`);
+      // Without a response from the node the transaction may have been relayed
+      sendError.retryable = !error.response;
+      throw sendError;
     }
   }
 
+  // Check a broadcast withdrawal on-chain
+  async checkWithdrawal(transaction) {
+    const tx = await this.getTransaction(transaction.blockchainTxHash);
+
+    if (tx && tx.status && tx.status.confirmed) {
+      return { status: 'confirmed', blockHeight: tx.status.block_height };
+    }
+
+    // After a fee bump the transaction it replaced may have confirmed instead
+    const replaced = (transaction.paymentMethod.details.txids || [])
+      .filter(txid => txid !== transaction.blockchainTxHash);
+    for (const txid of replaced) {
+      const replacedTx = await this.getTransaction(txid);
+      if (replacedTx && replacedTx.status && replacedTx.status.confirmed) {
+        return { status: 'confirmed', blockHeight: replacedTx.status.block_height, blockchainTxHash: txid };
+      }
+    }
+
+    // Dropped from the mempool: broadcast the same signed transaction again
+    if (!tx) {
+      await this.sendWithdrawal(transaction);
+    }
+    return { status: 'pending' };
+  }
+
   // Broadcast transaction to network
   async broadcastTransaction(txHex) {
     try {
@@ -478,74 +826,266 @@ class BitcoinService {
     }
   }
 
-  // Monitor platform wallet for incoming transactions
-  async monitorDeposits() {
-    if (!this.platformWallet) {
-      console.warn('Platform wallet not configured, skipping deposit monitoring');
+  // Get the confirmed and unconfirmed transactions paying an address
+  async getAddressTransactions(address) {
+    const response = await axios.get(`${this.apiBaseUrl}/address/${address}/txs`);
+    return response.data;
+  }
+
+  // Total received by an address in a transaction
+  getReceivedAmount(txInfo, address) {
+    return txInfo.vout
+      .filter(output => output.scriptpubkey_address === address)
+      .reduce((sum, output) => sum + output.value, 0);
+  }
+
+  // Scan the derived deposit addresses and credit deposits by address.
+  // Addresses still waiting for funds (including a grace period for late
+  // payments) are checked, then the addresses after the highest one issued
+  // are checked until gapLimit of them in a row are unused, which finds funds
+  // sent to addresses this database does not know about.
+  async scanDepositAddresses({ now = new Date(), gapLimit = GAP_LIMIT, limit = 100 } = {}) {
+    const summary = { scanned: 0, credited: 0, confirming: 0, expired: 0, pending: 0, unassigned: [], gap: 0, errors: [] };
+
+    if (!this.depositNode) {
+      return { ...summary, skipped: 'Bitcoin deposit xpub not configured' };
+    }
+
+    const xpubFingerprint = this.getDepositFingerprint();
+
+    const waiting = await DepositAddress.find({
+      chain: 'bitcoin',
+      xpubFingerprint,
+      status: 'issued'
+    })
+      .sort({ lastScannedAt: 1, index: 1 })
+      .limit(limit);
+
+    for (const depositAddress of waiting) {
+      try {
+        await this.scanDepositAddress(depositAddress, now, summary);
+      } catch (error) {
+        console.error(`Bitcoin deposit scan error for ${depositAddress.address}:`, error);
+        summary.errors.push({ address: depositAddress.address, error: error.message });
+      }
+    }
+
+    // Look past the highest issued index for unexpected funds
+    const highestIndex = await DepositAddress.getHighestIndex('bitcoin', xpubFingerprint);
+    for (let index = highestIndex + 1, unused = 0; unused < gapLimit; index++) {
+      const { address } = this.deriveDepositAddress(index);
+      const transactions = await this.getAddressTransactions(address);
+
+      if (transactions.length === 0) {
+        unused++;
+        continue;
+      }
+
+      unused = 0;
+      console.warn(`Bitcoin received on unissued deposit address ${address} (index ${index})`);
+      summary.unassigned.push({ index, address, txids: transactions.map(tx => tx.txid) });
+    }
+
+    // Wallets restoring from the xpub stop looking after a run of unused
+    // addresses, so a long run of unpaid deposit requests hides later funds
+    const lastUsed = await DepositAddress.findOne({ chain: 'bitcoin', xpubFingerprint, status: 'used' })
+      .sort({ index: -1 })
+      .select('index');
+    summary.gap = highestIndex - (lastUsed ? lastUsed.index : -1);
+    if (summary.gap > gapLimit) {
+      console.warn(`Bitcoin deposit addresses have ${summary.gap} unused in a row; wallets restoring from the xpub need a gap limit of at least ${summary.gap}`);
+    }
+
+    return summary;
+  }
+
+  // Check one deposit address and credit its deposit once its payment has
+  // enough confirmations
+  async scanDepositAddress(depositAddress, now, summary) {
+    const transactions = await this.getAddressTransactions(depositAddress.address);
+    depositAddress.lastScannedAt = now;
+    summary.scanned++;
+
+    // Prefer a payment already in a block over one still in the mempool
+    const payments = transactions.filter(tx => this.getReceivedAmount(tx, depositAddress.address) > 0);
+    const payment = payments.find(tx => tx.status?.confirmed) || payments[0];
+
+    if (!payment) {
+      if (now.getTime() > depositAddress.expiresAt.getTime() + LATE_PAYMENT_GRACE_MS) {
+        depositAddress.status = 'expired';
+        summary.expired++;
+      } else {
+        summary.pending++;
+      }
+      await depositAddress.save();
       return;
     }
 
+    depositAddress.txid = payment.txid;
+    depositAddress.receivedSats = this.getReceivedAmount(payment, depositAddress.address);
+
+    const transaction = await TransactionModel.findById(depositAddress.transactionId);
+
     try {
-      const platformAddress = this.getPlatformAddress();
-      
-      // Get recent transactions for platform wallet
-      const response = await axios.get(`${this.apiBaseUrl}/address/${platformAddress}/txs`);
-      const transactions = response.data.slice(0, 10); // Last 10 transactions
-
-      for (const tx of transactions) {
-        try {
-          await this.processIncomingTransaction(tx);
-        } catch (error) {
-          console.error('Error processing transaction:', error);
+      const result = await this.confirmDeposit(transaction.transactionId, payment.txid);
+      if (result.pending) {
+        summary.confirming++;
+      } else {
+        depositAddress.status = 'used';
+        depositAddress.lastError = null;
+        if (!result.alreadyProcessed) {
+          summary.credited++;
         }
       }
-
     } catch (error) {
-      console.error('Error monitoring deposits:', error);
+      // e.g. the wrong amount was sent; left for an admin to resolve
+      depositAddress.lastError = error.message;
+      summary.errors.push({ address: depositAddress.address, error: error.message });
     }
+
+    await depositAddress.save();
   }
 
-  // Process incoming transaction
-  async processIncomingTransaction(txInfo) {
-    try {
-      const platformAddress = this.getPlatformAddress();
-      
-      // Check if this transaction has outputs to our platform wallet
-      let receivedAmount = 0;
-      for (const output of txInfo.vout) {
-        if (output.scriptpubkey_address === platformAddress) {
-          receivedAmount += output.value;
+  // Advance deposits waiting for confirmations and watch recently credited
+  // ones for reorgs. A credited deposit whose transaction is no longer in
+  // the best chain is reversed and goes back to waiting for its payment.
+  async trackConfirmations({ now = new Date(), limit = 100 } = {}) {
+    const summary = { tipHeight: null, confirming: 0, credited: 0, checked: 0, reorged: 0, errors: [] };
+
+    const tipHeight = await this.getTipHeight();
+    summary.tipHeight = tipHeight;
+
+    // Deposit addresses are followed by the deposit scan; this covers the
+    // deposits paid to the platform address
+    const waiting = await TransactionModel.find({
+      type: 'deposit',
+      'paymentMethod.type': 'bitcoin',
+      status: 'pending',
+      'confirmation.state': { $in: ['seen', 'confirming', 'reorged'] },
+      'confirmation.seenAt': { $gte: new Date(now.getTime() - LATE_PAYMENT_GRACE_MS) },
+      'paymentMethod.details.depositAddress': { $exists: false }
+    })
+      .sort({ 'confirmation.lastCheckedAt': 1 })
+      .limit(limit);
+
+    for (const transaction of waiting) {
+      try {
+        const result = await this.confirmDeposit(transaction.transactionId, transaction.confirmation.txHash);
+        if (result.pending) {
+          summary.confirming++;
+        } else if (!result.alreadyProcessed) {
+          summary.credited++;
         }
+      } catch (error) {
+        summary.errors.push({ transactionId: transaction.transactionId, error: error.message });
       }
+    }
 
-      if (receivedAmount === 0) return;
-
-      // Convert to BTC and USD
-      const btcAmount = this.satoshisToBtc(receivedAmount);
-      const usdAmount = await this.btcToUsd(btcAmount);
+    const credited = await TransactionModel.find({
+      type: 'deposit',
+      'paymentMethod.type': 'bitcoin',
+      status: 'completed',
+      'confirmation.state': 'confirmed',
+      'confirmation.blockHeight': { $gt: tipHeight - REORG_WATCH_DEPTH }
+    })
+      .sort({ 'confirmation.blockHeight': 1 })
+      .limit(limit);
 
-      // Look for pending deposit transactions that match this amount
-      const pendingTransactions = await TransactionModel.find({
-        type: 'deposit',
-        'paymentMethod.type': 'bitcoin',
-        status: 'pending'
-      });
+    for (const transaction of credited) {
+      summary.checked++;
 
-      for (const transaction of pendingTransactions) {
-        const expectedAmount = this.btcToSatoshis(transaction.paymentMethod.details.expectedAmount);
-        const tolerance = expectedAmount * 0.05; // 5% tolerance
+      try {
+        const status = await this.getTransactionStatus(transaction.blockchainTxHash);
+
+        if (!status || !status.confirmed) {
+          await this.reverseDeposit(transaction, status
+            ? 'Deposit transaction left the best chain and is back in the mempool'
+            : 'Deposit transaction dropped out of the chain');
+          summary.reorged++;
+          continue;
+        }
 
-        if (Math.abs(receivedAmount - expectedAmount) <= tolerance) {
-          // Found matching transaction
-          await this.confirmDeposit(transaction.transactionId, txInfo.txid);
-          console.log(`Auto-confirmed Bitcoin deposit: ${transaction.transactionId}`);
-          break;
+        if (status.block_hash !== transaction.confirmation.blockHash) {
+          console.warn(`Bitcoin deposit ${transaction.transactionId} was re-mined in block ${status.block_height}`);
         }
+
+        transaction.confirmation.blockHeight = status.block_height;
+        transaction.confirmation.blockHash = status.block_hash;
+        transaction.confirmation.confirmations = await this.getConfirmations(status, tipHeight);
+        transaction.confirmation.lastCheckedAt = new Date();
+        await transaction.save();
+      } catch (error) {
+        console.error(`Bitcoin reorg check error for ${transaction.transactionId}:`, error);
+        summary.errors.push({ transactionId: transaction.transactionId, error: error.message });
       }
+    }
 
-    } catch (error) {
-      console.error('Error processing incoming Bitcoin transaction:', error);
+    return summary;
+  }
+
+  // Take back a credited deposit whose transaction left the chain. What the
+  // wallet cannot cover is booked as a platform loss. The deposit goes back
+  // to pending, so it is credited again if the transaction is re-mined.
+  async reverseDeposit(transaction, reason) {
+    const amount = transaction.amount.usd;
+    const user = await User.findById(transaction.toUserId).select('wallet.balance');
+    const reversed = Math.round(Math.min(amount, Math.max(user?.wallet.balance || 0, 0)) * 100) / 100;
+    const shortfall = Math.round((amount - reversed) * 100) / 100;
+    const txHash = transaction.blockchainTxHash;
+    const description = `Reorg reversal of Bitcoin deposit ${transaction.transactionId}`;
+
+    const reversal = new TransactionModel({
+      type: 'refund',
+      fromUserId: transaction.toUserId,
+      amount: { usd: amount },
+      fees: { adminFee: 0 },
+      paymentMethod: {
+        type: 'bitcoin',
+        details: {
+          source: 'reorg',
+          originalTransactionId: transaction.transactionId,
+          txHash,
+          reason
+        }
+      },
+      status: 'completed',
+      processedAt: new Date(),
+      metadata: { description }
+    });
+
+    const lines = [ledger.credit(ledger.accounts.external('bitcoin'), amount)];
+    if (reversed > 0) {
+      lines.push(ledger.debit(ledger.accounts.user(transaction.toUserId), reversed));
+    }
+    if (shortfall > 0) {
+      lines.push(ledger.debit(ledger.accounts.REORG_LOSSES, shortfall));
+      console.warn(`User ${transaction.toUserId} could not cover $${shortfall} of ${description}`);
     }
+
+    transaction.status = 'pending';
+    transaction.processedAt = null;
+    transaction.blockchainTxHash = null;
+    transaction.confirmation.state = 'reorged';
+    transaction.confirmation.confirmations = 0;
+    transaction.confirmation.blockHeight = null;
+    transaction.confirmation.blockHash = null;
+    transaction.confirmation.confirmedAt = null;
+    transaction.confirmation.lastCheckedAt = new Date();
+
+    await runInTransaction(async (session) => {
+      await ledger.post({ description, lines, transactions: [reversal], session });
+      await transaction.save({ session });
+      // Free the outputs and the address so the payment can be credited again
+      await DepositClaim.deleteMany({ transactionId: transaction._id }, { session });
+      await DepositAddress.updateOne(
+        { transactionId: transaction._id },
+        { $set: { status: 'issued', lastError: reason } },
+        { session }
+      );
+    });
+
+    console.warn(`Reversed Bitcoin deposit ${transaction.transactionId} (${txHash}): ${reason}`);
+    return { reversalTransactionId: reversal.transactionId, reversed, shortfall };
   }
 
   // Get transaction history for a wallet
@@ -576,35 +1116,42 @@ class BitcoinService {
     }
   }
 
-  // Estimate network fee
-  async estimateNetworkFee() {
-    try {
-      const response = await axios.get(`${this.apiBaseUrl}/fee-estimates`);
-      const feeRates = response.data;
-      
-      // Use fee rate for confirmation within 6 blocks (about 1 hour)
-      const feeRate = feeRates['6'] || 10; // fallback to 10 sat/vB
-      
-      // Estimate transaction size (typical P2PKH transaction)
-      const estimatedSize = 250; // bytes
-      const estimatedFee = feeRate * estimatedSize;
-      
-      return {
+  // Estimate the network fee for a payout. With an amount the inputs are
+  // chosen as a withdrawal would choose them; otherwise one input of the
+  // platform address type is assumed.
+  async estimateNetworkFee({ amount = null, destination = null } = {}) {
+    const feeRate = await this.getFeeRate();
+    const paidTo = destination && this.validateAddress(destination) ? destination : null;
+
+    let estimatedFee;
+    let estimatedSize;
+    let inputs = 1;
+
+    if (amount && paidTo && this.platformWallet) {
+      const { selected, fee } = this.selectInputs({
+        destination: paidTo,
+        amount: this.btcToSatoshis(await this.usdToBtc(amount)),
         feeRate,
-        estimatedSize,
-        estimatedFee,
-        estimatedFeeUsd: await this.btcToUsd(this.satoshisToBtc(estimatedFee))
-      };
-
-    } catch (error) {
-      console.error('Error estimating network fee:', error);
-      return {
-        feeRate: 10,
-        estimatedSize: 250,
-        estimatedFee: 2500,
-        estimatedFeeUsd: 1.25
-      };
+        utxos: await this.getSpendableUtxos()
+      });
+      inputs = selected.length;
+      estimatedFee = fee;
+      estimatedSize = this.estimateVsize(selected.map(input => input.type), [paidTo, this.getPlatformAddress()]);
+    } else {
+      // A destination and a change output of the platform address type
+      const scriptBytes = { p2pkh: 25, p2wpkh: 22, p2tr: 34 }[this.addressType];
+      const overhead = this.addressType === 'p2pkh' ? 10 : 10.5;
+      estimatedSize = Math.ceil(overhead + INPUT_VBYTES[this.addressType] + 2 * (9 + scriptBytes));
+      estimatedFee = estimatedSize * feeRate;
     }
+
+    return {
+      feeRate,
+      inputs,
+      estimatedSize,
+      estimatedFee,
+      estimatedFeeUsd: await this.btcToUsd(this.satoshisToBtc(estimatedFee))
+    };
   }
 }
 
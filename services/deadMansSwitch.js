@@ -0,0 +1,244 @@
+const User = require('../models/User');
+const Puzzle = require('../models/Puzzle');
+const notifications = require('./notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest reminder lead time the User schema allows, used to narrow the scan
+const MAX_REMINDER_LEAD_DAYS = 30;
+
+// Check-in "dead man's switch". Creators check in periodically; when they
+// miss a check-in they are reminded, then given a grace period, and once that
+// runs out their posthumous puzzles are activated.
+//
+// The clock is injectable so the schedule can be driven by a fake clock.
+class DeadMansSwitchService {
+  constructor(clock = () => new Date()) {
+    this.clock = clock;
+  }
+
+  // Add a number of days to a date
+  addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+  }
+
+  // Work out which state a switch should be in at a given time
+  getState(checkIn, now = this.clock()) {
+    if (!checkIn.enabled || !checkIn.nextDueAt) return 'active';
+    if (checkIn.state === 'triggered') return 'triggered';
+
+    const dueAt = checkIn.nextDueAt;
+    if (now >= this.addDays(dueAt, checkIn.gracePeriodDays)) return 'triggered';
+    if (now >= dueAt) return 'grace';
+    if (now >= this.addDays(dueAt, -checkIn.reminderLeadDays)) return 'reminded';
+    return 'active';
+  }
+
+  // Summarise a user's switch for API responses
+  getStatus(checkIn) {
+    const deadline = checkIn.enabled && checkIn.nextDueAt
+      ? this.addDays(checkIn.nextDueAt, checkIn.gracePeriodDays)
+      : null;
+
+    return {
+      enabled: checkIn.enabled,
+      intervalDays: checkIn.intervalDays,
+      reminderLeadDays: checkIn.reminderLeadDays,
+      gracePeriodDays: checkIn.gracePeriodDays,
+      state: checkIn.state,
+      lastCheckInAt: checkIn.lastCheckInAt,
+      nextDueAt: checkIn.nextDueAt,
+      triggersAt: checkIn.state === 'triggered' ? checkIn.triggeredAt : deadline,
+      remindersSent: checkIn.remindersSent
+    };
+  }
+
+  // Update a user's switch settings; saving them while enabled counts as a check-in
+  async configure(userId, settings) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.checkIn.state === 'triggered') {
+        throw new Error('Check-in switch has already been triggered');
+      }
+
+      const fields = ['enabled', 'intervalDays', 'reminderLeadDays', 'gracePeriodDays'];
+      fields.forEach(field => {
+        if (settings[field] !== undefined) {
+          user.checkIn[field] = settings[field];
+        }
+      });
+
+      if (user.checkIn.reminderLeadDays >= user.checkIn.intervalDays) {
+        throw new Error('Reminder lead time must be shorter than the check-in interval');
+      }
+
+      if (user.checkIn.enabled) {
+        this.reset(user.checkIn, this.clock());
+      } else {
+        // Posthumous puzzles would never activate without a switch
+        const pending = await Puzzle.countDocuments({
+          creatorId: user._id,
+          posthumous: true,
+          activatedAt: null,
+          status: 'active'
+        });
+        if (pending > 0) {
+          throw new Error('Check-ins cannot be disabled while posthumous puzzles are pending');
+        }
+
+        user.checkIn.nextDueAt = null;
+        user.checkIn.state = 'active';
+      }
+
+      await user.save();
+      return this.getStatus(user.checkIn);
+    } catch (error) {
+      throw new Error(`Failed to configure check-ins: ${error.message}`);
+    }
+  }
+
+  // Record a check-in. Checking in after the switch fired re-arms it and
+  // hides any posthumous puzzles nobody has solved yet.
+  async checkIn(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (!user.checkIn.enabled) {
+        throw new Error('Check-ins are not enabled');
+      }
+
+      const now = this.clock();
+      const wasTriggered = user.checkIn.state === 'triggered';
+
+      this.reset(user.checkIn, now);
+      await user.save();
+
+      let puzzlesHidden = 0;
+      if (wasTriggered) {
+        const result = await Puzzle.updateMany(
+          { creatorId: user._id, posthumous: true, solved: false, activatedAt: { $ne: null } },
+          { $set: { activatedAt: null } }
+        );
+        puzzlesHidden = result.modifiedCount;
+      }
+
+      return { ...this.getStatus(user.checkIn), puzzlesHidden };
+    } catch (error) {
+      throw new Error(`Failed to check in: ${error.message}`);
+    }
+  }
+
+  // Start a new check-in period
+  reset(checkIn, now) {
+    checkIn.lastCheckInAt = now;
+    checkIn.nextDueAt = this.addDays(now, checkIn.intervalDays);
+    checkIn.state = 'active';
+    checkIn.remindersSent = 0;
+    checkIn.lastReminderAt = null;
+    checkIn.triggeredAt = null;
+  }
+
+  // Evaluate every armed switch that could have changed state by now
+  async evaluate({ now = this.clock(), limit = 500 } = {}) {
+    const summary = { evaluated: 0, reminded: 0, grace: 0, triggered: 0, puzzlesActivated: 0, errors: [] };
+
+    const users = await User.find({
+      'checkIn.enabled': true,
+      'checkIn.state': { $ne: 'triggered' },
+      'checkIn.nextDueAt': { $ne: null, $lte: this.addDays(now, MAX_REMINDER_LEAD_DAYS) }
+    })
+      .sort({ 'checkIn.nextDueAt': 1 })
+      .limit(limit);
+
+    for (const user of users) {
+      try {
+        const result = await this.evaluateUser(user, now);
+        summary.evaluated++;
+        if (result.state !== result.previousState && summary[result.state] !== undefined) {
+          summary[result.state]++;
+        }
+        summary.puzzlesActivated += result.puzzlesActivated;
+      } catch (error) {
+        console.error(`Check-in evaluation error for user ${user._id}:`, error);
+        summary.errors.push({ userId: user._id, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  // Move a single user's switch forward to the state it should be in
+  async evaluateUser(user, now = this.clock()) {
+    const previousState = user.checkIn.state;
+    let state = this.getState(user.checkIn, now);
+
+    // Never release puzzles without having warned the creator. A switch no
+    // reminder reached gets the overdue reminder first and fires on a
+    // later run.
+    if (state === 'triggered' && user.checkIn.remindersSent === 0 && previousState !== 'grace') {
+      state = 'grace';
+    }
+    const result = { userId: user._id, previousState, state, puzzlesActivated: 0 };
+
+    if (state === previousState) {
+      return result;
+    }
+
+    const updates = { 'checkIn.state': state };
+    if (state === 'triggered') {
+      updates['checkIn.triggeredAt'] = now;
+    } else {
+      updates['checkIn.lastReminderAt'] = now;
+    }
+
+    // Only move the switch if nobody checked in or evaluated it meanwhile
+    const moved = await User.findOneAndUpdate(
+      { _id: user._id, 'checkIn.state': previousState, 'checkIn.nextDueAt': user.checkIn.nextDueAt },
+      { $set: updates, ...(state !== 'triggered' && { $inc: { 'checkIn.remindersSent': 1 } }) },
+      { new: true }
+    );
+
+    if (!moved) {
+      return { ...result, state: previousState };
+    }
+
+    if (state === 'triggered') {
+      const activation = await Puzzle.updateMany(
+        { creatorId: user._id, posthumous: true, activatedAt: null, status: 'active' },
+        { $set: { activatedAt: now } }
+      );
+      result.puzzlesActivated = activation.modifiedCount;
+    } else {
+      try {
+        await notifications.sendCheckInReminder(user.email, {
+          firstName: user.profile.firstName,
+          dueAt: user.checkIn.nextDueAt,
+          triggersAt: this.addDays(user.checkIn.nextDueAt, user.checkIn.gracePeriodDays),
+          overdue: state === 'grace'
+        });
+      } catch (error) {
+        // Move the switch back so the next run sends the reminder again
+        await User.updateOne(
+          { _id: user._id, 'checkIn.state': state, 'checkIn.nextDueAt': user.checkIn.nextDueAt },
+          {
+            $set: { 'checkIn.state': previousState, 'checkIn.lastReminderAt': user.checkIn.lastReminderAt },
+            $inc: { 'checkIn.remindersSent': -1 }
+          }
+        );
+        throw new Error(`Failed to send check-in reminder: ${error.message}`);
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new DeadMansSwitchService();
+module.exports.DeadMansSwitchService = DeadMansSwitchService;
@@ -0,0 +1,67 @@
+const DepositClaim = require('../models/DepositClaim');
+const TransactionModel = require('../models/Transaction');
+const User = require('../models/User');
+const ledger = require('./ledger');
+const { runInTransaction } = require('../utils/db');
+
+const REPLAY_MESSAGE = 'This payment has already been used for another deposit';
+
+// Replay protection for crypto deposits: each on-chain output funds at most
+// one deposit. Submitting a payment that already funded another deposit
+// is refused and the account is flagged for suspected fraud.
+class DepositClaimService {
+  // Refuse a payment that another deposit has already claimed. Deposits
+  // credited before claims were recorded are matched by their hash.
+  async assertUnclaimed({ chain, txHash, outputIndexes, transaction }) {
+    const conflict = await DepositClaim.findConflict(chain, txHash, outputIndexes, transaction._id) ||
+      await TransactionModel.findOne({
+        _id: { $ne: transaction._id },
+        type: 'deposit',
+        'paymentMethod.type': chain,
+        blockchainTxHash: txHash
+      }).select('_id');
+
+    if (conflict) {
+      await this.flagReplay({ chain, txHash, transaction, claimedBy: conflict.transactionId || conflict._id });
+      throw new Error(REPLAY_MESSAGE);
+    }
+  }
+
+  // Claim the payment's outputs and credit the deposit in one database
+  // transaction, so two deposits racing for the same payment cannot both be
+  // credited. The deposit must already be marked completed.
+  async credit({ chain, txHash, outputIndexes, transaction, description, lines }) {
+    try {
+      return await runInTransaction(async (session) => {
+        await DepositClaim.claim({ chain, txHash, outputIndexes, transaction }, session);
+        return ledger.post({ description, lines, transactions: [transaction], session });
+      });
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern?.txHash) {
+        // Another confirmation claimed the outputs first; if it was for this
+        // same deposit there is nothing suspicious about it
+        const conflict = await DepositClaim.findConflict(chain, txHash, outputIndexes, transaction._id);
+        if (!conflict) {
+          throw new Error('Deposit has already been credited');
+        }
+
+        await this.flagReplay({ chain, txHash, transaction, claimedBy: conflict.transactionId });
+        throw new Error(REPLAY_MESSAGE);
+      }
+      throw error;
+    }
+  }
+
+  async flagReplay({ chain, txHash, transaction, claimedBy }) {
+    console.warn(`Replayed ${chain} payment ${txHash} submitted for deposit ${transaction.transactionId}`);
+
+    await User.flagSuspectedFraud(transaction.toUserId, 'Reused a blockchain payment for another deposit', {
+      chain,
+      txHash,
+      depositTransactionId: transaction._id,
+      claimedByTransactionId: claimedBy
+    });
+  }
+}
+
+module.exports = new DepositClaimService();
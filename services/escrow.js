@@ -0,0 +1,186 @@
+const Puzzle = require('../models/Puzzle');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+
+// Puzzle rewards are locked in the platform escrow account when a puzzle is
+// created and leave it exactly once: released to a solver or refunded to
+// the creator. The escrow state on Puzzle.payment mirrors the ledger.
+class EscrowService {
+  // Fund escrow from the creator's wallet (plus the admin fee). Multi-stage
+  // puzzles also escrow their per-stage rewards.
+  async fund(puzzle, { adminFee = 0, transactions = [], session = null } = {}) {
+    const amount = puzzle.getEscrowTotal();
+    const lines = [
+      ledger.debit(ledger.accounts.user(puzzle.creatorId._id), amount + adminFee),
+      ledger.credit(ledger.accounts.ESCROW, amount)
+    ];
+    if (adminFee > 0) {
+      lines.push(ledger.credit(ledger.accounts.FEES, adminFee));
+    }
+
+    const result = await ledger.post({
+      description: `Escrow funding for puzzle ${puzzle._id}`,
+      lines,
+      transactions,
+      session
+    });
+
+    puzzle.payment.escrow = {
+      status: 'funded',
+      amount,
+      fundedAt: new Date(),
+      fundingEntryId: result.entry._id
+    };
+    puzzle.payment.adminFee = adminFee;
+    puzzle.payment.adminFeeCollected = adminFee > 0;
+
+    return result;
+  }
+
+  // Move a funded escrow to its final state; null if it was not funded
+  async settle(puzzleId, status, fields, session) {
+    return Puzzle.findOneAndUpdate(
+      { _id: puzzleId, 'payment.escrow.status': 'funded' },
+      {
+        $set: {
+          'payment.escrow.status': status,
+          'payment.escrow.settledAt': new Date(),
+          ...fields
+        }
+      },
+      { new: true, session }
+    );
+  }
+
+  // Release the escrowed reward to the solver
+  async release(puzzle, solverId, { transactions = [], session = null } = {}) {
+    const settled = await this.settle(puzzle._id, 'released', {
+      'payment.escrow.releasedTo': solverId
+    }, session);
+
+    if (!settled) {
+      throw new Error('Puzzle escrow is not funded');
+    }
+
+    const result = await ledger.post({
+      description: `Escrow release for puzzle ${puzzle._id}`,
+      lines: ledger.transfer(
+        ledger.accounts.ESCROW,
+        ledger.accounts.user(solverId),
+        settled.payment.escrow.amount
+      ),
+      transactions,
+      session
+    });
+
+    await Puzzle.updateOne(
+      { _id: puzzle._id },
+      { $set: { 'payment.escrow.settlementEntryId': result.entry._id } },
+      { session }
+    );
+
+    return { ...result, amount: settled.payment.escrow.amount };
+  }
+
+  // Pay a stage reward out of a funded escrow, leaving the rest locked
+  async payStage(puzzle, stageIndex, solverId, amount, { transactions = [], session = null } = {}) {
+    const updated = await Puzzle.findOneAndUpdate(
+      {
+        _id: puzzle._id,
+        'payment.escrow.status': 'funded',
+        'payment.escrow.amount': { $gte: amount }
+      },
+      { $inc: { 'payment.escrow.amount': -amount } },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      throw new Error('Puzzle escrow is not funded');
+    }
+
+    return ledger.post({
+      description: `Stage ${stageIndex + 1} reward for puzzle ${puzzle._id}`,
+      lines: ledger.transfer(ledger.accounts.ESCROW, ledger.accounts.user(solverId), amount),
+      transactions,
+      session
+    });
+  }
+
+  // Refund the escrowed value (and optionally the admin fee) to the creator
+  async refund(puzzle, { reason, adminFee = 0, source = 'escrow_refund', session = null } = {}) {
+    const settled = await this.settle(puzzle._id, 'refunded', {
+      'payment.escrow.refundReason': reason
+    }, session);
+
+    if (!settled) {
+      throw new Error('Puzzle escrow is not funded');
+    }
+
+    const amount = settled.payment.escrow.amount;
+    const lines = [
+      ledger.debit(ledger.accounts.ESCROW, amount),
+      ledger.credit(ledger.accounts.user(puzzle.creatorId._id), amount + adminFee)
+    ];
+    if (adminFee > 0) {
+      lines.push(ledger.debit(ledger.accounts.FEES, adminFee));
+    }
+
+    const transaction = new Transaction({
+      type: 'refund',
+      toUserId: puzzle.creatorId._id,
+      puzzleId: puzzle._id,
+      amount: { usd: amount + adminFee },
+      fees: { adminFee: 0 },
+      paymentMethod: { type: 'internal', details: { source } },
+      status: 'completed',
+      processedAt: new Date(),
+      metadata: {
+        description: `Escrow refund for puzzle: ${puzzle.title}`,
+        notes: reason
+      }
+    });
+
+    const result = await ledger.post({
+      description: `Escrow refund for puzzle ${puzzle._id}`,
+      lines,
+      transactions: [transaction],
+      session
+    });
+
+    await Puzzle.updateOne(
+      { _id: puzzle._id },
+      { $set: { 'payment.escrow.settlementEntryId': result.entry._id } },
+      { session }
+    );
+
+    return { ...result, transaction, amount: amount + adminFee };
+  }
+
+  // Summarise locked funds and compare them with the ledger escrow account
+  async getSummary() {
+    const [byStatus, ledgerBalance] = await Promise.all([
+      Puzzle.aggregate([
+        {
+          $group: {
+            _id: '$payment.escrow.status',
+            count: { $sum: 1 },
+            totalAmount: { $sum: '$payment.escrow.amount' }
+          }
+        }
+      ]),
+      ledger.getBalance(ledger.accounts.ESCROW)
+    ]);
+
+    const funded = byStatus.find(group => group._id === 'funded');
+    const lockedAmount = funded ? funded.totalAmount : 0;
+
+    return {
+      byStatus,
+      lockedAmount,
+      ledgerBalance: ledgerBalance.balance,
+      drift: Math.round((ledgerBalance.balance - lockedAmount) * 100) / 100
+    };
+  }
+}
+
+module.exports = new EscrowService();
@@ -0,0 +1,149 @@
+const Puzzle = require('../models/Puzzle');
+const escrow = require('./escrow');
+const notifications = require('./notifications');
+const { runInTransaction } = require('../utils/db');
+
+// A failing address stops being retried after this many expiry notices
+const MAX_NOTICE_ATTEMPTS = 5;
+
+// Expires unsolved puzzles whose expiresAt has passed and refunds their
+// escrowed value to the creator. Each puzzle moves to 'expired' exactly once,
+// so the processor is safe to run repeatedly. The creator's notice is sent
+// afterwards and retried on later runs until it is delivered.
+class ExpiryService {
+  // Find puzzles that are due to expire. Suspended puzzles expire too: they
+  // can no longer be solved, and their escrow would otherwise stay locked.
+  findDue(now = new Date(), limit = 100) {
+    return Puzzle.find({
+      status: { $in: ['active', 'suspended'] },
+      solved: false,
+      expiresAt: { $ne: null, $lte: now }
+    })
+      .populate('creatorId', 'email profile.firstName')
+      .sort({ expiresAt: 1 })
+      .limit(limit);
+  }
+
+  // Find expired puzzles whose creator has not been notified yet
+  findUnnotified(limit = 100) {
+    return Puzzle.find({
+      status: 'expired',
+      'expiryNotice.sentAt': null,
+      'expiryNotice.attempts': { $lt: MAX_NOTICE_ATTEMPTS }
+    })
+      .populate('creatorId', 'email profile.firstName')
+      .sort({ expiredAt: 1 })
+      .limit(limit);
+  }
+
+  // Expire one puzzle and refund its escrow; null if it was solved or
+  // expired by someone else first
+  async expire(puzzle, now = new Date()) {
+    return runInTransaction(async (session) => {
+      const expired = await Puzzle.findOneAndUpdate(
+        { _id: puzzle._id, status: { $in: ['active', 'suspended'] }, solved: false },
+        {
+          $set: {
+            status: 'expired',
+            expiredAt: now,
+            expiryNotice: { sentAt: null, attempts: 0, lastError: null }
+          }
+        },
+        { new: true, session }
+      );
+
+      if (!expired) {
+        return null;
+      }
+
+      // Puzzles without a funded escrow (e.g. never backfilled) have nothing to refund
+      if (expired.payment.escrow.status !== 'funded') {
+        return { puzzle: expired, refund: null };
+      }
+
+      const refund = await escrow.refund(puzzle, {
+        reason: 'Puzzle expired',
+        source: 'puzzle_expiry_refund',
+        session
+      });
+
+      return { puzzle: expired, refund };
+    });
+  }
+
+  // Tell the creator their puzzle expired, recording the attempt so a
+  // failed notice is picked up again by the next run
+  async notify(puzzle, now = new Date()) {
+    const { escrow: puzzleEscrow } = puzzle.payment;
+
+    try {
+      await notifications.sendPuzzleExpired(puzzle.creatorId.email, {
+        firstName: puzzle.creatorId.profile.firstName,
+        puzzleTitle: puzzle.title,
+        refundAmount: puzzleEscrow.status === 'refunded' ? puzzleEscrow.amount : 0
+      });
+    } catch (error) {
+      await Puzzle.updateOne(
+        { _id: puzzle._id },
+        { $inc: { 'expiryNotice.attempts': 1 }, $set: { 'expiryNotice.lastError': error.message } }
+      );
+      throw error;
+    }
+
+    await Puzzle.updateOne(
+      { _id: puzzle._id },
+      { $inc: { 'expiryNotice.attempts': 1 }, $set: { 'expiryNotice.sentAt': now, 'expiryNotice.lastError': null } }
+    );
+  }
+
+  // Expire every due puzzle, then send the notices still owed, including
+  // ones that failed on earlier runs
+  async process({ now = new Date(), limit = 100 } = {}) {
+    const summary = {
+      expired: 0,
+      refunded: 0,
+      refundedAmount: 0,
+      skipped: 0,
+      notified: 0,
+      errors: [],
+      notificationErrors: []
+    };
+    const puzzles = await this.findDue(now, limit);
+
+    for (const puzzle of puzzles) {
+      try {
+        const result = await this.expire(puzzle, now);
+
+        if (!result) {
+          summary.skipped++;
+          continue;
+        }
+
+        summary.expired++;
+        if (result.refund) {
+          summary.refunded++;
+          summary.refundedAmount = Math.round((summary.refundedAmount + result.refund.amount) * 100) / 100;
+        }
+      } catch (error) {
+        console.error(`Expiry error for puzzle ${puzzle._id}:`, error);
+        summary.errors.push({ puzzleId: puzzle._id, error: error.message });
+      }
+    }
+
+    const unnotified = await this.findUnnotified(limit);
+
+    for (const puzzle of unnotified) {
+      try {
+        await this.notify(puzzle, now);
+        summary.notified++;
+      } catch (error) {
+        console.error(`Expiry notice error for puzzle ${puzzle._id}:`, error);
+        summary.notificationErrors.push({ puzzleId: puzzle._id, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new ExpiryService();
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const Puzzle = require('../models/Puzzle');
+const User = require('../models/User');
+const notifications = require('./notifications');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Heir designation on puzzles. Heirs that already have an account are linked
+// straight away; everyone else gets a single-use invitation token.
+class HeirService {
+  // Resolve a list of { email } / { userId } entries into heir subdocuments
+  async resolve(entries, creatorId) {
+    const heirs = [];
+    const invitations = [];
+    const seen = new Set();
+
+    for (const entry of entries) {
+      let user = null;
+      if (entry.userId) {
+        user = await User.findById(entry.userId).select('email status');
+        if (!user) {
+          throw new Error(`Heir user ${entry.userId} not found`);
+        }
+      } else {
+        user = await User.findByEmail(entry.email);
+      }
+
+      const email = (user ? user.email : entry.email).toLowerCase().trim();
+      if (seen.has(email)) continue;
+      seen.add(email);
+
+      if (user && user._id.toString() === creatorId.toString()) {
+        throw new Error('You cannot name yourself as an heir');
+      }
+
+      if (user) {
+        heirs.push({ email, userId: user._id, status: 'linked', linkedAt: new Date() });
+        continue;
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+      heirs.push({ email, status: 'invited', inviteTokenHash: hashToken(token) });
+      invitations.push({ email, token });
+    }
+
+    return { heirs, invitations };
+  }
+
+  // Notify heirs once the puzzle is saved; returns invite links for the creator
+  async notify(puzzle, heirs, invitations, creator) {
+    const creatorName = `${creator.profile.firstName} ${creator.profile.lastName}`;
+
+    const links = invitations.map(({ email, token }) => ({
+      email,
+      inviteUrl: notifications.link(`/invitations/${token}`)
+    }));
+
+    const sends = [
+      ...links.map(({ email, inviteUrl }) => ({
+        email,
+        send: () => notifications.sendHeirInvitation(email, { puzzleTitle: puzzle.title, creatorName, inviteUrl })
+      })),
+      ...heirs
+        .filter(heir => heir.status === 'linked')
+        .map(heir => ({
+          email: heir.email,
+          send: () => notifications.sendHeirDesignation(heir.email, { puzzleTitle: puzzle.title, creatorName })
+        }))
+    ];
+
+    // The heirs are saved either way and the creator still gets the
+    // invite links, so a failed email does not fail the request
+    const results = await Promise.allSettled(sends.map(({ send }) => send()));
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`Heir notification to ${sends[index].email} failed:`, result.reason.message);
+      }
+    });
+
+    return links;
+  }
+
+  // Bind an invitation to the logged-in user
+  async acceptInvitation(token, user) {
+    const tokenHash = hashToken(token);
+
+    const puzzle = await Puzzle.findOne({ 'heirs.inviteTokenHash': tokenHash })
+      .select('title creatorId +heirs +heirs.inviteTokenHash');
+
+    if (!puzzle) {
+      throw new Error('Invitation is invalid or has already been used');
+    }
+
+    if (puzzle.creatorId.toString() === user._id.toString()) {
+      throw new Error('You cannot accept an invitation to your own puzzle');
+    }
+
+    if (puzzle.isHeir(user._id)) {
+      throw new Error('You are already an heir of this puzzle');
+    }
+
+    await Puzzle.updateOne(
+      { _id: puzzle._id, 'heirs.inviteTokenHash': tokenHash },
+      {
+        $set: {
+          'heirs.$.userId': user._id,
+          'heirs.$.status': 'linked',
+          'heirs.$.linkedAt': new Date()
+        },
+        $unset: { 'heirs.$.inviteTokenHash': 1 }
+      }
+    );
+
+    return { puzzleId: puzzle._id, title: puzzle.title };
+  }
+}
+
+module.exports = new HeirService();
@@ -0,0 +1,141 @@
+const Puzzle = require('../models/Puzzle');
+const Transaction = require('../models/Transaction');
+const JournalEntry = require('../models/JournalEntry');
+const ledger = require('./ledger');
+const settings = require('./settings');
+const { runInTransaction } = require('../utils/db');
+
+const { toCents } = JournalEntry;
+
+// Puzzle hints. Hints are numbered from 1 in the API and stored in order on
+// the puzzle; unlocks are recorded per user on Puzzle.hintUnlocks.
+class HintService {
+  // Split a hint price between the creator and the platform, which keeps
+  // the hint platform share from the settings
+  splitPrice(price, platformShare) {
+    const platformFee = Math.round(toCents(price) * platformShare) / 100;
+    return {
+      creatorShare: (toCents(price) - toCents(platformFee)) / 100,
+      platformFee
+    };
+  }
+
+  // Describe every hint for a user, with the text of the ones they can see
+  describe(puzzle, userId = null, now = new Date()) {
+    const isCreator = userId && puzzle.creatorId._id.toString() === userId.toString();
+    const failedAttempts = userId ? puzzle.countAttempts(userId) : 0;
+
+    return puzzle.hints.map((hint, index) => {
+      const unlock = userId ? puzzle.getHintUnlock(userId, index) : null;
+      const freeUnlock = puzzle.getFreeHintUnlock(hint, failedAttempts, now);
+      const unlocked = Boolean(isCreator || unlock || freeUnlock);
+
+      return {
+        number: index + 1,
+        unlocked,
+        text: unlocked ? hint.text : null,
+        unlockedBy: isCreator ? 'creator' : (unlock ? unlock.method : freeUnlock),
+        unlockAfterAttempts: hint.unlockAfterAttempts,
+        attemptsRemaining: hint.unlockAfterAttempts
+          ? Math.max(hint.unlockAfterAttempts - failedAttempts, 0)
+          : null,
+        unlockAt: hint.unlockAt,
+        price: hint.price
+      };
+    });
+  }
+
+  // Unlock a hint for a user: free when its attempt or date gate has opened,
+  // otherwise by paying its price from the wallet
+  async unlock(puzzle, user, number, now = new Date()) {
+    const hintIndex = number - 1;
+    const hint = puzzle.hints[hintIndex];
+
+    if (!hint) {
+      throw new Error('Hint not found');
+    }
+
+    if (puzzle.creatorId._id.toString() === user._id.toString()) {
+      throw new Error('Creators can already see all of their hints');
+    }
+
+    if (puzzle.getHintUnlock(user._id, hintIndex)) {
+      return { hint, method: puzzle.getHintUnlock(user._id, hintIndex).method, charged: 0 };
+    }
+
+    const freeUnlock = puzzle.getFreeHintUnlock(hint, puzzle.countAttempts(user._id), now);
+    if (freeUnlock) {
+      await Puzzle.recordHintUnlock(puzzle._id, { userId: user._id, hintIndex, method: freeUnlock });
+      return { hint, method: freeUnlock, charged: 0 };
+    }
+
+    if (!hint.price) {
+      throw new Error('Hint is still locked');
+    }
+
+    if (puzzle.solved || puzzle.status !== 'active') {
+      throw new Error('Hints can only be bought for open puzzles');
+    }
+
+    const creatorId = puzzle.creatorId._id;
+    const { platformFees } = await settings.get();
+    const { creatorShare, platformFee } = this.splitPrice(hint.price, platformFees.hintPlatformShare);
+
+    const transaction = Transaction.createHintPurchase(
+      user._id,
+      creatorId,
+      puzzle._id,
+      number,
+      creatorShare,
+      platformFee
+    );
+    transaction.setCompleted();
+
+    const transactions = [transaction];
+    if (platformFee > 0) {
+      const adminFeeTransaction = Transaction.createAdminFee(user._id, platformFee, transaction.transactionId);
+      adminFeeTransaction.setCompleted();
+      transactions.push(adminFeeTransaction);
+    }
+
+    // Record the unlock and move the money together; the unlock guard stops
+    // a user paying twice for the same hint
+    const { wallets } = await runInTransaction(async (session) => {
+      const recorded = await Puzzle.recordHintUnlock(puzzle._id, {
+        userId: user._id,
+        hintIndex,
+        method: 'paid',
+        transactionId: transaction._id
+      }, session);
+
+      if (!recorded) {
+        throw new Error('Hint already unlocked');
+      }
+
+      const lines = [
+        ledger.debit(ledger.accounts.user(user._id), hint.price),
+        ledger.credit(ledger.accounts.user(creatorId), creatorShare)
+      ];
+      if (platformFee > 0) {
+        lines.push(ledger.credit(ledger.accounts.FEES, platformFee));
+      }
+
+      return ledger.post({
+        description: `Hint ${number} purchase for puzzle ${puzzle._id}`,
+        lines,
+        transactions,
+        session
+      });
+    });
+
+    return {
+      hint,
+      method: 'paid',
+      charged: hint.price,
+      transaction,
+      newBalance: wallets[user._id.toString()].balance
+    };
+  }
+}
+
+module.exports = new HintService();
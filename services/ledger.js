@@ -0,0 +1,192 @@
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+
+const { toCents } = JournalEntry;
+
+// Chart of accounts. User wallets are liabilities of the platform: a credit
+// increases what the platform owes the user, a debit decreases it.
+const ACCOUNTS = {
+  FEES: 'platform:fees',
+  ESCROW: 'platform:escrow',
+  PENDING_WITHDRAWALS: 'platform:pending_withdrawals',
+  // Chargebacks the platform absorbed because the user's wallet could not cover them
+  CHARGEBACK_LOSSES: 'platform:chargeback_losses',
+  // Crypto deposits reversed by a reorg that the user's wallet could not cover
+  REORG_LOSSES: 'platform:reorg_losses',
+  OPENING_BALANCE: 'equity:opening_balance',
+  user: (userId) => `user:${userId}`,
+  external: (provider) => `external:${provider}`
+};
+
+class LedgerService {
+  constructor() {
+    this.accounts = ACCOUNTS;
+  }
+
+  // Extract the user ID from a wallet account name
+  userIdFromAccount(account) {
+    return account.startsWith('user:') ? account.slice(5) : null;
+  }
+
+  // Build a debit line
+  debit(account, amount) {
+    return { account, userId: this.userIdFromAccount(account), debit: amount, credit: 0 };
+  }
+
+  // Build a credit line
+  credit(account, amount) {
+    return { account, userId: this.userIdFromAccount(account), debit: 0, credit: amount };
+  }
+
+  // Build the two lines moving an amount from one account to another
+  transfer(fromAccount, toAccount, amount) {
+    return [this.debit(fromAccount, amount), this.credit(toAccount, amount)];
+  }
+
+  // Net wallet change per user for a set of lines
+  getWalletDeltas(lines) {
+    const deltas = new Map();
+    for (const line of lines) {
+      if (!line.userId) continue;
+      const key = line.userId.toString();
+      deltas.set(key, (deltas.get(key) || 0) + toCents(line.credit) - toCents(line.debit));
+    }
+    return [...deltas.entries()]
+      .filter(([, cents]) => cents !== 0)
+      .map(([userId, cents]) => [userId, cents / 100]);
+  }
+
+  // Post a balanced journal entry, apply it to user wallets and persist the
+  // user-facing Transaction documents that describe it.
+  async post({ lines, description, transactions = [], metadata = null, reversalOf = null, session = null }) {
+    const entry = new JournalEntry({
+      description,
+      lines,
+      metadata,
+      reversalOf,
+      transactionIds: transactions.map(transaction => transaction._id)
+    });
+
+    await entry.save({ session });
+
+    // Debits are applied first so an insufficient balance fails before
+    // anything is credited
+    const deltas = this.getWalletDeltas(entry.lines).sort((a, b) => a[1] - b[1]);
+    const applied = [];
+    const wallets = {};
+
+    try {
+      for (const [userId, amount] of deltas) {
+        wallets[userId] = await User.applyBalanceDelta(userId, amount, session);
+        applied.push([userId, amount]);
+      }
+
+      for (const transaction of transactions) {
+        transaction.journalEntryId = entry._id;
+        await transaction.save({ session });
+      }
+    } catch (error) {
+      // Without a session nothing rolls back for us, so compensate by hand
+      if (!session) {
+        await this.compensate(entry, applied);
+      }
+      throw error;
+    }
+
+    entry.status = 'posted';
+    entry.postedAt = new Date();
+    await entry.save({ session });
+
+    return { entry, transactions, wallets };
+  }
+
+  // Undo wallet changes from a failed posting and void the entry
+  async compensate(entry, applied) {
+    for (const [userId, amount] of applied.reverse()) {
+      try {
+        await User.applyBalanceDelta(userId, -amount);
+      } catch (error) {
+        console.error(`Ledger compensation failed for user ${userId} on ${entry.entryId}:`, error);
+      }
+    }
+
+    entry.status = 'void';
+    await entry.save().catch(error => {
+      console.error(`Failed to void journal entry ${entry.entryId}:`, error);
+    });
+  }
+
+  // Post the mirror image of an existing entry
+  async reverse(journalEntryId, { description, transactions = [], metadata = null, session = null } = {}) {
+    const original = await JournalEntry.findById(journalEntryId).session(session);
+    if (!original || original.status !== 'posted') {
+      throw new Error('Journal entry not found or not posted');
+    }
+
+    const existingReversal = await JournalEntry.findOne({
+      reversalOf: original._id,
+      status: { $ne: 'void' }
+    }).session(session);
+
+    if (existingReversal) {
+      throw new Error(`Journal entry ${original.entryId} has already been reversed`);
+    }
+
+    try {
+      return await this.post({
+        description: description || `Reversal of ${original.entryId}`,
+        lines: original.lines.map(line => ({
+          account: line.account,
+          userId: line.userId,
+          debit: line.credit,
+          credit: line.debit
+        })),
+        transactions,
+        metadata,
+        reversalOf: original._id,
+        session
+      });
+    } catch (error) {
+      // A concurrent reversal of the same entry got there first
+      if (error.code === 11000 && error.keyPattern?.reversalOf) {
+        throw new Error(`Journal entry ${original.entryId} has already been reversed`);
+      }
+      throw error;
+    }
+  }
+
+  // Get the ledger balance of any account
+  async getBalance(account) {
+    return JournalEntry.getAccountBalance(account);
+  }
+
+  // Compare a user's wallet projection against the ledger and optionally fix it
+  async reconcileUser(userId, { apply = false } = {}) {
+    const user = await User.findById(userId).select('wallet');
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const { balance: ledgerBalance, entries } = await this.getBalance(this.accounts.user(userId));
+    const walletBalance = user.wallet.balance;
+    const drift = (toCents(walletBalance) - toCents(ledgerBalance)) / 100;
+
+    let applied = false;
+    if (apply && drift !== 0) {
+      await User.updateOne({ _id: userId }, { $set: { 'wallet.balance': ledgerBalance } });
+      applied = true;
+    }
+
+    return { userId, ledgerBalance, walletBalance, drift, entries, applied };
+  }
+
+  // Find entries that never finished posting (e.g. the process died midway)
+  async findStalePending(olderThanMs = 5 * 60 * 1000) {
+    return JournalEntry.find({
+      status: 'pending',
+      createdAt: { $lt: new Date(Date.now() - olderThanMs) }
+    }).sort({ createdAt: 1 });
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,100 @@
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+// Outgoing user notifications, delivered by email through the EMAIL_*
+// settings from .env. Sending fails when no transport is configured, so a
+// message is never silently dropped.
+class NotificationService {
+  constructor() {
+    this.from = process.env.EMAIL_FROM || 'Digital Will <noreply@digitalwill.com>';
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    this.transport = this.createTransport();
+  }
+
+  // Build the mail transport; null if email is not configured
+  createTransport() {
+    const { EMAIL_SERVICE, EMAIL_USER, EMAIL_PASS } = process.env;
+    if (!EMAIL_SERVICE || !EMAIL_USER || !EMAIL_PASS) {
+      return null;
+    }
+
+    return nodemailer.createTransport({
+      service: EMAIL_SERVICE,
+      auth: { user: EMAIL_USER, pass: EMAIL_PASS }
+    });
+  }
+
+  // Replace the transport, e.g. with another provider. A transport has
+  // sendMail({ from, to, subject, text }) like a nodemailer transport.
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  // Build a link into the frontend
+  link(path) {
+    return `${this.frontendUrl}${path}`;
+  }
+
+  // Send a message to an email address. Bodies can carry secrets such as
+  // invitation links, so only the recipient and subject are logged.
+  async send(to, subject, text) {
+    if (!this.transport) {
+      throw new Error('Email delivery is not configured (set EMAIL_SERVICE, EMAIL_USER and EMAIL_PASS)');
+    }
+
+    const info = await this.transport.sendMail({ from: this.from, to, subject, text });
+    logger.info(`Notification sent to ${to}: ${subject}`, { messageId: info.messageId });
+
+    return { delivered: true, messageId: info.messageId };
+  }
+
+  // Invite someone without an account to claim their place as an heir
+  async sendHeirInvitation(email, { puzzleTitle, creatorName, inviteUrl }) {
+    return this.send(
+      email,
+      `${creatorName} named you as an heir on Digital Will`,
+      `${creatorName} has named you as an heir of "${puzzleTitle}". ` +
+      `Create an account and accept the invitation here: ${inviteUrl}`
+    );
+  }
+
+  // Let an existing user know they were named as an heir
+  async sendHeirDesignation(email, { puzzleTitle, creatorName }) {
+    return this.send(
+      email,
+      `${creatorName} named you as an heir on Digital Will`,
+      `${creatorName} has named you as an heir of "${puzzleTitle}". ` +
+      'Solve the puzzle to unlock the inheritance left for you.'
+    );
+  }
+
+  // Remind a creator to check in before their posthumous puzzles activate
+  async sendCheckInReminder(email, { firstName, dueAt, triggersAt, overdue }) {
+    const subject = overdue
+      ? 'Your Digital Will check-in is overdue'
+      : 'Your Digital Will check-in is due soon';
+
+    return this.send(
+      email,
+      subject,
+      `Hi ${firstName}, your next check-in ${overdue ? 'was' : 'is'} due on ${dueAt.toISOString()}. ` +
+      `If you do not check in by ${triggersAt.toISOString()}, your posthumous puzzles will be released. ` +
+      `Check in here: ${this.link('/check-in')}`
+    );
+  }
+
+  // Tell a creator their puzzle expired unsolved and was refunded
+  async sendPuzzleExpired(email, { firstName, puzzleTitle, refundAmount }) {
+    const refundNote = refundAmount > 0
+      ? ` The escrowed reward of $${refundAmount} has been refunded to your wallet.`
+      : '';
+
+    return this.send(
+      email,
+      `Your puzzle "${puzzleTitle}" has expired`,
+      `Hi ${firstName}, your puzzle "${puzzleTitle}" expired without being solved.${refundNote}`
+    );
+  }
+}
+
+module.exports = new NotificationService();
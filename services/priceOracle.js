@@ -0,0 +1,219 @@
+const axios = require('axios');
+
+// How long an aggregated price is reused before the sources are asked again
+const CACHE_TTL_MS = 30 * 1000;
+// Per-source request timeout
+const REQUEST_TIMEOUT_MS = 5000;
+
+const COINGECKO_IDS = { SOL: 'solana', BTC: 'bitcoin' };
+const COINBASE_PRODUCTS = { SOL: 'SOL-USD', BTC: 'BTC-USD' };
+const KRAKEN_PAIRS = { SOL: 'SOLUSD', BTC: 'XBTUSD' };
+
+// Built-in price sources. A provider reports the USD price of an asset and
+// when that price was observed; sources without a timestamp report the time
+// of the request.
+const PROVIDERS = {
+  coingecko: {
+    name: 'coingecko',
+    supports: asset => Boolean(asset.coingeckoId || COINGECKO_IDS[asset.symbol]),
+    async fetchQuote(asset) {
+      const id = asset.coingeckoId || COINGECKO_IDS[asset.symbol];
+      const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
+        params: { ids: id, vs_currencies: 'usd', include_last_updated_at: true },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+      const data = response.data?.[id];
+      return {
+        price: Number(data?.usd),
+        timestamp: data?.last_updated_at ? new Date(data.last_updated_at * 1000) : new Date()
+      };
+    }
+  },
+
+  coinbase: {
+    name: 'coinbase',
+    supports: asset => Boolean(COINBASE_PRODUCTS[asset.symbol]),
+    async fetchQuote(asset) {
+      const response = await axios.get(`https://api.coinbase.com/v2/prices/${COINBASE_PRODUCTS[asset.symbol]}/spot`, {
+        timeout: REQUEST_TIMEOUT_MS
+      });
+      return { price: Number(response.data?.data?.amount), timestamp: new Date() };
+    }
+  },
+
+  kraken: {
+    name: 'kraken',
+    supports: asset => Boolean(KRAKEN_PAIRS[asset.symbol]),
+    async fetchQuote(asset) {
+      const response = await axios.get('https://api.kraken.com/0/public/Ticker', {
+        params: { pair: KRAKEN_PAIRS[asset.symbol] },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+      if (response.data?.error?.length) {
+        throw new Error(response.data.error.join(', '));
+      }
+      // Last trade price of the only pair in the result
+      const [ticker] = Object.values(response.data?.result || {});
+      return { price: Number(ticker?.c?.[0]), timestamp: new Date() };
+    }
+  }
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Shared source of USD prices for crypto payments. Prices are the median of
+// the configured providers; quotes older than the staleness limit, or too
+// far from the median, are dropped. If too few sources remain the price is
+// unavailable and the payment must be refused. There is no fallback price.
+// An asset fewer than PRICE_MIN_SOURCES providers support is refused
+// outright, unless its token config opts in to a lower minPriceSources.
+class PriceOracle {
+  constructor() {
+    const names = (process.env.PRICE_ORACLE_PROVIDERS || 'coingecko,coinbase,kraken')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    this.providers = [];
+    for (const name of names) {
+      if (PROVIDERS[name]) {
+        this.providers.push(PROVIDERS[name]);
+      } else {
+        console.error(`Unknown price provider in PRICE_ORACLE_PROVIDERS: ${name}`);
+      }
+    }
+
+    this.maxAgeMs = (parseInt(process.env.PRICE_MAX_AGE_SECONDS) || 180) * 1000;
+    this.maxDeviation = parseFloat(process.env.PRICE_MAX_DEVIATION) || 0.02;
+    this.minSources = parseInt(process.env.PRICE_MIN_SOURCES) || 2;
+    this.cache = new Map();
+  }
+
+  // Add a price source: { name, supports(asset), fetchQuote(asset) }, where
+  // fetchQuote resolves to { price, timestamp }
+  registerProvider(provider) {
+    this.providers = this.providers.filter(existing => existing.name !== provider.name);
+    this.providers.push(provider);
+    this.cache.clear();
+  }
+
+  // Accept 'SOL', 'BTC' or a configured SPL token
+  normalizeAsset(asset) {
+    if (typeof asset === 'string') {
+      return { symbol: asset.toUpperCase(), coingeckoId: null, usdPegged: false, minPriceSources: null };
+    }
+    return {
+      symbol: asset.symbol.toUpperCase(),
+      coingeckoId: asset.coingeckoId || null,
+      usdPegged: Boolean(asset.usdPegged),
+      minPriceSources: asset.minPriceSources || null
+    };
+  }
+
+  // Get the aggregated USD price of an asset:
+  // { symbol, price, sources: [{ source, price, timestamp }], timestamp }
+  async getPrice(asset) {
+    asset = this.normalizeAsset(asset);
+
+    // Dollar-pegged tokens are worth $1
+    if (asset.usdPegged) {
+      return { symbol: asset.symbol, price: 1, sources: [{ source: 'usd_peg', price: 1, timestamp: new Date() }], timestamp: new Date() };
+    }
+
+    const cached = this.cache.get(asset.symbol);
+    if (cached && Date.now() < cached.cachedUntil && this.isFresh(cached.quote.timestamp)) {
+      return cached.quote;
+    }
+
+    const providers = this.providers.filter(provider => provider.supports(asset));
+    if (providers.length === 0) {
+      throw new Error(`No price source configured for ${asset.symbol}`);
+    }
+
+    // Never let a single unverified feed price a payment by default
+    const required = asset.minPriceSources || this.minSources;
+    if (providers.length < required) {
+      throw new Error(`${asset.symbol} has ${providers.length} price source(s) configured; ${required} are required`);
+    }
+
+    const results = await Promise.allSettled(providers.map(provider => provider.fetchQuote(asset)));
+
+    const fresh = [];
+    results.forEach((result, index) => {
+      const source = providers[index].name;
+
+      if (result.status === 'rejected') {
+        console.error(`Price source ${source} failed for ${asset.symbol}:`, result.reason?.message || result.reason);
+        return;
+      }
+
+      const { price, timestamp } = result.value;
+      if (!Number.isFinite(price) || price <= 0) {
+        console.error(`Price source ${source} returned an invalid ${asset.symbol} price`);
+      } else if (!this.isFresh(timestamp)) {
+        console.warn(`Price source ${source} ${asset.symbol} price is stale (${timestamp.toISOString()})`);
+      } else {
+        fresh.push({ source, price, timestamp });
+      }
+    });
+
+    // Drop outliers, e.g. a source reporting a bad trade or a frozen feed
+    const mid = fresh.length ? median(fresh.map(quote => quote.price)) : null;
+    const agreeing = fresh.filter(quote => Math.abs(quote.price - mid) / mid <= this.maxDeviation);
+    for (const quote of fresh.filter(quote => !agreeing.includes(quote))) {
+      console.warn(`Price source ${quote.source} ${asset.symbol} price $${quote.price} deviates from the median $${mid}`);
+    }
+
+    if (agreeing.length < required) {
+      throw new Error(`No fresh ${asset.symbol} price available`);
+    }
+
+    const quote = {
+      symbol: asset.symbol,
+      price: median(agreeing.map(source => source.price)),
+      sources: agreeing,
+      // As old as the oldest price it is made of
+      timestamp: new Date(Math.min(...agreeing.map(source => source.timestamp.getTime())))
+    };
+
+    this.cache.set(asset.symbol, { quote, cachedUntil: Date.now() + CACHE_TTL_MS });
+    return quote;
+  }
+
+  // Get the USD price of an asset
+  async getUsdRate(asset) {
+    return (await this.getPrice(asset)).price;
+  }
+
+  // Lock a price for a payment. The quote is stored with the deposit and
+  // holds for payments made before it expires.
+  async lockQuote(asset, ttlMs) {
+    const { symbol, price, sources } = await this.getPrice(asset);
+    const quotedAt = new Date();
+
+    return {
+      symbol,
+      price,
+      sources: sources.map(source => source.source),
+      quotedAt,
+      expiresAt: new Date(quotedAt.getTime() + ttlMs)
+    };
+  }
+
+  // Check whether a locked quote still covers a payment made at a time.
+  // Deposits created before quotes were locked have none and keep their price.
+  isQuoteValid(quote, at = new Date()) {
+    return !quote || !quote.expiresAt || new Date(at) <= new Date(quote.expiresAt);
+  }
+
+  isFresh(timestamp) {
+    return timestamp instanceof Date && Date.now() - timestamp.getTime() <= this.maxAgeMs;
+  }
+}
+
+module.exports = new PriceOracle();
+module.exports.PriceOracle = PriceOracle;
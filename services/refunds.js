@@ -0,0 +1,126 @@
+const JournalEntry = require('../models/JournalEntry');
+const Puzzle = require('../models/Puzzle');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const { runInTransaction } = require('../utils/db');
+
+// Admin refunds of completed transactions
+class RefundService {
+  // Refuse transactions a reversal cannot refund correctly
+  async assertRefundable(transaction) {
+    if (transaction.status !== 'completed') {
+      throw new Error('Can only refund completed transactions');
+    }
+
+    // The payout has left the platform; reversing its settlement would only
+    // move money between platform accounts
+    if (transaction.type === 'withdrawal') {
+      throw new Error('Withdrawals cannot be refunded; failed payouts release their reserved funds automatically');
+    }
+
+    if (await this.isEscrowBacked(transaction)) {
+      throw new Error('Puzzle payments held in escrow cannot be refunded; delete the puzzle to refund its creator');
+    }
+  }
+
+  // Whether a transaction moved money into or out of a puzzle's escrow
+  // (its funding, admin fee, reward or stage rewards). Only the escrow
+  // service keeps the puzzle's escrow state in step with the ledger, so
+  // reversing one of these would let the reward be paid twice.
+  async isEscrowBacked(transaction) {
+    if (transaction.journalEntryId) {
+      const entry = await JournalEntry.findById(transaction.journalEntryId).select('lines.account');
+      if (entry?.lines.some(line => line.account === ledger.accounts.ESCROW)) {
+        return true;
+      }
+    }
+
+    // Puzzles from before the ledger had their escrow backfilled
+    if (['puzzle_creation', 'puzzle_solve'].includes(transaction.type) && transaction.puzzleId) {
+      const puzzle = await Puzzle.findById(transaction.puzzleId).select('payment.escrow.status');
+      const status = puzzle?.payment?.escrow?.status;
+      return Boolean(status && status !== 'unfunded');
+    }
+
+    return false;
+  }
+
+  // Refund a completed transaction (with fromUserId and toUserId populated)
+  // by reversing its ledger posting
+  async refund(transaction, { reason, adminId, approvedBy = null, approvalRequestId = null }) {
+    await this.assertRefundable(transaction);
+
+    // Create refund transaction
+    const refundTransaction = new Transaction({
+      type: 'refund',
+      fromUserId: transaction.toUserId?._id,
+      toUserId: transaction.fromUserId?._id,
+      puzzleId: transaction.puzzleId,
+      amount: transaction.amount,
+      fees: { adminFee: 0 },
+      paymentMethod: { type: 'internal', details: { source: 'admin_refund' } },
+      status: 'completed',
+      processedAt: new Date(),
+      approvalRequestId,
+      metadata: {
+        description: `Admin refund for transaction ${transaction.transactionId}`,
+        reason,
+        originalTransactionId: transaction.transactionId,
+        adminId,
+        approvedBy
+      }
+    });
+
+    // Reverse the original posting and mark the original transaction as
+    // refunded together, so a crash cannot leave one without the other
+    await runInTransaction(async (session) => {
+      // Claim the original first, so a concurrent refund of it conflicts
+      // here and finds it already refunded when retried
+      const claimed = await Transaction.updateOne(
+        { _id: transaction._id, status: 'completed' },
+        { $set: { status: 'refunded' } },
+        { session }
+      );
+      if (claimed.modifiedCount === 0) {
+        throw new Error('Can only refund completed transactions');
+      }
+
+      // Transactions from before the ledger existed are reversed between
+      // the parties recorded on the transaction
+      if (transaction.journalEntryId) {
+        await ledger.reverse(transaction.journalEntryId, {
+          description: `Admin refund for transaction ${transaction.transactionId}`,
+          transactions: [refundTransaction],
+          session
+        });
+      } else {
+        const counterparty = ledger.accounts.external(transaction.paymentMethod.type);
+        await ledger.post({
+          description: `Admin refund for transaction ${transaction.transactionId}`,
+          lines: ledger.transfer(
+            transaction.toUserId ? ledger.accounts.user(transaction.toUserId._id) : counterparty,
+            transaction.fromUserId ? ledger.accounts.user(transaction.fromUserId._id) : counterparty,
+            transaction.amount.usd
+          ),
+          transactions: [refundTransaction],
+          session
+        });
+      }
+
+      transaction.status = 'refunded';
+      transaction.metadata = {
+        ...transaction.metadata,
+        refundTransactionId: refundTransaction.transactionId,
+        refundReason: reason,
+        refundedBy: adminId,
+        refundApprovedBy: approvedBy,
+        refundedAt: new Date()
+      };
+      await transaction.save({ session });
+    });
+
+    return { refundTransaction, transaction };
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const Settings = require('../models/Settings');
+
+// How long a cached copy of the settings is trusted. Every serverless
+// instance keeps its own cache, so changes reach all of them within this time.
+const CACHE_TTL_MS = 30 * 1000;
+
+// Settings that can be changed through the admin API
+const EDITABLE_PATHS = [
+  'platformFees.adminFee',
+  'platformFees.hintPlatformShare',
+  'platformFees.withdrawalFees.stripe',
+  'platformFees.withdrawalFees.solana',
+  'platformFees.withdrawalFees.bitcoin',
+  'limits.minDeposit',
+  'limits.maxDeposit',
+  'limits.minWithdrawal.stripe',
+  'limits.minWithdrawal.solana',
+  'limits.minWithdrawal.bitcoin',
+  'limits.maxWithdrawal',
+  'limits.puzzleValue.min',
+  'limits.puzzleValue.max',
+  'features.registrationEnabled',
+  'features.puzzleCreationEnabled',
+  'features.depositsEnabled',
+  'features.withdrawalsEnabled',
+  'features.maintenanceMode',
+  'approvals.refundThreshold',
+  'approvals.withdrawalThreshold',
+  'approvals.expiryHours',
+  'confirmations.bitcoin.small',
+  'confirmations.bitcoin.medium',
+  'confirmations.bitcoin.large',
+  'confirmations.bitcoin.mediumThreshold',
+  'confirmations.bitcoin.largeThreshold',
+  'rollouts.puzzleCreationEnabled.userIds',
+  'rollouts.puzzleCreationEnabled.percentage',
+  'rollouts.depositsEnabled.userIds',
+  'rollouts.depositsEnabled.percentage',
+  'rollouts.withdrawalsEnabled.userIds',
+  'rollouts.withdrawalsEnabled.percentage'
+];
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+// Plain copy of a setting value (ObjectId lists become strings) for comparing and recording changes
+const toPlain = (value) => (Array.isArray(value) ? value.map(String) : value);
+
+// Stable bucket from 0 to 99 for a user and feature, so a percentage
+// rollout always includes the same accounts
+const rolloutBucket = (feature, userId) => {
+  const digest = crypto.createHash('sha256').update(`${feature}:${userId}`).digest();
+  return digest.readUInt32BE(0) % 100;
+};
+
+// Cached accessor for the platform settings. Routes and services read fees,
+// limits and feature flags through here instead of hard-coding them.
+class SettingsService {
+  constructor() {
+    this.editablePaths = EDITABLE_PATHS;
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  // Get the current settings as a plain object
+  async get() {
+    if (this.cache && Date.now() - this.cachedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const current = await Settings.getCurrent();
+    this.cache = current.toObject();
+    this.cachedAt = Date.now();
+    return this.cache;
+  }
+
+  // Drop the cached copy so the next read goes to the database
+  invalidate() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  // Save a new settings version with the given changes (a partial settings object)
+  async update(updates, { updatedBy = null, reason = null, expectedVersion = null } = {}) {
+    const current = await Settings.getCurrent();
+
+    if (expectedVersion !== null && expectedVersion !== current.version) {
+      throw new Error(`Settings have changed since version ${expectedVersion}`);
+    }
+
+    const next = new Settings({
+      ...current.toObject(),
+      _id: undefined,
+      createdAt: undefined,
+      updatedAt: undefined,
+      version: current.version + 1,
+      updatedBy,
+      reason,
+      changes: []
+    });
+
+    for (const path of EDITABLE_PATHS) {
+      const value = toPlain(getPath(updates, path));
+      const previous = toPlain(current.get(path));
+      if (value === undefined || JSON.stringify(value) === JSON.stringify(previous)) continue;
+
+      next.changes.push({ path, from: previous, to: value });
+      next.set(path, value);
+    }
+
+    if (next.changes.length === 0) {
+      throw new Error('No settings were changed');
+    }
+
+    try {
+      await next.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error(`Settings have changed since version ${current.version}`);
+      }
+      throw error;
+    }
+
+    this.invalidate();
+    return next;
+  }
+
+  // Check whether a feature flag is on for a user. A disabled feature stays
+  // available to users in its rollout; admins always have every feature.
+  async isFeatureEnabled(feature, user = null) {
+    const { features, rollouts } = await this.get();
+
+    if (features[feature] || (user && user.role === 'admin')) {
+      return true;
+    }
+
+    const rollout = rollouts && rollouts[feature];
+    if (!rollout || !user) {
+      return false;
+    }
+
+    const userId = user._id.toString();
+    return rollout.userIds.some(id => id.toString() === userId) ||
+      rolloutBucket(feature, userId) < rollout.percentage;
+  }
+
+  // Check whether the platform is in maintenance mode
+  async isMaintenanceMode() {
+    return (await this.get()).features.maintenanceMode;
+  }
+
+  // Fee charged on top of a puzzle's value when it is created
+  async getAdminFee() {
+    return (await this.get()).platformFees.adminFee;
+  }
+
+  // Fee charged on a withdrawal with the given method
+  async getWithdrawalFee(method) {
+    return (await this.get()).platformFees.withdrawalFees[method];
+  }
+
+  // Confirmations a Bitcoin deposit of a USD amount needs before it is credited
+  async getRequiredConfirmations(amount) {
+    const tiers = (await this.get()).confirmations.bitcoin;
+
+    if (amount >= tiers.largeThreshold) return tiers.large;
+    if (amount >= tiers.mediumThreshold) return tiers.medium;
+    return tiers.small;
+  }
+
+  // Check a deposit amount against the configured limits
+  async checkDepositAmount(amount) {
+    const { limits } = await this.get();
+
+    if (amount < limits.minDeposit) {
+      throw new Error(`Minimum deposit amount is $${limits.minDeposit}`);
+    }
+    if (amount > limits.maxDeposit) {
+      throw new Error(`Maximum deposit amount is $${limits.maxDeposit}`);
+    }
+  }
+
+  // Check a withdrawal amount against the configured limits for a method
+  async checkWithdrawalAmount(method, amount) {
+    const { limits } = await this.get();
+
+    if (amount < limits.minWithdrawal[method]) {
+      throw new Error(`Minimum withdrawal amount is $${limits.minWithdrawal[method]}`);
+    }
+    if (amount > limits.maxWithdrawal) {
+      throw new Error(`Maximum withdrawal amount is $${limits.maxWithdrawal}`);
+    }
+  }
+
+  // Check a puzzle value against the configured limits
+  async checkPuzzleValue(value) {
+    const { limits } = await this.get();
+
+    if (value < limits.puzzleValue.min || value > limits.puzzleValue.max) {
+      throw new Error(`Puzzle value must be between $${limits.puzzleValue.min} and $${limits.puzzleValue.max}`);
+    }
+  }
+}
+
+module.exports = new SettingsService();
@@ -502,19 +502,34 @@ const {
   Keypair,
   Transaction,
   SystemProgram,
-  LAMPORTS_PER_SOL,
-  sendAndConfirmTransaction
+  LAMPORTS_PER_SOL
 } = require('@solana/web3.js');
-const bs58 = require('bs58');
+const {
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction
+} = require('@solana/spl-token');
+const bs58 = require('bs58').default; // bs58 v6 only has a default export under CommonJS
 const User = require('../models/User');
 const TransactionModel = require('../models/Transaction');
+const UnclaimedDeposit = require('../models/UnclaimedDeposit');
+const ledger = require('./ledger');
+const depositClaims = require('./depositClaims');
+const settings = require('./settings');
+const priceOracle = require('./priceOracle');
+const splTokens = require('../utils/splTokens');
+
+// How long pending deposits are watched for a payment carrying their reference
+const DEPOSIT_WATCH_MS = 24 * 60 * 60 * 1000;
+// Recent payments are left for the client to confirm before being flagged
+const UNCLAIMED_GRACE_MS = 10 * 60 * 1000;
+// How long a deposit request, and the price quoted for it, is valid
+const DEPOSIT_TTL_MS = 30 * 60 * 1000;
 
 class SolanaService {
   constructor() {
     this._connection = null;
     this.platformWallet = null;
-    this.priceCache = null;
-    this.priceCacheExpiry = 0;
     this.initializePlatformWallet();
   }
 
@@ -552,58 +567,37 @@ class SolanaService {
     }
   }
 
-  // Enhanced price fetching with caching and timeout
+  // Get SOL to USD exchange rate; throws when no fresh price is available
   async getSolToUsdRate() {
-    try {
-      // Use cache if valid (5 minutes)
-      if (this.priceCache && Date.now() < this.priceCacheExpiry) {
-        return this.priceCache;
-      }
-
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 10000); // 10s timeout
+    return priceOracle.getUsdRate('SOL');
+  }
 
-      const response = await fetch(
-        'https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd',
-        { 
-          signal: controller.signal,
-          headers: {
-            'Accept': 'application/json',
-            'User-Agent': 'SolanaService/1.0'
-          }
-        }
-      );
-      
-      clearTimeout(timeoutId);
+  // Get the USD price of an SPL token. Dollar-pegged tokens are worth $1.
+  async getTokenUsdRate(token) {
+    return priceOracle.getUsdRate(token);
+  }
 
-      if (!response.ok) {
-        throw new Error(`Price API error: ${response.status}`);
-      }
+  // Convert USD to a token amount, rounded to the token's decimals
+  async usdToToken(usdAmount, token) {
+    if (!usdAmount || usdAmount <= 0) {
+      throw new Error('Invalid USD amount');
+    }
 
-      const data = await response.json();
-      
-      if (!data?.solana?.usd) {
-        throw new Error('Invalid price data format');
-      }
+    const price = await this.getTokenUsdRate(token);
+    return parseFloat((usdAmount / price).toFixed(token.decimals));
+  }
 
-      this.priceCache = data.solana.usd;
-      this.priceCacheExpiry = Date.now() + (5 * 60 * 1000); // 5 minutes cache
-      
-      return this.priceCache;
+  // Look up a configured SPL token; null means native SOL
+  resolveToken(symbol) {
+    if (!symbol || symbol.toUpperCase() === 'SOL') {
+      return null;
+    }
 
-    } catch (error) {
-      console.error('Error fetching SOL price:', error.message);
-      
-      // Use cached price if available, otherwise fallback
-      if (this.priceCache) {
-        console.log('Using cached SOL price due to API error');
-        return this.priceCache;
-      }
-      
-      // Fallback price
-      console.log('Using fallback SOL price: $80');
-      return 80;
+    const token = splTokens.getToken(symbol);
+    if (!token) {
+      throw new Error(`Unsupported Solana token: ${symbol}`);
     }
+    return token;
   }
 
   // Convert USD to SOL with error handling
@@ -721,18 +715,12 @@ class SolanaService {
   }
 
   // Create deposit with enhanced validation
-  async createDepositTransaction(userId, usdAmount) {
+  async createDepositTransaction(userId, usdAmount, tokenSymbol = 'SOL') {
     if (!userId || !usdAmount || usdAmount <= 0) {
       throw new Error('Invalid parameters');
     }
 
-    if (usdAmount < 1) {
-      throw new Error('Minimum deposit amount is $1');
-    }
-
-    if (usdAmount > 10000) {
-      throw new Error('Maximum deposit amount is $10,000 per transaction');
-    }
+    await settings.checkDepositAmount(usdAmount);
 
     try {
       if (!this.platformWallet) {
@@ -744,14 +732,23 @@ class SolanaService {
         throw new Error('User not found');
       }
 
-      // Convert USD to SOL with price check
-      const solAmount = await this.usdToSol(usdAmount);
-      const solPrice = await this.getSolToUsdRate();
+      const token = this.resolveToken(tokenSymbol);
+      if (token) {
+        return await this.createTokenDeposit(userId, usdAmount, token);
+      }
+
+      // Lock the SOL price for this deposit; it holds until the deposit expires
+      const quote = await priceOracle.lockQuote('SOL', DEPOSIT_TTL_MS);
+      const solPrice = quote.price;
+      const solAmount = parseFloat((usdAmount / solPrice).toFixed(6));
 
       if (solAmount < 0.001) {
         throw new Error('SOL amount too small for transaction');
       }
 
+      // The payment must include this key, which ties it to this deposit
+      const reference = Keypair.generate().publicKey.toString();
+
       // Create pending transaction
       const transaction = TransactionModel.createDeposit(
         userId,
@@ -763,11 +760,14 @@ class SolanaService {
             solPrice,
             platformWallet: this.platformWallet.publicKey.toString(),
             expectedAmount: solAmount,
+            quote,
+            reference,
             createdAt: new Date()
           }
         },
         null
       );
+      transaction.amount.crypto = { amount: solAmount, currency: 'SOL', exchangeRate: solPrice };
 
       await transaction.save();
 
@@ -779,11 +779,19 @@ class SolanaService {
           usdAmount,
           solPrice,
           transactionId: transaction.transactionId,
-          expiresAt: new Date(Date.now() + 30 * 60 * 1000), // 30 minutes
+          reference,
+          paymentUrl: this.buildPaymentUrl({
+            recipient: this.platformWallet.publicKey.toString(),
+            amount: solAmount.toFixed(6),
+            reference,
+            memo: transaction.transactionId
+          }),
+          expiresAt: quote.expiresAt,
           instructions: {
             network: 'Solana Mainnet',
             amount: `${solAmount.toFixed(6)} SOL`,
-            recipient: this.platformWallet.publicKey.toString()
+            recipient: this.platformWallet.publicKey.toString(),
+            reference: 'Include the reference key in the transfer, or the transaction ID as a memo'
           }
         }
       };
@@ -794,6 +802,101 @@ class SolanaService {
     }
   }
 
+  // Build a Solana Pay transfer request URL for a deposit
+  buildPaymentUrl({ recipient, amount, splToken = null, reference, memo }) {
+    const params = new URLSearchParams({ amount });
+    if (splToken) params.set('spl-token', splToken);
+    params.set('reference', reference);
+    params.set('label', 'Digital Will');
+    params.set('memo', memo);
+    return `solana:${recipient}?${params.toString()}`;
+  }
+
+  // Create a deposit paid in an SPL token. The token is sent to the platform
+  // wallet's associated token account for the mint.
+  async createTokenDeposit(userId, usdAmount, token) {
+    const quote = await priceOracle.lockQuote(token, DEPOSIT_TTL_MS);
+    const tokenPrice = quote.price;
+    const tokenAmount = parseFloat((usdAmount / tokenPrice).toFixed(token.decimals));
+
+    const platformWallet = this.platformWallet.publicKey;
+    const platformTokenAccount = await getAssociatedTokenAddress(new PublicKey(token.mint), platformWallet);
+    const reference = Keypair.generate().publicKey.toString();
+
+    const transaction = TransactionModel.createDeposit(
+      userId,
+      usdAmount,
+      {
+        type: 'solana',
+        details: {
+          token: token.symbol,
+          mint: token.mint,
+          tokenAmount,
+          tokenPrice,
+          platformWallet: platformWallet.toString(),
+          platformTokenAccount: platformTokenAccount.toString(),
+          expectedAmount: tokenAmount,
+          quote,
+          reference,
+          createdAt: new Date()
+        }
+      },
+      null
+    );
+    transaction.amount.crypto = { amount: tokenAmount, currency: token.symbol, mint: token.mint, exchangeRate: tokenPrice };
+
+    await transaction.save();
+
+    return {
+      transaction,
+      depositInfo: {
+        platformWallet: platformWallet.toString(),
+        platformTokenAccount: platformTokenAccount.toString(),
+        token: token.symbol,
+        mint: token.mint,
+        tokenAmount,
+        usdAmount,
+        tokenPrice,
+        transactionId: transaction.transactionId,
+        reference,
+        paymentUrl: this.buildPaymentUrl({
+          recipient: platformWallet.toString(),
+          amount: tokenAmount.toFixed(token.decimals),
+          splToken: token.mint,
+          reference,
+          memo: transaction.transactionId
+        }),
+        expiresAt: quote.expiresAt,
+        instructions: {
+          network: 'Solana Mainnet',
+          amount: `${tokenAmount.toFixed(token.decimals)} ${token.symbol}`,
+          recipient: platformWallet.toString(),
+          mint: token.mint,
+          reference: 'Include the reference key in the transfer, or the transaction ID as a memo'
+        }
+      }
+    };
+  }
+
+  // Total of an SPL token sent to a token account in a parsed transaction
+  getTokenTransferAmount(txInfo, tokenAccount, token) {
+    let raw = 0n;
+    for (const instruction of this.getParsedInstructions(txInfo)) {
+      if (instruction.program !== 'spl-token' || !instruction.parsed) continue;
+
+      const { type, info } = instruction.parsed;
+      if (info.destination !== tokenAccount) continue;
+
+      if (type === 'transfer') {
+        raw += BigInt(info.amount);
+      } else if (type === 'transferChecked' && info.mint === token.mint) {
+        raw += BigInt(info.tokenAmount.amount);
+      }
+    }
+
+    return Number(raw) / 10 ** token.decimals;
+  }
+
   // Enhanced deposit confirmation with better validation
   async confirmDeposit(transactionId, txHash) {
     if (!transactionId || !txHash) {
@@ -819,223 +922,511 @@ class SolanaService {
         throw new Error('Transaction has expired');
       }
 
-      // Verify transaction with timeout
-      const txInfoPromise = this.getConnection().getTransaction(txHash, {
-        commitment: 'confirmed',
-        maxSupportedTransactionVersion: 0
+      // Only finalized transactions are credited, as they can no longer be
+      // rolled back. Until then the deposit poller picks the payment up.
+      const { value: status } = await this.getConnection().getSignatureStatus(txHash, {
+        searchTransactionHistory: true
       });
 
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Transaction verification timeout')), 20000)
-      );
-
-      const txInfo = await Promise.race([txInfoPromise, timeoutPromise]);
-
-      if (!txInfo || txInfo.meta?.err) {
+      if (!status || status.err) {
         throw new Error('Transaction failed or not found on blockchain');
       }
 
-      // Enhanced transaction validation
-      const platformWallet = this.platformWallet.publicKey.toString();
-      const expectedAmount = transaction.paymentMethod.details.expectedAmount;
+      if (status.confirmationStatus !== 'finalized') {
+        transaction.confirmation = {
+          state: status.confirmationStatus === 'confirmed' ? 'confirming' : 'seen',
+          txHash,
+          confirmations: status.confirmations ?? 0,
+          seenAt: transaction.confirmation?.txHash === txHash ? transaction.confirmation.seenAt : new Date(),
+          lastCheckedAt: new Date()
+        };
+        await transaction.save();
+        return { transaction, confirmations: status.confirmations ?? 0, required: 'finalized', pending: true, alreadyProcessed: false };
+      }
 
-      // Get account keys
-      const accountKeys = txInfo.transaction.message.accountKeys || [];
-      const instructions = txInfo.transaction.message.instructions || [];
+      const txInfo = await this.getParsedDepositTransaction(txHash);
+      return await this.creditDeposit(transaction, txHash, txInfo);
 
-      if (instructions.length === 0) {
-        throw new Error('No instructions found in transaction');
-      }
+    } catch (error) {
+      console.error('Solana confirm deposit error:', error);
+      throw new Error(`Failed to confirm deposit: ${error.message}`);
+    }
+  }
 
-      // Find transfer instruction
-      let transferFound = false;
-      let transferAmount = 0;
+  // Fetch a finalized deposit transaction with parsed instructions
+  async getParsedDepositTransaction(txHash) {
+    const txInfoPromise = this.getConnection().getParsedTransaction(txHash, {
+      commitment: 'finalized',
+      maxSupportedTransactionVersion: 0
+    });
 
-      for (const instruction of instructions) {
-        try {
-          if (instruction.programId.toString() === SystemProgram.programId.toString()) {
-            const decoded = SystemProgram.decodeInstruction(instruction);
-            if (decoded.type === 'Transfer') {
-              const toAccount = accountKeys[instruction.accounts[1]].toString();
-              if (toAccount === platformWallet) {
-                transferAmount = decoded.data.lamports / LAMPORTS_PER_SOL;
-                transferFound = true;
-                break;
-              }
-            }
-          }
-        } catch (decodeError) {
-          console.warn('Failed to decode instruction:', decodeError);
-        }
-      }
+    const timeoutPromise = new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('Transaction verification timeout')), 20000)
+    );
 
-      if (!transferFound) {
-        throw new Error('No valid transfer to platform wallet found');
-      }
+    const txInfo = await Promise.race([txInfoPromise, timeoutPromise]);
 
-      // Check amount with tolerance
-      const tolerance = expectedAmount * 0.03; // 3% tolerance for price fluctuations
-      if (Math.abs(transferAmount - expectedAmount) > tolerance) {
-        throw new Error(
-          `Amount mismatch. Expected: ${expectedAmount.toFixed(6)} SOL, ` +
-          `Received: ${transferAmount.toFixed(6)} SOL`
-        );
-      }
+    if (!txInfo || txInfo.meta?.err) {
+      throw new Error('Transaction failed or not found on blockchain');
+    }
+    return txInfo;
+  }
 
-      // Update user balance
-      const user = await User.findById(transaction.toUserId);
-      if (!user) {
-        throw new Error('User not found during confirmation');
-      }
+  // All instructions of a parsed transaction, including the ones other
+  // programs made (inner instructions)
+  getParsedInstructions(txInfo) {
+    return [
+      ...(txInfo.transaction.message.instructions || []),
+      ...(txInfo.meta?.innerInstructions || []).flatMap(inner => inner.instructions)
+    ];
+  }
 
-      await user.updateBalance(transaction.amount.usd);
+  // Check that a transaction was made for a deposit: it either includes the
+  // deposit's reference key (Solana Pay) or carries its ID as a memo. This
+  // stops someone claiming another payment's transaction hash as their own.
+  isDepositPayment(txInfo, transaction) {
+    const { reference } = transaction.paymentMethod.details;
 
-      // Mark transaction as completed
-      await transaction.markCompleted(null, txHash);
+    const accountKeys = txInfo.transaction.message.accountKeys
+      .map(key => (key.pubkey || key).toString());
+    if (reference && accountKeys.includes(reference)) {
+      return true;
+    }
 
-      return { 
-        transaction, 
-        user, 
-        alreadyProcessed: false,
-        actualAmount: transferAmount
-      };
+    return this.getParsedInstructions(txInfo).some(instruction =>
+      instruction.program === 'spl-memo' && instruction.parsed === transaction.transactionId
+    );
+  }
 
-    } catch (error) {
-      console.error('Solana confirm deposit error:', error);
-      throw new Error(`Failed to confirm deposit: ${error.message}`);
+  // Total SOL sent to an address in a parsed transaction
+  getSolTransferAmount(txInfo, address) {
+    let lamports = 0;
+    for (const instruction of this.getParsedInstructions(txInfo)) {
+      if (instruction.program !== 'system' || !instruction.parsed) continue;
+
+      const { type, info } = instruction.parsed;
+      if (['transfer', 'transferWithSeed'].includes(type) && info.destination === address) {
+        lamports += info.lamports;
+      }
     }
+    return lamports / LAMPORTS_PER_SOL;
   }
 
-  // Enhanced withdrawal processing
-  async processWithdrawal(userId, usdAmount, userWalletAddress) {
-    if (!userId || !usdAmount || !userWalletAddress) {
-      throw new Error('Missing required parameters');
+  // Amount a deposit should have paid. The price locked when the deposit was
+  // created holds for payments made before it expired; later payments are
+  // priced at the current rate.
+  async getExpectedAmount(transaction, token, paidAt) {
+    const { details } = transaction.paymentMethod;
+    if (priceOracle.isQuoteValid(details.quote, paidAt)) {
+      return details.expectedAmount;
     }
+    return token ? this.usdToToken(transaction.amount.usd, token) : this.usdToSol(transaction.amount.usd);
+  }
 
-    try {
-      if (!this.platformWallet) {
-        throw new Error('Solana withdrawals temporarily unavailable');
-      }
+  // Verify a deposit's payment and credit the user's wallet
+  async creditDeposit(transaction, txHash, txInfo) {
+    const details = transaction.paymentMethod.details;
+    const token = details.mint ? this.resolveToken(details.token) : null;
+    const currency = token ? token.symbol : 'SOL';
+    const decimals = token ? token.decimals : 6;
 
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error('User not found');
-      }
+    // A Solana payment has no outputs, so it can fund a single deposit
+    const claim = { chain: 'solana', txHash, outputIndexes: [0], transaction };
+    await depositClaims.assertUnclaimed(claim);
 
-      // Validate amounts
-      if (usdAmount < 10) {
-        throw new Error('Minimum withdrawal amount is $10');
-      }
+    if (!this.isDepositPayment(txInfo, transaction)) {
+      throw new Error('Transaction was not made for this deposit');
+    }
 
-      if (usdAmount > 5000) {
-        throw new Error('Maximum withdrawal amount is $5,000 per transaction');
-      }
+    const transferAmount = token
+      ? this.getTokenTransferAmount(txInfo, details.platformTokenAccount, token)
+      : this.getSolTransferAmount(txInfo, this.platformWallet.publicKey.toString());
 
-      // Check user balance
-      const withdrawalFee = 2.50;
-      const totalDeduction = usdAmount + withdrawalFee;
+    if (transferAmount === 0) {
+      throw new Error(`No ${currency} transfer to platform wallet found`);
+    }
 
-      if (!user.wallet?.balance || user.wallet.balance < totalDeduction) {
-        throw new Error(
-          `Insufficient balance. Required: $${totalDeduction.toFixed(2)} ` +
-          `(amount: $${usdAmount} + fee: $${withdrawalFee})`
+    // Check amount with tolerance for price fluctuations; pegged tokens do
+    // not move in price, so only allow for rounding
+    const paidAt = txInfo.blockTime ? new Date(txInfo.blockTime * 1000) : new Date();
+    const expectedAmount = await this.getExpectedAmount(transaction, token, paidAt);
+    const tolerance = expectedAmount * (token?.usdPegged ? 0.005 : 0.03);
+    if (Math.abs(transferAmount - expectedAmount) > tolerance) {
+      throw new Error(
+        `Amount mismatch. Expected: ${expectedAmount.toFixed(decimals)} ${currency}, ` +
+        `Received: ${transferAmount.toFixed(decimals)} ${currency}`
+      );
+    }
+
+    // Credit the user's wallet and mark the transaction as completed
+    const now = new Date();
+    transaction.confirmation = {
+      state: 'confirmed',
+      txHash,
+      seenAt: transaction.confirmation?.txHash === txHash ? transaction.confirmation.seenAt : now,
+      confirmedAt: now,
+      lastCheckedAt: now
+    };
+    transaction.setCompleted(null, txHash);
+    const { wallets } = await depositClaims.credit({
+      ...claim,
+      description: `Solana ${token ? `${currency} ` : ''}deposit ${txHash}`,
+      lines: ledger.transfer(
+        ledger.accounts.external('solana'),
+        ledger.accounts.user(transaction.toUserId),
+        transaction.amount.usd
+      )
+    });
+
+    // A payment flagged for review before it was claimed is settled now
+    await UnclaimedDeposit.updateOne(
+      { chain: 'solana', txHash, status: 'pending_review' },
+      { $set: { status: 'resolved', reviewedAt: new Date(), reviewNote: `Credited to deposit ${transaction.transactionId}` } }
+    );
+
+    return {
+      transaction,
+      newBalance: wallets[transaction.toUserId.toString()].balance,
+      alreadyProcessed: false,
+      actualAmount: transferAmount
+    };
+  }
+
+  // Credit pending deposits whose payment has landed, found by their
+  // reference keys, then flag payments to the platform that no deposit
+  // claimed so an admin can review them
+  async pollDeposits({ now = new Date(), limit = 50 } = {}) {
+    const summary = { checked: 0, credited: 0, unclaimed: 0, errors: [] };
+
+    if (!this.platformWallet) {
+      return { ...summary, skipped: 'Solana platform wallet not configured' };
+    }
+
+    const pending = await TransactionModel.find({
+      type: 'deposit',
+      'paymentMethod.type': 'solana',
+      status: 'pending',
+      'paymentMethod.details.reference': { $exists: true },
+      createdAt: { $gte: new Date(now.getTime() - DEPOSIT_WATCH_MS) }
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit);
+
+    for (const transaction of pending) {
+      summary.checked++;
+
+      try {
+        const [signature] = await this.getConnection().getSignaturesForAddress(
+          new PublicKey(transaction.paymentMethod.details.reference),
+          { limit: 1 },
+          'finalized'
         );
-      }
+        if (!signature || signature.err) continue;
+
+        const txInfo = await this.getParsedDepositTransaction(signature.signature);
 
-      // Validate user wallet
-      if (!this.validateWalletAddress(userWalletAddress)) {
-        throw new Error('Invalid destination wallet address');
+        try {
+          await this.creditDeposit(transaction, signature.signature, txInfo);
+          summary.credited++;
+        } catch (error) {
+          // Paid for this deposit but not as requested, e.g. the wrong amount
+          const recorded = await this.recordUnclaimed(signature, txInfo, error.message, transaction._id);
+          if (recorded) summary.unclaimed++;
+        }
+      } catch (error) {
+        console.error(`Solana deposit poll error for ${transaction.transactionId}:`, error);
+        summary.errors.push({ transactionId: transaction.transactionId, error: error.message });
       }
+    }
 
-      // Convert and validate amounts
-      const solAmount = await this.usdToSol(usdAmount);
-      const solPrice = await this.getSolToUsdRate();
+    // Payments to the platform wallet and its token accounts
+    const platformWallet = this.platformWallet.publicKey;
+    const addresses = [platformWallet];
+    for (const symbol of splTokens.symbols()) {
+      addresses.push(await getAssociatedTokenAddress(new PublicKey(splTokens.getToken(symbol).mint), platformWallet));
+    }
 
-      if (solAmount < 0.001) {
-        throw new Error('SOL amount too small for withdrawal');
+    for (const address of addresses) {
+      try {
+        const signatures = await this.getConnection().getSignaturesForAddress(address, { limit }, 'finalized');
+
+        for (const signature of signatures) {
+          if (signature.err) continue;
+          if (signature.blockTime && signature.blockTime * 1000 > now.getTime() - UNCLAIMED_GRACE_MS) continue;
+
+          const known = await TransactionModel.exists({ blockchainTxHash: signature.signature }) ||
+            await UnclaimedDeposit.exists({ chain: 'solana', txHash: signature.signature });
+          if (known) continue;
+
+          const txInfo = await this.getParsedDepositTransaction(signature.signature);
+
+          // Wallets without Solana Pay support may pay with the deposit ID as a memo
+          const memoDeposit = await this.findMemoDeposit(txInfo);
+          if (memoDeposit) {
+            try {
+              await this.creditDeposit(memoDeposit, signature.signature, txInfo);
+              summary.credited++;
+            } catch (error) {
+              const recorded = await this.recordUnclaimed(signature, txInfo, error.message, memoDeposit._id);
+              if (recorded) summary.unclaimed++;
+            }
+            continue;
+          }
+
+          const recorded = await this.recordUnclaimed(signature, txInfo, 'No deposit matches this payment');
+          if (recorded) summary.unclaimed++;
+        }
+      } catch (error) {
+        console.error(`Solana deposit poll error for ${address.toString()}:`, error);
+        summary.errors.push({ address: address.toString(), error: error.message });
       }
+    }
 
-      // Check platform wallet balance
-      const platformBalance = await this.getConnection().getBalance(
-        this.platformWallet.publicKey
-      );
-      const platformSolBalance = platformBalance / LAMPORTS_PER_SOL;
-      const requiredBalance = solAmount + 0.005; // 0.005 SOL for transaction fees
+    return summary;
+  }
 
-      if (platformSolBalance < requiredBalance) {
-        throw new Error('Insufficient platform funds. Please try again later.');
-      }
+  // Find the pending deposit a transaction names in its memo, if any
+  async findMemoDeposit(txInfo) {
+    const memos = this.getParsedInstructions(txInfo)
+      .filter(instruction => instruction.program === 'spl-memo' && typeof instruction.parsed === 'string')
+      .map(instruction => instruction.parsed);
 
-      // Create and send transaction
-      const userPublicKey = new PublicKey(userWalletAddress);
-      const lamports = Math.floor(solAmount * LAMPORTS_PER_SOL);
+    if (memos.length === 0) {
+      return null;
+    }
 
-      const solanaTransaction = new Transaction().add(
-        SystemProgram.transfer({
-          fromPubkey: this.platformWallet.publicKey,
-          toPubkey: userPublicKey,
-          lamports
-        })
-      );
+    return TransactionModel.findOne({
+      transactionId: { $in: memos },
+      type: 'deposit',
+      'paymentMethod.type': 'solana',
+      status: 'pending'
+    });
+  }
 
-      // Get recent blockhash with timeout
-      const recentBlockhashInfo = await this.getConnection().getLatestBlockhash();
-      solanaTransaction.recentBlockhash = recentBlockhashInfo.blockhash;
-      solanaTransaction.feePayer = this.platformWallet.publicKey;
-
-      // Send transaction with timeout
-      const sendPromise = sendAndConfirmTransaction(
-        this.getConnection(),
-        solanaTransaction,
-        [this.platformWallet],
-        { 
-          commitment: 'confirmed',
-          skipPreflight: false,
-          preflightCommitment: 'confirmed'
+  // Flag a payment received by the platform for review. Transactions that
+  // paid nothing in (e.g. withdrawals) are ignored.
+  async recordUnclaimed(signature, txInfo, reason, depositTransactionId = null) {
+    const platformWallet = this.platformWallet.publicKey;
+    let received = {
+      address: platformWallet.toString(),
+      amount: this.getSolTransferAmount(txInfo, platformWallet.toString()),
+      currency: 'SOL',
+      mint: null
+    };
+
+    if (received.amount <= 0) {
+      for (const symbol of splTokens.symbols()) {
+        const token = splTokens.getToken(symbol);
+        const tokenAccount = (await getAssociatedTokenAddress(new PublicKey(token.mint), platformWallet)).toString();
+        const amount = this.getTokenTransferAmount(txInfo, tokenAccount, token);
+        if (amount > 0) {
+          received = { address: tokenAccount, amount, currency: token.symbol, mint: token.mint };
+          break;
         }
-      );
+      }
+    }
 
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Transaction timeout')), 45000)
-      );
+    if (received.amount <= 0) {
+      return null;
+    }
 
-      const txHash = await Promise.race([sendPromise, timeoutPromise]);
+    const feePayer = txInfo.transaction.message.accountKeys[0];
+    const unclaimed = await UnclaimedDeposit.record({
+      chain: 'solana',
+      txHash: signature.signature,
+      ...received,
+      sender: feePayer ? (feePayer.pubkey || feePayer).toString() : null,
+      blockTime: signature.blockTime ? new Date(signature.blockTime * 1000) : null,
+      reason,
+      depositTransactionId
+    });
+
+    if (unclaimed) {
+      console.warn(`Unclaimed Solana payment ${signature.signature} flagged for review: ${reason}`);
+    }
+    return unclaimed;
+  }
 
-      // Update user balance
-      await user.updateBalance(-totalDeduction);
+  // Build and sign the payout for a reserved withdrawal. The signature is
+  // known before sending, so after a crash the withdrawal can be looked up
+  // on-chain; once its blockhash expires it can no longer land.
+  async prepareWithdrawal(transaction) {
+    if (!this.platformWallet) {
+      throw new Error('Solana withdrawals temporarily unavailable');
+    }
 
-      // Create transaction record
-      const transaction = TransactionModel.createWithdrawal(
-        userId,
-        usdAmount,
-        {
-          type: 'solana',
-          details: {
-            userWallet: userWalletAddress,
-            solAmount,
-            solPrice,
-            txHash,
-            fee: withdrawalFee
-          }
-        }
-      );
+    const usdAmount = transaction.amount.usd;
+    const userWalletAddress = transaction.withdrawal.destination;
 
-      transaction.status = 'completed';
-      transaction.processedAt = new Date();
-      transaction.blockchainTxHash = txHash;
-      await transaction.save();
+    // Validate user wallet
+    if (!this.validateWalletAddress(userWalletAddress)) {
+      throw new Error('Invalid destination wallet address');
+    }
+
+    const token = this.resolveToken(transaction.paymentMethod.details.token);
+    if (token) {
+      return this.prepareTokenWithdrawal(transaction, token);
+    }
+
+    // Convert and validate amounts
+    const solAmount = await this.usdToSol(usdAmount);
+    const solPrice = await this.getSolToUsdRate();
+
+    if (solAmount < 0.001) {
+      throw new Error('SOL amount too small for withdrawal');
+    }
+
+    // Check platform wallet balance
+    const platformBalance = await this.getConnection().getBalance(
+      this.platformWallet.publicKey
+    );
+    const platformSolBalance = platformBalance / LAMPORTS_PER_SOL;
+    const requiredBalance = solAmount + 0.005; // 0.005 SOL for transaction fees
+
+    if (platformSolBalance < requiredBalance) {
+      throw new Error('Insufficient platform funds. Please try again later.');
+    }
 
-      return { 
-        transaction, 
-        txHash, 
+    // Create and sign transaction
+    const userPublicKey = new PublicKey(userWalletAddress);
+    const lamports = Math.floor(solAmount * LAMPORTS_PER_SOL);
+
+    const solanaTransaction = new Transaction().add(
+      SystemProgram.transfer({
+        fromPubkey: this.platformWallet.publicKey,
+        toPubkey: userPublicKey,
+        lamports
+      })
+    );
+
+    const recentBlockhashInfo = await this.getConnection().getLatestBlockhash();
+    solanaTransaction.recentBlockhash = recentBlockhashInfo.blockhash;
+    solanaTransaction.feePayer = this.platformWallet.publicKey;
+    solanaTransaction.sign(this.platformWallet);
+
+    return {
+      blockchainTxHash: bs58.encode(solanaTransaction.signature),
+      crypto: { amount: parseFloat(solAmount.toFixed(6)), currency: 'SOL', exchangeRate: solPrice },
+      details: {
+        userWallet: userWalletAddress,
         solAmount: parseFloat(solAmount.toFixed(6)),
-        fee: withdrawalFee
-      };
+        solPrice,
+        serializedTransaction: solanaTransaction.serialize().toString('base64'),
+        lastValidBlockHeight: recentBlockhashInfo.lastValidBlockHeight
+      }
+    };
+  }
+
+  // Build and sign a token payout. The user's associated token account is
+  // created in the same transaction if it does not exist yet.
+  async prepareTokenWithdrawal(transaction, token) {
+    const userWalletAddress = transaction.withdrawal.destination;
+    const tokenAmount = await this.usdToToken(transaction.amount.usd, token);
+    const tokenPrice = await this.getTokenUsdRate(token);
+    const rawAmount = BigInt(Math.round(tokenAmount * 10 ** token.decimals));
+
+    const mint = new PublicKey(token.mint);
+    const payer = this.platformWallet.publicKey;
+    const userPublicKey = new PublicKey(userWalletAddress);
+    const sourceAccount = await getAssociatedTokenAddress(mint, payer);
+    const destinationAccount = await getAssociatedTokenAddress(mint, userPublicKey);
+
+    // Check platform token and fee balances
+    const { value: tokenBalance } = await this.getConnection().getTokenAccountBalance(sourceAccount)
+      .catch(() => ({ value: { amount: '0' } }));
+    if (BigInt(tokenBalance.amount) < rawAmount) {
+      throw new Error('Insufficient platform funds. Please try again later.');
+    }
+
+    const platformBalance = await this.getConnection().getBalance(payer);
+    if (platformBalance / LAMPORTS_PER_SOL < 0.005) { // Fees and the rent of a new token account
+      throw new Error('Insufficient platform funds. Please try again later.');
+    }
+
+    const solanaTransaction = new Transaction().add(
+      createAssociatedTokenAccountIdempotentInstruction(payer, destinationAccount, userPublicKey, mint),
+      createTransferCheckedInstruction(sourceAccount, mint, destinationAccount, payer, rawAmount, token.decimals)
+    );
+
+    const recentBlockhashInfo = await this.getConnection().getLatestBlockhash();
+    solanaTransaction.recentBlockhash = recentBlockhashInfo.blockhash;
+    solanaTransaction.feePayer = payer;
+    solanaTransaction.sign(this.platformWallet);
+
+    return {
+      blockchainTxHash: bs58.encode(solanaTransaction.signature),
+      crypto: { amount: tokenAmount, currency: token.symbol, mint: token.mint, exchangeRate: tokenPrice },
+      details: {
+        userWallet: userWalletAddress,
+        userTokenAccount: destinationAccount.toString(),
+        mint: token.mint,
+        tokenAmount,
+        tokenPrice,
+        serializedTransaction: solanaTransaction.serialize().toString('base64'),
+        lastValidBlockHeight: recentBlockhashInfo.lastValidBlockHeight
+      }
+    };
+  }
+
+  // Send a prepared withdrawal; safe to call again for the same transaction
+  async sendWithdrawal(transaction) {
+    const signature = transaction.blockchainTxHash;
+    const { serializedTransaction, lastValidBlockHeight } = transaction.paymentMethod.details;
+
+    // Already on-chain (e.g. sent before a restart)
+    const { value: status } = await this.getConnection().getSignatureStatus(signature, {
+      searchTransactionHistory: true
+    });
+    if (status) {
+      return { blockchainTxHash: signature };
+    }
+
+    const blockHeight = await this.getConnection().getBlockHeight();
+    if (blockHeight > lastValidBlockHeight) {
+      throw new Error('Failed to process withdrawal: transaction expired before it was sent');
+    }
 
+    try {
+      await this.getConnection().sendRawTransaction(Buffer.from(serializedTransaction, 'base64'), {
+        skipPreflight: false,
+        preflightCommitment: 'confirmed'
+      });
+      return { blockchainTxHash: signature };
     } catch (error) {
+      if (/already been processed/i.test(error.message)) {
+        return { blockchainTxHash: signature };
+      }
+
       console.error('Solana withdrawal error:', error);
-      throw new Error(`Failed to process withdrawal: ${error.message}`);
+      const sendError = new Error(`Failed to process withdrawal: ${error.message}`);
+      // A failed simulation is final; a network error may still have delivered it
+      sendError.retryable = error.name !== 'SendTransactionError';
+      throw sendError;
+    }
+  }
+
+  // Check a sent withdrawal on-chain
+  async checkWithdrawal(transaction) {
+    const signature = transaction.blockchainTxHash;
+    const { value: status } = await this.getConnection().getSignatureStatus(signature, {
+      searchTransactionHistory: true
+    });
+
+    if (status && status.err) {
+      return { status: 'failed', reason: `Transaction failed on-chain: ${JSON.stringify(status.err)}` };
+    }
+    // A confirmed transaction can still be rolled back; wait until it is final
+    if (status && status.confirmationStatus === 'finalized') {
+      return { status: 'confirmed', slot: status.slot };
+    }
+    if (!status) {
+      // Not seen and its blockhash has expired: it can never land
+      const blockHeight = await this.getConnection().getBlockHeight();
+      if (blockHeight > transaction.paymentMethod.details.lastValidBlockHeight) {
+        return { status: 'failed', reason: 'Transaction expired before it was confirmed' };
+      }
     }
+    return { status: 'pending' };
   }
 
   // Get wallet balance with timeout and error handling
@@ -0,0 +1,114 @@
+const Puzzle = require('../models/Puzzle');
+const PuzzleProgress = require('../models/PuzzleProgress');
+const Transaction = require('../models/Transaction');
+const escrow = require('./escrow');
+const { runInTransaction } = require('../utils/db');
+
+// Multi-stage puzzles. Solvers work through the intermediate stages one at a
+// time; each correct answer reveals the next clue. The final stage is the
+// puzzle's own answer and goes through the normal solve flow.
+class StageService {
+  // Check whether a solver still has intermediate stages to go
+  isFinalStage(puzzle, progress) {
+    return !progress || progress.currentStage >= puzzle.stages.length;
+  }
+
+  // Describe a solver's progress through a puzzle
+  describe(puzzle, progress) {
+    const currentStage = progress ? progress.currentStage : 0;
+
+    return {
+      totalStages: puzzle.stageCount,
+      currentStage: Math.min(currentStage + 1, puzzle.stageCount),
+      finalStage: currentStage >= puzzle.stages.length,
+      clue: progress ? progress.getCurrentClue(puzzle.clue) : puzzle.clue,
+      completedAt: progress ? progress.completedAt : null,
+      stages: puzzle.stages.map((stage, index) => {
+        const completion = progress
+          ? progress.completedStages.find(completed => completed.stage === index)
+          : null;
+
+        return {
+          number: index + 1,
+          completed: Boolean(completion),
+          completedAt: completion ? completion.completedAt : null,
+          reward: stage.reward,
+          rewardClaimed: Boolean(stage.rewardClaimedBy),
+          rewardEarned: completion ? completion.reward : 0
+        };
+      })
+    };
+  }
+
+  // Submit an answer for the solver's current intermediate stage
+  async submit(puzzle, progress, user, answer, ipAddress) {
+    const stageIndex = progress.currentStage;
+    const stage = puzzle.stages[stageIndex];
+    const nextClue = await puzzle.solveStage(stageIndex, answer);
+    const attempt = puzzle.buildAttempt(user._id, answer, ipAddress, nextClue !== null, stageIndex);
+
+    if (nextClue === null) {
+      await Puzzle.recordAttempt(puzzle._id, attempt);
+      return { isCorrect: false, stage: stageIndex + 1 };
+    }
+
+    const transaction = stage.reward > 0 && !stage.rewardClaimedBy
+      ? Transaction.createStageReward(puzzle.creatorId._id, user._id, puzzle._id, stageIndex + 1, stage.reward)
+      : null;
+    if (transaction) {
+      transaction.setCompleted();
+    }
+
+    // Advance the solver and pay the stage reward (to its first solver only)
+    // in one transaction
+    return runInTransaction(async (session) => {
+      let reward = 0;
+      let newBalance = null;
+
+      if (transaction) {
+        const claimed = await Puzzle.claimStageReward(puzzle._id, stageIndex, user._id, session);
+        if (claimed) {
+          const { wallets } = await escrow.payStage(puzzle, stageIndex, user._id, stage.reward, {
+            transactions: [transaction],
+            session
+          });
+          reward = stage.reward;
+          newBalance = wallets[user._id.toString()].balance;
+        }
+      }
+
+      const advanced = await PuzzleProgress.completeStage(progress._id, stageIndex, {
+        revealedClue: nextClue,
+        reward,
+        transactionId: reward > 0 ? transaction._id : null
+      }, session);
+
+      if (!advanced) {
+        throw new Error('Stage already completed');
+      }
+
+      await Puzzle.recordAttempt(puzzle._id, attempt, session);
+
+      return {
+        isCorrect: true,
+        stage: stageIndex + 1,
+        nextStage: stageIndex + 2,
+        finalStage: advanced.currentStage >= puzzle.stages.length,
+        nextClue,
+        reward,
+        transaction: reward > 0 ? transaction : null,
+        newBalance
+      };
+    });
+  }
+
+  // Mark a solver's progress as complete after the final answer
+  async complete(puzzleId, userId) {
+    return PuzzleProgress.updateOne(
+      { puzzleId, userId, completedAt: null },
+      { $set: { completedAt: new Date() } }
+    );
+  }
+}
+
+module.exports = new StageService();
@@ -1,6 +1,9 @@
 const Stripe = require('stripe');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const settings = require('./settings');
+const { runInTransaction } = require('../utils/db');
 
 class StripeService {
   constructor() {
@@ -27,15 +30,8 @@ class StripeService {
         throw new Error('User not found');
       }
 
-      // Minimum amount is $1
-      if (amount < 1) {
-        throw new Error('Minimum deposit amount is $1');
-      }
-
-      // Maximum amount is $10,000
-      if (amount > 10000) {
-        throw new Error('Maximum deposit amount is $10,000');
-      }
+      // Deposit limits come from the platform settings
+      await settings.checkDepositAmount(amount);
 
       const paymentIntent = await this.getClient().paymentIntents.create({
         amount: Math.round(amount * 100), // Convert to cents
@@ -89,36 +85,67 @@ class StripeService {
         throw new Error('Payment not successful');
       }
 
-      const userId = paymentIntent.metadata.userId;
-      const amount = parseFloat(paymentIntent.metadata.originalAmount);
+      return await this.completeDeposit(paymentIntent);
 
-      // Find the transaction
-      const transaction = await Transaction.findOne({
-        externalTransactionId: paymentIntentId,
-        type: 'deposit'
-      });
+    } catch (error) {
+      console.error('Stripe confirm payment error:', error);
+      throw new Error(`Failed to confirm payment: ${error.message}`);
+    }
+  }
 
-      if (!transaction) {
-        throw new Error('Transaction not found');
-      }
+  // Credit the wallet for a succeeded payment intent, once
+  async completeDeposit(paymentIntent) {
+    const userId = paymentIntent.metadata.userId;
+    const amount = parseFloat(paymentIntent.metadata.originalAmount);
 
-      if (transaction.status === 'completed') {
-        return { transaction, alreadyProcessed: true };
-      }
+    // Find the transaction
+    const transaction = await Transaction.findOne({
+      externalTransactionId: paymentIntent.id,
+      type: 'deposit'
+    });
 
-      // Update user balance
-      const user = await User.findById(userId);
-      await user.updateBalance(amount);
+    if (!transaction) {
+      throw new Error('Transaction not found');
+    }
 
-      // Mark transaction as completed
-      await transaction.markCompleted(paymentIntentId);
+    if (['completed', 'refunded', 'disputed'].includes(transaction.status)) {
+      return { transaction, alreadyProcessed: true };
+    }
 
-      return { transaction, user, alreadyProcessed: false };
+    // The webhook and the client's confirmation can arrive together. The
+    // deposit is claimed before the wallet is credited, so only one of
+    // them posts; the other finds it completed. A deposit that failed can
+    // still succeed on a retried payment.
+    const credited = await runInTransaction(async (session) => {
+      const claimed = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: { $in: ['pending', 'failed'] } },
+        { $set: { status: 'completed' } },
+        { new: true, session }
+      );
+      if (!claimed) {
+        return null;
+      }
 
-    } catch (error) {
-      console.error('Stripe confirm payment error:', error);
-      throw new Error(`Failed to confirm payment: ${error.message}`);
+      claimed.setCompleted(paymentIntent.id);
+      claimed.failureReason = null;
+      const { wallets } = await ledger.post({
+        description: `Stripe deposit ${paymentIntent.id}`,
+        lines: ledger.transfer(
+          ledger.accounts.external('stripe'),
+          ledger.accounts.user(userId),
+          amount
+        ),
+        transactions: [claimed],
+        session
+      });
+
+      return { transaction: claimed, newBalance: wallets[userId.toString()].balance };
+    });
+
+    if (!credited) {
+      return { transaction: await Transaction.findById(transaction._id), alreadyProcessed: true };
     }
+    return { ...credited, alreadyProcessed: false };
   }
 
   // Create customer for user
@@ -227,144 +254,168 @@ class StripeService {
     }
   }
 
-  // Process withdrawal to bank account or card
-  async processWithdrawal(userId, amount, paymentMethodId) {
-    try {
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error('User not found');
-      }
-
-      // Check minimum withdrawal amount
-      if (amount < 10) {
-        throw new Error('Minimum withdrawal amount is $10');
-      }
+  // Create the Stripe Connect Express account card withdrawals are paid out to
+  async createConnectAccount(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
 
-      // Check user balance (including withdrawal fee)
-      const withdrawalFee = 2.50;
-      const totalDeduction = amount + withdrawalFee;
+    if (user.stripeConnect?.accountId) {
+      return user.stripeConnect.accountId;
+    }
 
-      if (user.wallet.balance < totalDeduction) {
-        throw new Error(`Insufficient balance. You need $${totalDeduction} (amount: $${amount} + fee: $${withdrawalFee})`);
+    // Keyed by user so a retried request cannot create a second account
+    const account = await this.getClient().accounts.create({
+      type: 'express',
+      email: user.email,
+      capabilities: {
+        transfers: { requested: true }
+      },
+      metadata: {
+        userId: userId.toString()
       }
+    }, {
+      idempotencyKey: `connect_account_${userId}`
+    });
 
-      // Create transfer to user's payment method
-      // Note: This is a simplified version. In production, you'd need to:
-      // 1. Verify the payment method belongs to the user
-      // 2. Handle different payment method types (bank account vs card)
-      // 3. Implement proper error handling for failed transfers
+    user.stripeConnect.accountId = account.id;
+    this.applyConnectAccount(user, account);
+    await user.save();
 
-      const transfer = await this.getClient().transfers.create({
-        amount: Math.round(amount * 100), // Convert to cents
-        currency: 'usd',
-        destination: paymentMethodId, // This would be a connected account ID in practice
-        metadata: {
-          userId: userId.toString(),
-          type: 'withdrawal',
-          originalAmount: amount.toString()
-        }
+    return account.id;
+  }
+
+  // Create a one-time link to Stripe's hosted onboarding for the user's
+  // connected account
+  async createAccountLink(userId) {
+    try {
+      const accountId = await this.createConnectAccount(userId);
+      const baseUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/wallet/payouts`;
+
+      const accountLink = await this.getClient().accountLinks.create({
+        account: accountId,
+        refresh_url: process.env.STRIPE_CONNECT_REFRESH_URL || `${baseUrl}?onboarding=refresh`,
+        return_url: process.env.STRIPE_CONNECT_RETURN_URL || `${baseUrl}?onboarding=complete`,
+        type: 'account_onboarding'
       });
 
-      // Deduct from user balance
-      await user.updateBalance(-totalDeduction);
+      return {
+        accountId,
+        url: accountLink.url,
+        expiresAt: new Date(accountLink.expires_at * 1000)
+      };
+
+    } catch (error) {
+      console.error('Stripe account link error:', error);
+      throw new Error(`Failed to start payout onboarding: ${error.message}`);
+    }
+  }
 
-      // Create withdrawal transaction
-      const transaction = Transaction.createWithdrawal(
-        userId,
-        amount,
-        {
-          type: 'stripe',
-          details: {
-            transferId: transfer.id,
-            paymentMethodId
-          }
-        }
-      );
+  // Get the user's payout onboarding status, refreshed from Stripe
+  async getConnectStatus(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
 
-      transaction.status = 'completed';
-      transaction.processedAt = new Date();
-      transaction.externalTransactionId = transfer.id;
-      await transaction.save();
+    if (user.stripeConnect?.accountId) {
+      const account = await this.getClient().accounts.retrieve(user.stripeConnect.accountId);
+      this.applyConnectAccount(user, account);
+      await user.save();
+    }
 
-      return { transaction, transfer };
+    return {
+      ...user.toObject().stripeConnect,
+      payoutsReady: user.canReceiveStripePayouts()
+    };
+  }
 
-    } catch (error) {
-      console.error('Stripe withdrawal error:', error);
-      throw new Error(`Failed to process withdrawal: ${error.message}`);
+  // Update a user's connected account from an account.updated webhook
+  async syncConnectAccount(account) {
+    const user = await User.findOne({ 'stripeConnect.accountId': account.id });
+    if (!user) {
+      return null;
     }
+
+    this.applyConnectAccount(user, account);
+    await user.save();
+
+    return user;
   }
 
-  // Handle webhook events
-  async handleWebhook(event) {
-    try {
-      switch (event.type) {
-        case 'payment_intent.succeeded':
-          await this.handlePaymentIntentSucceeded(event.data.object);
-          break;
-        
-        case 'payment_intent.payment_failed':
-          await this.handlePaymentIntentFailed(event.data.object);
-          break;
-        
-        case 'customer.created':
-          console.log('Customer created:', event.data.object.id);
-          break;
-        
-        case 'payment_method.attached':
-          console.log('Payment method attached:', event.data.object.id);
-          break;
-        
-        default:
-          console.log(`Unhandled event type: ${event.type}`);
-      }
+  // Copy the onboarding state of a Stripe account onto a user
+  applyConnectAccount(user, account) {
+    const connect = user.stripeConnect;
 
-      return { received: true };
+    connect.detailsSubmitted = Boolean(account.details_submitted);
+    connect.chargesEnabled = Boolean(account.charges_enabled);
+    connect.payoutsEnabled = Boolean(account.payouts_enabled);
+    connect.capabilities.transfers = account.capabilities?.transfers || 'inactive';
+    connect.requirements.currentlyDue = account.requirements?.currently_due || [];
+    connect.requirements.disabledReason = account.requirements?.disabled_reason || null;
+    connect.syncedAt = new Date();
 
-    } catch (error) {
-      console.error('Stripe webhook error:', error);
-      throw error;
+    if (!connect.onboardedAt && user.canReceiveStripePayouts()) {
+      connect.onboardedAt = new Date();
     }
   }
 
-  // Handle successful payment intent
-  async handlePaymentIntentSucceeded(paymentIntent) {
+  // Send a reserved withdrawal as a transfer. The transaction ID is the
+  // idempotency key, so sending again after a crash returns the same transfer.
+  async sendWithdrawal(transaction) {
     try {
-      const { transaction } = await this.confirmPayment(paymentIntent.id);
-      console.log('Payment confirmed via webhook:', transaction.transactionId);
+      const transfer = await this.getClient().transfers.create({
+        amount: Math.round(transaction.amount.usd * 100), // Convert to cents
+        currency: 'usd',
+        destination: transaction.withdrawal.destination, // The user's connected account
+        metadata: {
+          userId: transaction.fromUserId.toString(),
+          type: 'withdrawal',
+          transactionId: transaction.transactionId,
+          originalAmount: transaction.amount.usd.toString()
+        }
+      }, {
+        idempotencyKey: `withdrawal_${transaction.transactionId}`
+      });
+
+      return { externalTransactionId: transfer.id, details: { transferId: transfer.id } };
+
     } catch (error) {
-      console.error('Error handling payment intent succeeded:', error);
+      console.error('Stripe withdrawal error:', error);
+      const sendError = new Error(`Failed to process withdrawal: ${error.message}`);
+      // Without a response from Stripe the transfer may or may not exist
+      sendError.retryable = ['StripeConnectionError', 'StripeAPIError', 'StripeRateLimitError'].includes(error.type);
+      throw sendError;
     }
   }
 
-  // Handle failed payment intent
-  async handlePaymentIntentFailed(paymentIntent) {
-    try {
-      const transaction = await Transaction.findOne({
-        externalTransactionId: paymentIntent.id,
-        type: 'deposit'
-      });
+  // Check a sent withdrawal; transfers settle when created unless reversed
+  async checkWithdrawal(transaction) {
+    const transfer = await this.getClient().transfers.retrieve(transaction.externalTransactionId);
 
-      if (transaction && transaction.status === 'pending') {
-        await transaction.markFailed(paymentIntent.last_payment_error?.message || 'Payment failed');
-        console.log('Payment marked as failed:', transaction.transactionId);
-      }
-    } catch (error) {
-      console.error('Error handling payment intent failed:', error);
+    if (transfer.reversed) {
+      return { status: 'failed', reason: 'Transfer was reversed' };
     }
+    return { status: 'confirmed' };
   }
 
-  // Verify webhook signature
+  // Verify webhook signature. Events from connected accounts are sent to a
+  // separate Connect endpoint with its own signing secret.
   verifyWebhookSignature(payload, signature) {
-    try {
-      return this.getClient().webhooks.constructEvent(
-        payload,
-        signature,
-        process.env.STRIPE_WEBHOOK_SECRET
-      );
-    } catch (error) {
-      console.error('Webhook signature verification failed:', error);
-      throw new Error('Invalid webhook signature');
+    const secrets = [process.env.STRIPE_WEBHOOK_SECRET, process.env.STRIPE_CONNECT_WEBHOOK_SECRET].filter(Boolean);
+    let lastError;
+
+    for (const secret of secrets) {
+      try {
+        return this.getClient().webhooks.constructEvent(payload, signature, secret);
+      } catch (error) {
+        lastError = error;
+      }
     }
+
+    console.error('Webhook signature verification failed:', lastError);
+    throw new Error('Invalid webhook signature');
   }
 }
 
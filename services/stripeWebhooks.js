@@ -0,0 +1,345 @@
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const WebhookEvent = require('../models/WebhookEvent');
+const stripeService = require('./stripe');
+const ledger = require('./ledger');
+const logger = require('../utils/logger');
+const { runInTransaction } = require('../utils/db');
+
+const toDollars = (cents) => Math.round(cents) / 100;
+
+// Single pipeline for Stripe webhook events. Every event is recorded by id
+// before it is handled, so redeliveries of a processed event are skipped and
+// events whose handling failed are retried when Stripe delivers them again.
+class StripeWebhookService {
+  // Handle a verified event once
+  async handle(event) {
+    const record = await WebhookEvent.begin('stripe', event);
+    if (!record) {
+      return { duplicate: true };
+    }
+
+    try {
+      const result = await this.dispatch(event);
+      await record.markProcessed(result);
+      return { duplicate: false, result };
+    } catch (error) {
+      await record.markFailed(error).catch(saveError => {
+        logger.error(`Failed to record webhook event ${event.id} failure:`, saveError);
+      });
+      throw error;
+    }
+  }
+
+  // Route an event to its handler
+  async dispatch(event) {
+    const object = event.data.object;
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return this.handlePaymentSucceeded(object);
+
+      case 'payment_intent.payment_failed':
+        return this.handlePaymentFailed(object);
+
+      case 'payment_intent.canceled':
+        return this.handlePaymentCanceled(object);
+
+      case 'charge.refunded':
+        return this.handleChargeRefunded(object);
+
+      case 'charge.dispute.created':
+        return this.handleDisputeCreated(object);
+
+      case 'charge.dispute.updated':
+        return this.handleDisputeUpdated(object);
+
+      case 'charge.dispute.closed':
+        return this.handleDisputeClosed(object);
+
+      case 'account.updated':
+        return this.handleAccountUpdated(object);
+
+      case 'payout.paid':
+      case 'payout.failed':
+        return this.handlePayout(object, event.account);
+
+      default:
+        logger.info(`Unhandled Stripe event type: ${event.type}`);
+        return { ignored: true };
+    }
+  }
+
+  // Find the card deposit made with a payment intent
+  findDeposit(paymentIntentId) {
+    if (!paymentIntentId) {
+      return null;
+    }
+
+    return Transaction.findOne({
+      externalTransactionId: paymentIntentId,
+      type: 'deposit',
+      'paymentMethod.type': 'stripe'
+    });
+  }
+
+  // Disputes only carry the payment intent on newer API versions
+  async getPaymentIntentId(object) {
+    if (object.payment_intent) {
+      return object.payment_intent;
+    }
+
+    const charge = await stripeService.getClient().charges.retrieve(object.charge);
+    return charge.payment_intent;
+  }
+
+  // Credit the wallet for a succeeded deposit
+  async handlePaymentSucceeded(paymentIntent) {
+    if (paymentIntent.metadata?.type !== 'wallet_deposit') {
+      return { ignored: true };
+    }
+
+    // Thrown when the webhook beats the deposit being saved; Stripe retries it
+    const { transaction, alreadyProcessed } = await stripeService.completeDeposit(paymentIntent);
+
+    if (!alreadyProcessed) {
+      logger.info(`Payment completed for transaction: ${transaction.transactionId}`);
+    }
+    return { transactionId: transaction.transactionId, alreadyProcessed };
+  }
+
+  // Mark a pending deposit as failed
+  async handlePaymentFailed(paymentIntent) {
+    const transaction = await this.findDeposit(paymentIntent.id);
+
+    if (!transaction || transaction.status !== 'pending') {
+      return { ignored: true };
+    }
+
+    await transaction.markFailed(paymentIntent.last_payment_error?.message || 'Payment failed');
+    logger.info(`Payment failed for transaction: ${transaction.transactionId}`);
+    return { transactionId: transaction.transactionId, status: transaction.status };
+  }
+
+  // Cancel a deposit whose payment intent was canceled before it succeeded
+  async handlePaymentCanceled(paymentIntent) {
+    const transaction = await this.findDeposit(paymentIntent.id);
+
+    if (!transaction || !['pending', 'failed'].includes(transaction.status)) {
+      return { ignored: true };
+    }
+
+    transaction.status = 'cancelled';
+    transaction.processedAt = new Date();
+    transaction.failureReason = paymentIntent.cancellation_reason || 'Payment canceled';
+    await transaction.save();
+
+    logger.info(`Payment canceled for transaction: ${transaction.transactionId}`);
+    return { transactionId: transaction.transactionId, status: transaction.status };
+  }
+
+  // Take back the part of a deposit refunded from the Stripe dashboard
+  async handleChargeRefunded(charge) {
+    const transaction = await this.findDeposit(charge.payment_intent);
+
+    if (!transaction || !['completed', 'disputed'].includes(transaction.status)) {
+      return { ignored: true };
+    }
+
+    // Charges report the running refunded total, so only the increase is new
+    const refunded = toDollars(charge.amount_refunded);
+    const amount = toDollars((refunded - (transaction.refundedAmount || 0)) * 100);
+    if (amount <= 0) {
+      return { ignored: true };
+    }
+
+    transaction.refundedAmount = refunded;
+    if (refunded >= transaction.amount.usd) {
+      transaction.status = 'refunded';
+    }
+
+    const clawback = await this.clawBack(transaction, amount, {
+      source: 'stripe_refund',
+      chargeId: charge.id,
+      description: `Stripe refund of deposit ${transaction.transactionId}`
+    });
+
+    logger.warn(`Deposit ${transaction.transactionId} refunded $${amount} from Stripe`);
+    return { transactionId: transaction.transactionId, ...clawback };
+  }
+
+  // Find the deposit a dispute was raised against. Events can arrive out of
+  // order, so a dispute may not have been recorded on its deposit yet.
+  async findDisputedDeposit(dispute) {
+    const transaction = await Transaction.findOne({ 'dispute.disputeId': dispute.id });
+    return transaction || this.findDeposit(await this.getPaymentIntentId(dispute));
+  }
+
+  // Copy a dispute's details onto its deposit
+  setDispute(transaction, dispute) {
+    transaction.dispute.disputeId = dispute.id;
+    transaction.dispute.status = dispute.status;
+    transaction.dispute.reason = dispute.reason;
+    transaction.dispute.amount = toDollars(dispute.amount);
+    transaction.dispute.openedAt = new Date(dispute.created * 1000);
+  }
+
+  // Hold a deposit as disputed while the chargeback is open
+  async handleDisputeCreated(dispute) {
+    const transaction = await this.findDisputedDeposit(dispute);
+
+    if (!transaction) {
+      logger.warn(`No deposit found for dispute: ${dispute.id}`);
+      return { ignored: true };
+    }
+
+    this.setDispute(transaction, dispute);
+    if (transaction.status === 'completed') {
+      transaction.status = 'disputed';
+    }
+    await transaction.save();
+
+    logger.warn(`Dispute created for transaction: ${transaction.transactionId}`);
+    return { transactionId: transaction.transactionId, disputeId: dispute.id };
+  }
+
+  // Track the status of an open dispute
+  async handleDisputeUpdated(dispute) {
+    const transaction = await this.findDisputedDeposit(dispute);
+
+    if (!transaction) {
+      return { ignored: true };
+    }
+
+    this.setDispute(transaction, dispute);
+    await transaction.save();
+
+    return { transactionId: transaction.transactionId, disputeStatus: dispute.status };
+  }
+
+  // Settle a dispute: a won dispute restores the deposit, a lost one claws
+  // the disputed amount back from the user's wallet
+  async handleDisputeClosed(dispute) {
+    const transaction = await this.findDisputedDeposit(dispute);
+
+    if (!transaction) {
+      logger.warn(`No deposit found for closed dispute: ${dispute.id}`);
+      return { ignored: true };
+    }
+
+    this.setDispute(transaction, dispute);
+    transaction.dispute.closedAt = new Date();
+
+    if (dispute.status === 'lost' && transaction.status === 'completed') {
+      transaction.status = 'disputed';
+    }
+
+    if (dispute.status !== 'lost') {
+      if (transaction.status === 'disputed') {
+        transaction.status = 'completed';
+      }
+      await transaction.save();
+
+      logger.info(`Dispute ${dispute.id} closed as ${dispute.status} for transaction: ${transaction.transactionId}`);
+      return { transactionId: transaction.transactionId, disputeStatus: dispute.status };
+    }
+
+    // Funds an admin already refunded have left the wallet once
+    if (transaction.status === 'refunded') {
+      await transaction.save();
+      return { transactionId: transaction.transactionId, disputeStatus: dispute.status, clawedBack: 0 };
+    }
+
+    const clawback = await this.clawBack(transaction, toDollars(dispute.amount), {
+      source: 'stripe_dispute',
+      disputeId: dispute.id,
+      description: `Lost dispute ${dispute.id} on deposit ${transaction.transactionId}`
+    });
+
+    logger.warn(`Dispute ${dispute.id} lost for transaction: ${transaction.transactionId}`);
+    return { transactionId: transaction.transactionId, disputeStatus: dispute.status, ...clawback };
+  }
+
+  // Track payout onboarding of a user's connected account
+  async handleAccountUpdated(account) {
+    const user = await stripeService.syncConnectAccount(account);
+
+    if (!user) {
+      return { ignored: true };
+    }
+
+    return {
+      userId: user._id.toString(),
+      accountId: account.id,
+      payoutsReady: user.canReceiveStripePayouts()
+    };
+  }
+
+  // Payouts move money from a Stripe balance to a bank and do not touch
+  // wallets; failures are logged so they can be followed up
+  async handlePayout(payout, account = null) {
+    if (payout.status === 'failed') {
+      logger.warn(`Stripe payout ${payout.id} failed${account ? ` for ${account}` : ''}: ${payout.failure_message || payout.failure_code}`);
+    } else {
+      logger.info(`Stripe payout ${payout.id} ${payout.status}${account ? ` for ${account}` : ''}`);
+    }
+
+    return {
+      payoutId: payout.id,
+      status: payout.status,
+      account,
+      amount: toDollars(payout.amount),
+      failureCode: payout.failure_code || null
+    };
+  }
+
+  // Take money returned to the cardholder back out of the user's wallet.
+  // Whatever the wallet cannot cover is absorbed by the platform.
+  async clawBack(deposit, amount, { source, description, ...details }) {
+    const user = await User.findById(deposit.toUserId).select('wallet.balance');
+    const clawedBack = toDollars(Math.min(amount, Math.max(user?.wallet.balance || 0, 0)) * 100);
+    const shortfall = toDollars((amount - clawedBack) * 100);
+
+    if (source === 'stripe_dispute') {
+      deposit.dispute.clawedBack = clawedBack;
+      deposit.dispute.shortfall = shortfall;
+    }
+
+    const clawbackTransaction = new Transaction({
+      type: 'refund',
+      fromUserId: deposit.toUserId,
+      amount: { usd: amount },
+      fees: { adminFee: 0 },
+      paymentMethod: {
+        type: 'stripe',
+        details: {
+          source,
+          paymentIntentId: deposit.externalTransactionId,
+          originalTransactionId: deposit.transactionId,
+          ...details
+        }
+      },
+      status: 'completed',
+      processedAt: new Date(),
+      metadata: { description }
+    });
+
+    const lines = [ledger.credit(ledger.accounts.external('stripe'), amount)];
+    if (clawedBack > 0) {
+      lines.push(ledger.debit(ledger.accounts.user(deposit.toUserId), clawedBack));
+    }
+    if (shortfall > 0) {
+      lines.push(ledger.debit(ledger.accounts.CHARGEBACK_LOSSES, shortfall));
+      logger.warn(`User ${deposit.toUserId} could not cover $${shortfall} of ${description}`);
+    }
+
+    await runInTransaction(async session => {
+      await ledger.post({ description, lines, transactions: [clawbackTransaction], session });
+      await deposit.save({ session });
+    });
+
+    return { clawbackTransactionId: clawbackTransaction.transactionId, clawedBack, shortfall };
+  }
+}
+
+module.exports = new StripeWebhookService();
@@ -0,0 +1,366 @@
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const ledger = require('./ledger');
+const settings = require('./settings');
+const { runInTransaction } = require('../utils/db');
+
+// How long one worker may advance a withdrawal before another can take over
+const LEASE_MS = 2 * 60 * 1000;
+
+// Withdrawal lifecycle. Funds are first reserved (moved from the user's
+// wallet to the pending withdrawals account) together with a pending
+// transaction, then the payout is broadcast to the provider and confirmed.
+// A failure at any point releases the reservation back to the user, and
+// resume() picks up withdrawals left in flight by a crash or restart.
+//
+//   reserved -> broadcasting -> broadcast -> confirmed
+//        \             \             \
+//         `-------------`-------------`--> failed (reservation released)
+class WithdrawalService {
+  // Get the service that pays out a payment method. The crypto services
+  // are required on first use so their dependencies are only loaded when needed.
+  getProcessor(paymentMethod) {
+    switch (paymentMethod) {
+      case 'stripe':
+        return require('./stripe');
+      case 'solana': {
+        const mod = require('./solana');
+        return mod.default || mod;
+      }
+      case 'bitcoin': {
+        const mod = require('./bitcoin');
+        return mod.default || mod;
+      }
+      default:
+        throw new Error('Invalid payment method');
+    }
+  }
+
+  // Request a withdrawal: reserve the funds, then broadcast the payout.
+  // Solana withdrawals can be paid in a configured SPL token instead of SOL.
+  // Approved withdrawals record their approval request with the reservation.
+  async process(userId, paymentMethod, amount, destination, { token = null, approvalRequestId = null } = {}) {
+    const processor = this.getProcessor(paymentMethod);
+
+    if (token && paymentMethod !== 'solana') {
+      throw new Error('Tokens can only be withdrawn to Solana');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // Card withdrawals are paid out to the user's Stripe Connect account
+    if (paymentMethod === 'stripe') {
+      if (!user.canReceiveStripePayouts()) {
+        throw new Error('Complete payout onboarding before withdrawing to Stripe');
+      }
+      destination = user.stripeConnect.accountId;
+    }
+
+    await settings.checkWithdrawalAmount(paymentMethod, amount);
+    const withdrawalFee = await settings.getWithdrawalFee(paymentMethod);
+    const totalDeduction = amount + withdrawalFee;
+
+    if (user.wallet.balance < totalDeduction) {
+      throw new Error(`Insufficient balance. You need $${totalDeduction} (amount: $${amount} + fee: $${withdrawalFee})`);
+    }
+
+    const transaction = Transaction.createWithdrawal(
+      userId,
+      amount,
+      { type: paymentMethod, details: token ? { destination, token } : { destination } },
+      withdrawalFee
+    );
+    transaction.approvalRequestId = approvalRequestId;
+    transaction.withdrawal.lockedUntil = new Date(Date.now() + LEASE_MS);
+
+    // Reserve the funds and record the pending transaction together
+    const { entry } = await ledger.post({
+      description: `Withdrawal reservation ${transaction.transactionId}`,
+      lines: [
+        ledger.debit(ledger.accounts.user(userId), totalDeduction),
+        ledger.credit(ledger.accounts.PENDING_WITHDRAWALS, totalDeduction)
+      ],
+      transactions: [transaction]
+    });
+    transaction.withdrawal.reservationEntryId = entry._id;
+    await transaction.save();
+
+    await this.advance(transaction, processor);
+
+    if (transaction.withdrawal.state === 'failed') {
+      throw new Error(`Failed to process withdrawal: ${transaction.failureReason}`);
+    }
+
+    return {
+      transaction,
+      txHash: transaction.blockchainTxHash || transaction.externalTransactionId,
+      state: transaction.withdrawal.state,
+      fee: withdrawalFee
+    };
+  }
+
+  // Move a withdrawal (whose lease we hold) as far along as it can go now
+  async advance(transaction, processor = this.getProcessor(transaction.paymentMethod.type)) {
+    try {
+      if (transaction.withdrawal.state === 'reserved') {
+        await this.prepare(transaction, processor);
+      }
+
+      if (transaction.withdrawal.state === 'broadcasting') {
+        await this.broadcast(transaction, processor);
+      }
+    } catch (error) {
+      if (error.retryable) {
+        // The payout may or may not have been sent; resume() sends it again
+        console.error(`Withdrawal ${transaction.transactionId} interrupted:`, error);
+      } else {
+        await this.fail(transaction, error.message);
+      }
+    }
+
+    if (transaction.withdrawal.state === 'broadcast') {
+      try {
+        await this.check(transaction, processor);
+      } catch (error) {
+        // The payout was sent, so never release it on a failed status check
+        console.error(`Withdrawal ${transaction.transactionId} status check error:`, error);
+      }
+    }
+
+    if (!['confirmed', 'failed'].includes(transaction.withdrawal.state)) {
+      transaction.withdrawal.lockedUntil = null;
+      await transaction.save();
+    }
+
+    return transaction;
+  }
+
+  // Build and sign the payout (crypto only) and mark it as about to be sent.
+  // Saving before sending means a crash leaves a record that can be resumed.
+  async prepare(transaction, processor) {
+    if (processor.prepareWithdrawal) {
+      const prepared = await processor.prepareWithdrawal(transaction);
+      transaction.blockchainTxHash = prepared.blockchainTxHash;
+      if (prepared.crypto) {
+        transaction.amount.crypto = prepared.crypto;
+      }
+      transaction.paymentMethod.details = {
+        ...transaction.paymentMethod.details,
+        ...prepared.details
+      };
+    }
+
+    transaction.withdrawal.state = 'broadcasting';
+    await transaction.save();
+  }
+
+  // Send the payout to the provider
+  async broadcast(transaction, processor) {
+    const sent = await processor.sendWithdrawal(transaction);
+
+    if (sent.externalTransactionId) transaction.externalTransactionId = sent.externalTransactionId;
+    if (sent.blockchainTxHash) transaction.blockchainTxHash = sent.blockchainTxHash;
+    if (sent.details) {
+      transaction.paymentMethod.details = {
+        ...transaction.paymentMethod.details,
+        ...sent.details
+      };
+    }
+
+    transaction.withdrawal.state = 'broadcast';
+    transaction.withdrawal.broadcastAt = new Date();
+    await transaction.save();
+  }
+
+  // Ask the provider whether the payout has settled
+  async check(transaction, processor) {
+    const result = await processor.checkWithdrawal(transaction);
+
+    transaction.withdrawal.lastCheckedAt = new Date();
+    transaction.withdrawal.checks++;
+
+    // A fee-bumped payout may settle as one of the transactions it replaced
+    if (result.blockchainTxHash) {
+      transaction.blockchainTxHash = result.blockchainTxHash;
+    }
+
+    if (result.status === 'confirmed') {
+      await this.confirm(transaction);
+    } else if (result.status === 'failed') {
+      await this.fail(transaction, result.reason);
+    }
+  }
+
+  // Settle a confirmed payout: the reserved funds leave the platform and
+  // the fee is recognised
+  async confirm(transaction) {
+    const fee = transaction.fees.processingFee;
+
+    transaction.withdrawal.state = 'confirmed';
+    transaction.withdrawal.confirmedAt = new Date();
+    transaction.withdrawal.lockedUntil = null;
+    transaction.setCompleted();
+
+    await runInTransaction(async (session) => {
+      const { entry } = await ledger.post({
+        description: `${transaction.paymentMethod.type} withdrawal ${transaction.blockchainTxHash || transaction.externalTransactionId}`,
+        lines: [
+          ledger.debit(ledger.accounts.PENDING_WITHDRAWALS, transaction.amount.usd + fee),
+          ledger.credit(ledger.accounts.external(transaction.paymentMethod.type), transaction.amount.usd),
+          ledger.credit(ledger.accounts.FEES, fee)
+        ],
+        transactions: [transaction],
+        session
+      });
+
+      // journalEntryId now points at the settlement; keep both entries
+      transaction.withdrawal.settlementEntryId = entry._id;
+      await transaction.save({ session });
+    });
+  }
+
+  // Fail a withdrawal and release its reservation back to the user
+  async fail(transaction, reason) {
+    transaction.withdrawal.state = 'failed';
+    transaction.withdrawal.lockedUntil = null;
+    transaction.status = 'failed';
+    transaction.processedAt = new Date();
+    transaction.failureReason = reason;
+
+    // Until released, the transaction's journal entry is the reservation
+    const reservationEntryId = transaction.withdrawal.reservationEntryId || transaction.journalEntryId;
+
+    await runInTransaction(session => ledger.reverse(reservationEntryId, {
+      description: `Withdrawal release ${transaction.transactionId}`,
+      transactions: [transaction],
+      session
+    }));
+  }
+
+  // Replace a broadcast Bitcoin payout that is stuck at a low fee with one
+  // paying feeRate sat/vB (or the next-block rate). The replacement is
+  // saved before it is sent; if the network rejects it, the withdrawal
+  // keeps tracking the original.
+  async bumpFee(transactionId, feeRate = null) {
+    const existing = await Transaction.findOne({ _id: transactionId, type: 'withdrawal' });
+    if (!existing) {
+      throw new Error('Withdrawal not found');
+    }
+    if (existing.paymentMethod.type !== 'bitcoin') {
+      throw new Error('Only Bitcoin withdrawals can be fee-bumped');
+    }
+    if (existing.withdrawal.state !== 'broadcast') {
+      throw new Error('Only broadcast withdrawals can be fee-bumped');
+    }
+
+    const transaction = await this.claim(transactionId);
+    if (!transaction) {
+      throw new Error('Withdrawal is being processed, try again shortly');
+    }
+
+    const processor = this.getProcessor('bitcoin');
+    const previous = {
+      blockchainTxHash: transaction.blockchainTxHash,
+      details: transaction.paymentMethod.details
+    };
+
+    try {
+      const replacement = await processor.bumpWithdrawalFee(transaction, feeRate);
+      transaction.blockchainTxHash = replacement.blockchainTxHash;
+      transaction.paymentMethod.details = {
+        ...transaction.paymentMethod.details,
+        ...replacement.details
+      };
+      await transaction.save();
+
+      try {
+        await processor.sendWithdrawal(transaction);
+        transaction.withdrawal.broadcastAt = new Date();
+      } catch (error) {
+        // Without a response the replacement may have been relayed, so keep
+        // it; resume() sends it again
+        if (!error.retryable) {
+          transaction.blockchainTxHash = previous.blockchainTxHash;
+          transaction.paymentMethod.details = {
+            ...previous.details,
+            // Kept in case the rejected replacement was relayed elsewhere
+            txids: replacement.details.txids
+          };
+        }
+        throw error;
+      }
+
+      return {
+        transaction,
+        previousTxHash: previous.blockchainTxHash,
+        feeRate: replacement.details.feeRate,
+        feeSats: replacement.details.feeSats
+      };
+    } finally {
+      transaction.withdrawal.lockedUntil = null;
+      await transaction.save();
+    }
+  }
+
+  // Take the lease on an in-flight withdrawal; null if someone else holds it
+  claim(transactionId, now = new Date()) {
+    return Transaction.findOneAndUpdate(
+      {
+        _id: transactionId,
+        type: 'withdrawal',
+        'withdrawal.state': { $in: ['reserved', 'broadcasting', 'broadcast'] },
+        $or: [
+          { 'withdrawal.lockedUntil': null },
+          { 'withdrawal.lockedUntil': { $lte: now } }
+        ]
+      },
+      { $set: { 'withdrawal.lockedUntil': new Date(now.getTime() + LEASE_MS) } },
+      { new: true }
+    );
+  }
+
+  // Resume withdrawals left in flight and confirm the ones that have settled
+  async resume({ now = new Date(), limit = 50 } = {}) {
+    const summary = { checked: 0, confirmed: 0, failed: 0, pending: 0, skipped: 0, errors: [] };
+
+    const inFlight = await Transaction.find({
+      type: 'withdrawal',
+      'withdrawal.state': { $in: ['reserved', 'broadcasting', 'broadcast'] },
+      $or: [
+        { 'withdrawal.lockedUntil': null },
+        { 'withdrawal.lockedUntil': { $lte: now } }
+      ]
+    })
+      .select('_id')
+      .sort({ createdAt: 1 })
+      .limit(limit);
+
+    for (const { _id } of inFlight) {
+      const transaction = await this.claim(_id, now);
+      if (!transaction) {
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        await this.advance(transaction);
+        summary.checked++;
+
+        const { state } = transaction.withdrawal;
+        if (state === 'confirmed') summary.confirmed++;
+        else if (state === 'failed') summary.failed++;
+        else summary.pending++;
+      } catch (error) {
+        console.error(`Withdrawal resume error for ${transaction.transactionId}:`, error);
+        summary.errors.push({ transactionId: transaction.transactionId, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new WithdrawalService();
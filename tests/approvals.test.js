@@ -0,0 +1,99 @@
+const db = require('./helpers/db');
+const { createUser } = require('./helpers/fixtures');
+const approvals = require('../services/approvals');
+const withdrawalService = require('../services/withdrawals');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const Transaction = require('../models/Transaction');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('ApprovalService.recover', () => {
+  let user;
+  let admin;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    user = await createUser();
+    admin = await createUser({ role: 'admin' });
+    jest.spyOn(withdrawalService, 'process').mockResolvedValue({
+      transaction: { transactionId: 'TX_RECOVERED' },
+      txHash: 'tr_test_payout',
+      state: 'broadcast',
+      fee: 2.5
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await db.clear();
+  });
+
+  // A withdrawal approved an hour ago whose execution never finished, as if
+  // the process crashed right after the approval was recorded
+  const createInterrupted = async () => {
+    const approval = await ApprovalRequest.create({
+      type: 'withdrawal',
+      amount: 600,
+      requestedBy: user._id,
+      userId: user._id,
+      withdrawal: { paymentMethod: 'stripe', destination: 'acct_test_connect' },
+      expiresAt: new Date(Date.now() + 24 * HOUR_MS)
+    });
+
+    const approvedAt = new Date(Date.now() - HOUR_MS);
+    return ApprovalRequest.claim(approval._id, admin._id, approvedAt, new Date(approvedAt.getTime() + 10 * 60 * 1000));
+  };
+
+  it('carries out an interrupted request that moved no funds, once', async () => {
+    const approval = await createInterrupted();
+
+    expect(await approvals.recover()).toMatchObject({ executed: 1, failed: 0, errors: [] });
+    expect(withdrawalService.process).toHaveBeenCalledTimes(1);
+    expect(withdrawalService.process.mock.calls[0][4]).toMatchObject({ approvalRequestId: approval._id });
+
+    const recovered = await ApprovalRequest.findById(approval._id);
+    expect(recovered).toMatchObject({ status: 'executed', lockedUntil: null });
+    expect(recovered.result.transactionId).toBe('TX_RECOVERED');
+
+    expect(await approvals.recover()).toMatchObject({ executed: 0, failed: 0 });
+    expect(withdrawalService.process).toHaveBeenCalledTimes(1);
+  });
+
+  it('records the withdrawal an interrupted request already made instead of paying again', async () => {
+    const approval = await createInterrupted();
+
+    const withdrawal = Transaction.createWithdrawal(user._id, 600, {
+      type: 'stripe',
+      details: { destination: 'acct_test_connect' }
+    }, 2.5);
+    withdrawal.approvalRequestId = approval._id;
+    withdrawal.withdrawal.state = 'broadcast';
+    withdrawal.externalTransactionId = 'tr_already_sent';
+    await withdrawal.save();
+
+    expect(await approvals.recover()).toMatchObject({ executed: 1 });
+    expect(withdrawalService.process).not.toHaveBeenCalled();
+
+    const recovered = await ApprovalRequest.findById(approval._id);
+    expect(recovered.status).toBe('executed');
+    expect(recovered.result).toMatchObject({ transactionId: withdrawal.transactionId, txHash: 'tr_already_sent' });
+  });
+
+  it('leaves a request alone while its approver still holds it', async () => {
+    const approval = await ApprovalRequest.create({
+      type: 'withdrawal',
+      amount: 600,
+      requestedBy: user._id,
+      userId: user._id,
+      withdrawal: { paymentMethod: 'stripe', destination: 'acct_test_connect' },
+      expiresAt: new Date(Date.now() + 24 * HOUR_MS)
+    });
+    await ApprovalRequest.claim(approval._id, admin._id, new Date(), new Date(Date.now() + HOUR_MS));
+
+    expect(await approvals.recover()).toMatchObject({ executed: 0, failed: 0, skipped: 0 });
+    expect((await ApprovalRequest.findById(approval._id)).status).toBe('approved');
+    expect(withdrawalService.process).not.toHaveBeenCalled();
+  });
+});
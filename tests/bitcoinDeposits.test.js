@@ -0,0 +1,142 @@
+const db = require('./helpers/db');
+const { createUser, findUnbalancedEntries } = require('./helpers/fixtures');
+const bitcoin = require('../services/bitcoin');
+const ledger = require('../services/ledger');
+const Transaction = require('../models/Transaction');
+const DepositClaim = require('../models/DepositClaim');
+const User = require('../models/User');
+
+const PLATFORM_ADDRESS = 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx';
+const TX_HASH = 'a'.repeat(64);
+const BLOCK_HEIGHT = 100;
+const BLOCK_HASH = 'b'.repeat(64);
+
+// $1500 is over the medium threshold, so the deposit needs 3 confirmations
+const AMOUNT_USD = 1500;
+const AMOUNT_SATS = 1500000;
+
+const getBalance = async (user) => (await User.findById(user._id).select('wallet')).wallet.balance;
+
+describe('Bitcoin deposit confirmations', () => {
+  // What the stubbed block explorer reports
+  const chain = { tipHeight: BLOCK_HEIGHT, status: { confirmed: false } };
+  let user;
+  let deposit;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  // A deposit paid to the platform address at a locked price of 0.015 BTC
+  beforeEach(async () => {
+    chain.tipHeight = BLOCK_HEIGHT;
+    chain.status = { confirmed: false };
+
+    jest.spyOn(bitcoin, 'getTipHeight').mockImplementation(async () => chain.tipHeight);
+    jest.spyOn(bitcoin, 'getTransaction').mockImplementation(async () => ({
+      txid: TX_HASH,
+      vout: [{ scriptpubkey_address: PLATFORM_ADDRESS, value: AMOUNT_SATS }],
+      status: chain.status
+    }));
+    jest.spyOn(bitcoin, 'getTransactionStatus').mockImplementation(async () => chain.status);
+
+    user = await createUser();
+    deposit = await Transaction.createDeposit(user._id, AMOUNT_USD, {
+      type: 'bitcoin',
+      details: {
+        platformWallet: PLATFORM_ADDRESS,
+        expectedAmount: 0.015,
+        quote: { symbol: 'BTC', price: 100000, expiresAt: new Date(Date.now() + 60 * 60 * 1000) }
+      }
+    }).save();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    expect(await findUnbalancedEntries()).toEqual([]);
+    expect((await ledger.reconcileUser(user._id)).drift).toBe(0);
+    await db.clear();
+  });
+
+  const mine = (confirmations) => {
+    chain.status = { confirmed: true, block_height: BLOCK_HEIGHT, block_hash: BLOCK_HASH, block_time: Math.floor(Date.now() / 1000) };
+    chain.tipHeight = BLOCK_HEIGHT + confirmations - 1;
+  };
+
+  const creditDeposit = async () => {
+    await bitcoin.confirmDeposit(deposit.transactionId, TX_HASH);
+    mine(3);
+    expect(await bitcoin.trackConfirmations()).toMatchObject({ credited: 1 });
+    expect(await getBalance(user)).toBe(AMOUNT_USD);
+  };
+
+  it('waits for the required confirmations before crediting a deposit', async () => {
+    const seen = await bitcoin.confirmDeposit(deposit.transactionId, TX_HASH);
+    expect(seen).toMatchObject({ pending: true, confirmations: 0, required: 3 });
+    expect((await Transaction.findById(deposit._id)).confirmation.state).toBe('seen');
+
+    mine(2);
+    expect(await bitcoin.trackConfirmations()).toMatchObject({ confirming: 1, credited: 0 });
+    let refreshed = await Transaction.findById(deposit._id);
+    expect(refreshed.status).toBe('pending');
+    expect(refreshed.confirmation).toMatchObject({ state: 'confirming', confirmations: 2, blockHeight: BLOCK_HEIGHT });
+    expect(await getBalance(user)).toBe(0);
+
+    mine(3);
+    expect(await bitcoin.trackConfirmations()).toMatchObject({ confirming: 0, credited: 1 });
+    refreshed = await Transaction.findById(deposit._id);
+    expect(refreshed.status).toBe('completed');
+    expect(refreshed.blockchainTxHash).toBe(TX_HASH);
+    expect(refreshed.confirmation.state).toBe('confirmed');
+    expect(await getBalance(user)).toBe(AMOUNT_USD);
+    expect(await DepositClaim.countDocuments({ txHash: TX_HASH })).toBe(1);
+
+    // Later runs only watch it for reorgs
+    mine(4);
+    expect(await bitcoin.trackConfirmations()).toMatchObject({ credited: 0, checked: 1, reorged: 0 });
+    expect(await getBalance(user)).toBe(AMOUNT_USD);
+  });
+
+  it('reverses a deposit that leaves the chain, booking what the wallet cannot cover as a loss', async () => {
+    await creditDeposit();
+
+    // The user has spent $1000 of the deposit
+    await ledger.post({
+      description: 'Spent by the user',
+      lines: ledger.transfer(ledger.accounts.user(user._id), ledger.accounts.FEES, 1000)
+    });
+
+    chain.status = null;
+    expect(await bitcoin.trackConfirmations()).toMatchObject({ reorged: 1 });
+
+    expect(await getBalance(user)).toBe(0);
+    expect((await ledger.getBalance(ledger.accounts.REORG_LOSSES)).balance).toBe(-1000);
+    expect((await ledger.getBalance(ledger.accounts.external('bitcoin'))).balance).toBe(0);
+
+    const refreshed = await Transaction.findById(deposit._id);
+    expect(refreshed.status).toBe('pending');
+    expect(refreshed.blockchainTxHash).toBeNull();
+    expect(refreshed.confirmation.state).toBe('reorged');
+    expect(await DepositClaim.countDocuments({ txHash: TX_HASH })).toBe(0);
+
+    const reversal = await Transaction.findOne({ type: 'refund', 'paymentMethod.details.source': 'reorg' });
+    expect(reversal.amount.usd).toBe(AMOUNT_USD);
+    expect(reversal.paymentMethod.details).toMatchObject({ originalTransactionId: deposit.transactionId, txHash: TX_HASH });
+
+    // Re-mined, the payment is credited again
+    mine(3);
+    expect(await bitcoin.trackConfirmations()).toMatchObject({ credited: 1 });
+    expect(await getBalance(user)).toBe(AMOUNT_USD);
+    expect((await Transaction.findById(deposit._id)).status).toBe('completed');
+  });
+
+  it('takes the whole deposit back when the wallet still holds it', async () => {
+    await creditDeposit();
+
+    const credited = await Transaction.findById(deposit._id);
+    const result = await bitcoin.reverseDeposit(credited, 'Deposit transaction dropped out of the chain');
+
+    expect(result).toMatchObject({ reversed: AMOUNT_USD, shortfall: 0 });
+    expect(await getBalance(user)).toBe(0);
+    expect((await ledger.getBalance(ledger.accounts.REORG_LOSSES)).entries).toBe(0);
+  });
+});
@@ -0,0 +1,149 @@
+const bitcoinjs = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { ECPairFactory } = require('ecpair');
+const bitcoin = require('../services/bitcoin');
+
+const ECPair = ECPairFactory(ecc);
+
+const RBF_SEQUENCE = 0xfffffffd;
+const FUNDING_TXID = 'c'.repeat(64);
+
+describe('Bitcoin payouts', () => {
+  const destination = bitcoinjs.payments.p2wpkh({
+    pubkey: Buffer.from(ECPair.makeRandom({ network: bitcoin.network }).publicKey),
+    network: bitcoin.network
+  }).address;
+
+  // A platform output of an address type
+  const utxo = (type, value, vout = 0) => ({
+    txid: FUNDING_TXID,
+    vout,
+    value,
+    type,
+    address: bitcoin.getAddressFromKeyPair(bitcoin.platformWallet, type),
+    confirmed: true
+  });
+
+  // What the transaction pays in fees, from its inputs and outputs
+  const paidFee = (payout) => {
+    const tx = bitcoinjs.Transaction.fromHex(payout.details.txHex);
+    const inputValue = payout.details.inputs.reduce((sum, input) => sum + input.value, 0);
+    return inputValue - tx.outs.reduce((sum, output) => sum + output.value, 0);
+  };
+
+  beforeAll(() => {
+    bitcoin.platformWallet = ECPair.makeRandom({ network: bitcoin.network });
+  });
+
+  afterAll(() => {
+    bitcoin.platformWallet = null;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildPayout', () => {
+    it('pays the destination and returns change, signalling replace-by-fee', async () => {
+      const payout = await bitcoin.buildPayout({
+        destination,
+        amount: 100000,
+        feeRate: 10,
+        utxos: [utxo('p2wpkh', 500000)]
+      });
+
+      const tx = bitcoinjs.Transaction.fromHex(payout.details.txHex);
+      expect(tx.getId()).toBe(payout.txid);
+      expect(tx.ins.every(input => input.sequence === RBF_SEQUENCE)).toBe(true);
+      expect(tx.outs.map(output => output.value)).toEqual([100000, payout.details.changeSats]);
+      expect(bitcoinjs.address.fromOutputScript(tx.outs[1].script, bitcoin.network)).toBe(bitcoin.getPlatformAddress());
+
+      // The fee is priced on the estimated size, which never undercuts the real one
+      expect(paidFee(payout)).toBe(payout.details.feeSats);
+      expect(payout.details.vsize).toBeLessThanOrEqual(bitcoin.estimateVsize(['p2wpkh'], [destination, bitcoin.getPlatformAddress()]));
+      expect(payout.details.feeSats).toBeGreaterThanOrEqual(payout.details.vsize * 10);
+    });
+
+    it('spends Taproot outputs and adds inputs until the payment is covered', async () => {
+      const payout = await bitcoin.buildPayout({
+        destination,
+        amount: 150000,
+        feeRate: 5,
+        utxos: [utxo('p2tr', 100000, 0), utxo('p2wpkh', 100000, 1), utxo('p2wpkh', 100000, 2)]
+      });
+
+      expect(payout.details.inputs.map(input => input.type)).toEqual(['p2tr', 'p2wpkh']);
+      expect(paidFee(payout)).toBe(payout.details.feeSats);
+      expect(payout.details.feeSats).toBeGreaterThanOrEqual(payout.details.vsize * 5);
+    });
+
+    it('leaves change below the dust limit to the fee', async () => {
+      const fee = Math.ceil(bitcoin.estimateVsize(['p2wpkh'], [destination, bitcoin.getPlatformAddress()]) * 10);
+      const payout = await bitcoin.buildPayout({
+        destination,
+        amount: 100000,
+        feeRate: 10,
+        utxos: [utxo('p2wpkh', 100000 + fee + 300)]
+      });
+
+      expect(payout.details.changeSats).toBe(0);
+      expect(payout.details.feeSats).toBe(fee + 300);
+      expect(bitcoinjs.Transaction.fromHex(payout.details.txHex).outs).toHaveLength(1);
+    });
+
+    it('refuses a payout the platform wallet cannot cover', async () => {
+      await expect(bitcoin.buildPayout({ destination, amount: 100000, feeRate: 10, utxos: [utxo('p2wpkh', 100000)] }))
+        .rejects.toThrow('Insufficient platform wallet balance for withdrawal');
+    });
+  });
+
+  describe('bumpWithdrawalFee', () => {
+    // A withdrawal broadcast at 2 sat/vB
+    const sendWithdrawal = async (utxos) => {
+      const payout = await bitcoin.buildPayout({ destination, amount: 100000, feeRate: 2, utxos });
+      return {
+        blockchainTxHash: payout.txid,
+        paymentMethod: { details: { userWallet: destination, ...payout.details, txids: [payout.txid] } }
+      };
+    };
+
+    it('replaces the payout with one spending the same inputs at a higher fee', async () => {
+      const withdrawal = await sendWithdrawal([utxo('p2wpkh', 500000)]);
+      jest.spyOn(bitcoin, 'getSpendableUtxos').mockResolvedValue([utxo('p2wpkh', 500000)]);
+      jest.spyOn(bitcoin, 'getFeeRate').mockResolvedValue(20);
+
+      const replacement = await bitcoin.bumpWithdrawalFee(withdrawal);
+
+      const { details } = replacement;
+      expect(details.feeRate).toBe(20);
+      expect(details.inputs).toEqual(withdrawal.paymentMethod.details.inputs);
+      expect(details.amountSats).toBe(100000);
+      expect(details.feeSats).toBeGreaterThanOrEqual(withdrawal.paymentMethod.details.feeSats + details.vsize);
+      expect(details.txids).toEqual([withdrawal.blockchainTxHash, replacement.blockchainTxHash]);
+      expect(bitcoin.getFeeRate).toHaveBeenCalledWith(1);
+    });
+
+    it('adds an input when the change cannot cover the higher fee', async () => {
+      const withdrawal = await sendWithdrawal([utxo('p2wpkh', 101000)]);
+      expect(withdrawal.paymentMethod.details.inputs).toHaveLength(1);
+      jest.spyOn(bitcoin, 'getSpendableUtxos').mockResolvedValue([utxo('p2wpkh', 101000), utxo('p2wpkh', 50000, 1)]);
+
+      const { details } = await bitcoin.bumpWithdrawalFee(withdrawal, 30);
+
+      expect(details.inputs.map(input => input.vout)).toEqual([0, 1]);
+      expect(details.feeRate).toBe(30);
+    });
+
+    it('refuses a fee rate that is not higher than the current one', async () => {
+      const withdrawal = await sendWithdrawal([utxo('p2wpkh', 500000)]);
+
+      await expect(bitcoin.bumpWithdrawalFee(withdrawal, 2))
+        .rejects.toThrow('Fee rate must be higher than the current 2 sat/vB');
+    });
+
+    it('refuses payouts sent without replace-by-fee', async () => {
+      await expect(bitcoin.bumpWithdrawalFee({ blockchainTxHash: FUNDING_TXID, paymentMethod: { details: {} } }, 20))
+        .rejects.toThrow('Withdrawal was not sent with replace-by-fee');
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const db = require('./helpers/db');
+const { createUser } = require('./helpers/fixtures');
+const { DeadMansSwitchService } = require('../services/deadMansSwitch');
+const notifications = require('../services/notifications');
+const Puzzle = require('../models/Puzzle');
+const User = require('../models/User');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = new Date('2026-01-01T00:00:00Z');
+
+const daysAfterStart = (days) => new Date(START.getTime() + days * DAY_MS);
+
+// Default schedule: due after 30 days, reminded 7 days before, 14 days of grace
+const DUE = 30;
+const REMINDER = DUE - 7;
+const DEADLINE = DUE + 14;
+
+describe('DeadMansSwitchService.getState', () => {
+  const service = new DeadMansSwitchService();
+  const checkIn = {
+    enabled: true,
+    state: 'active',
+    nextDueAt: daysAfterStart(DUE),
+    reminderLeadDays: 7,
+    gracePeriodDays: 14
+  };
+
+  it('follows the schedule from active to triggered', () => {
+    expect(service.getState(checkIn, daysAfterStart(REMINDER - 1))).toBe('active');
+    expect(service.getState(checkIn, daysAfterStart(REMINDER))).toBe('reminded');
+    expect(service.getState(checkIn, daysAfterStart(DUE))).toBe('grace');
+    expect(service.getState(checkIn, new Date(daysAfterStart(DEADLINE).getTime() - 1))).toBe('grace');
+    expect(service.getState(checkIn, daysAfterStart(DEADLINE))).toBe('triggered');
+  });
+
+  it('stays active while disabled', () => {
+    expect(service.getState({ ...checkIn, enabled: false }, daysAfterStart(DEADLINE))).toBe('active');
+  });
+});
+
+describe('DeadMansSwitchService.evaluate', () => {
+  const clock = { now: START };
+  const service = new DeadMansSwitchService(() => clock.now);
+  const sendMail = jest.fn();
+
+  beforeAll(async () => {
+    await db.connect();
+    notifications.setTransport({ sendMail });
+  });
+
+  afterEach(async () => {
+    await db.clear();
+    sendMail.mockReset();
+    clock.now = START;
+  });
+
+  afterAll(db.disconnect);
+
+  // A creator with check-ins enabled at START and one hidden posthumous puzzle
+  const armSwitch = async () => {
+    const user = await createUser();
+    await service.configure(user._id, { enabled: true });
+
+    const { insertedId } = await Puzzle.collection.insertOne({
+      creatorId: user._id,
+      title: 'Posthumous puzzle',
+      posthumous: true,
+      activatedAt: null,
+      status: 'active',
+      solved: false
+    });
+
+    return { user, puzzleId: insertedId };
+  };
+
+  const evaluateAt = (days) => {
+    clock.now = daysAfterStart(days);
+    return service.evaluate();
+  };
+
+  const getActivatedAt = async (puzzleId) => (await Puzzle.collection.findOne({ _id: puzzleId })).activatedAt;
+
+  it('reminds the creator, warns once overdue, then activates their puzzles', async () => {
+    sendMail.mockResolvedValue({ messageId: 'test' });
+    const { user, puzzleId } = await armSwitch();
+
+    expect(await evaluateAt(REMINDER - 1)).toMatchObject({ reminded: 0, grace: 0, triggered: 0 });
+    expect(sendMail).not.toHaveBeenCalled();
+
+    expect(await evaluateAt(REMINDER)).toMatchObject({ reminded: 1 });
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    expect(sendMail.mock.calls[0][0]).toMatchObject({
+      to: user.email,
+      subject: 'Your Digital Will check-in is due soon'
+    });
+
+    // Nothing changes until the next step of the schedule
+    expect(await evaluateAt(DUE - 1)).toMatchObject({ reminded: 0, grace: 0 });
+    expect(sendMail).toHaveBeenCalledTimes(1);
+
+    expect(await evaluateAt(DUE)).toMatchObject({ grace: 1 });
+    expect(sendMail).toHaveBeenCalledTimes(2);
+    expect(sendMail.mock.calls[1][0]).toMatchObject({ subject: 'Your Digital Will check-in is overdue' });
+    expect(await getActivatedAt(puzzleId)).toBeNull();
+
+    expect(await evaluateAt(DEADLINE)).toMatchObject({ triggered: 1, puzzlesActivated: 1 });
+    expect(await getActivatedAt(puzzleId)).toEqual(daysAfterStart(DEADLINE));
+
+    const { checkIn } = await User.findById(user._id);
+    expect(checkIn.state).toBe('triggered');
+    expect(checkIn.remindersSent).toBe(2);
+    expect(checkIn.triggeredAt).toEqual(daysAfterStart(DEADLINE));
+  });
+
+  it('does not activate puzzles until a reminder has reached the creator', async () => {
+    const { user, puzzleId } = await armSwitch();
+
+    // The job did not run until after the deadline, and the mail server is down
+    sendMail.mockRejectedValue(new Error('SMTP unavailable'));
+    const failed = await evaluateAt(DEADLINE);
+    expect(failed.errors).toHaveLength(1);
+    expect(failed.triggered).toBe(0);
+
+    let { checkIn } = await User.findById(user._id);
+    expect(checkIn.state).toBe('active');
+    expect(checkIn.remindersSent).toBe(0);
+    expect(await getActivatedAt(puzzleId)).toBeNull();
+
+    // Once mail works the overdue reminder goes out before anything is released
+    sendMail.mockResolvedValue({ messageId: 'test' });
+    expect(await evaluateAt(DEADLINE)).toMatchObject({ grace: 1, triggered: 0 });
+    expect(sendMail).toHaveBeenLastCalledWith(expect.objectContaining({
+      subject: 'Your Digital Will check-in is overdue'
+    }));
+    expect(await getActivatedAt(puzzleId)).toBeNull();
+
+    expect(await evaluateAt(DEADLINE + 1)).toMatchObject({ triggered: 1, puzzlesActivated: 1 });
+    ({ checkIn } = await User.findById(user._id));
+    expect(checkIn.state).toBe('triggered');
+  });
+
+  it('re-arms the switch and hides unsolved puzzles when the creator checks in', async () => {
+    sendMail.mockResolvedValue({ messageId: 'test' });
+    const { user, puzzleId } = await armSwitch();
+
+    await evaluateAt(DUE);
+    await evaluateAt(DEADLINE);
+    expect(await getActivatedAt(puzzleId)).not.toBeNull();
+
+    clock.now = daysAfterStart(DEADLINE + 1);
+    const status = await service.checkIn(user._id);
+    expect(status).toMatchObject({ state: 'active', puzzlesHidden: 1 });
+    expect(status.nextDueAt).toEqual(daysAfterStart(DEADLINE + 1 + DUE));
+    expect(await getActivatedAt(puzzleId)).toBeNull();
+  });
+});
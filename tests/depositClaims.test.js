@@ -0,0 +1,113 @@
+const db = require('./helpers/db');
+const { createUser, findUnbalancedEntries } = require('./helpers/fixtures');
+const depositClaims = require('../services/depositClaims');
+const ledger = require('../services/ledger');
+const Transaction = require('../models/Transaction');
+const DepositClaim = require('../models/DepositClaim');
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+
+const TX_HASH = 'd'.repeat(64);
+const REPLAY_MESSAGE = 'This payment has already been used for another deposit';
+
+describe('DepositClaimService', () => {
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  afterEach(async () => {
+    expect(await findUnbalancedEntries()).toEqual([]);
+    await db.clear();
+  });
+
+  const createDeposit = (user, amount = 100) => Transaction.createDeposit(user._id, amount, {
+    type: 'bitcoin',
+    details: { platformWallet: 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx' }
+  }).save();
+
+  // Credit a deposit for outputs of TX_HASH the way the chain services do
+  const credit = (deposit, outputIndexes = [0]) => {
+    deposit.setCompleted(null, TX_HASH);
+    return depositClaims.credit({
+      chain: 'bitcoin',
+      txHash: TX_HASH,
+      outputIndexes,
+      transaction: deposit,
+      description: `Bitcoin deposit ${TX_HASH}`,
+      lines: ledger.transfer(ledger.accounts.external('bitcoin'), ledger.accounts.user(deposit.toUserId), deposit.amount.usd)
+    });
+  };
+
+  const assertUnclaimed = (deposit, outputIndexes = [0]) => depositClaims.assertUnclaimed({
+    chain: 'bitcoin',
+    txHash: TX_HASH,
+    outputIndexes,
+    transaction: deposit
+  });
+
+  const getSecurity = async (user) => (await User.findById(user._id)).security;
+
+  it('refuses a payment that funded another deposit and flags the account', async () => {
+    const owner = await createUser();
+    await credit(await createDeposit(owner));
+
+    const replayer = await createUser();
+    const replayed = await createDeposit(replayer);
+
+    await expect(assertUnclaimed(replayed)).rejects.toThrow(REPLAY_MESSAGE);
+
+    const security = await getSecurity(replayer);
+    expect(security.suspectedFraud).toBe(true);
+    expect(security.fraudFlags).toHaveLength(1);
+    expect(security.fraudFlags[0].details).toMatchObject({ chain: 'bitcoin', txHash: TX_HASH });
+    expect((await getSecurity(owner)).suspectedFraud).toBe(false);
+
+    // Other outputs of the same transaction are still free
+    await expect(assertUnclaimed(replayed, [1])).resolves.toBeUndefined();
+  });
+
+  it('refuses payments credited before claims were recorded', async () => {
+    const user = await createUser();
+    const legacy = await createDeposit(user);
+    legacy.setCompleted(null, TX_HASH);
+    await legacy.save();
+
+    await expect(assertUnclaimed(await createDeposit(user))).rejects.toThrow(REPLAY_MESSAGE);
+  });
+
+  it('credits only one of two deposits racing for the same payment', async () => {
+    const first = await createUser();
+    const second = await createUser();
+    const deposits = [await createDeposit(first), await createDeposit(second)];
+
+    const results = await Promise.allSettled(deposits.map(deposit => credit(deposit)));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    const [rejected] = results.filter(result => result.status === 'rejected');
+    expect(rejected.reason.message).toBe(REPLAY_MESSAGE);
+
+    const claims = await DepositClaim.find({ txHash: TX_HASH });
+    expect(claims).toHaveLength(1);
+    expect(await JournalEntry.countDocuments({ description: `Bitcoin deposit ${TX_HASH}` })).toBe(1);
+
+    // The winner is credited, the loser is left pending and flagged
+    const winner = deposits.find(deposit => deposit._id.equals(claims[0].transactionId));
+    const loser = deposits.find(deposit => deposit !== winner);
+    expect((await Transaction.findById(winner._id)).status).toBe('completed');
+    expect((await Transaction.findById(loser._id)).status).toBe('pending');
+    expect((await User.findById(winner.toUserId)).wallet.balance).toBe(100);
+    expect((await User.findById(loser.toUserId)).wallet.balance).toBe(0);
+    expect((await getSecurity({ _id: loser.toUserId })).suspectedFraud).toBe(true);
+  });
+
+  it('does not credit or flag a deposit confirmed twice', async () => {
+    const user = await createUser();
+    const deposit = await createDeposit(user);
+
+    await credit(deposit);
+    await expect(credit(await Transaction.findById(deposit._id))).rejects.toThrow('Deposit has already been credited');
+
+    expect((await User.findById(user._id)).wallet.balance).toBe(100);
+    expect((await getSecurity(user)).suspectedFraud).toBe(false);
+    expect((await ledger.reconcileUser(user._id)).drift).toBe(0);
+  });
+});
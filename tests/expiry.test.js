@@ -0,0 +1,100 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createUser, authHeader, findUnbalancedEntries } = require('./helpers/fixtures');
+const { app } = require('../index');
+const expiry = require('../services/expiry');
+const notifications = require('../services/notifications');
+const ledger = require('../services/ledger');
+const Puzzle = require('../models/Puzzle');
+const User = require('../models/User');
+
+const VALUE = 25;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('ExpiryService.process', () => {
+  const sendMail = jest.fn();
+  let creator;
+
+  beforeAll(async () => {
+    await db.connect();
+    notifications.setTransport({ sendMail });
+  });
+
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    creator = await createUser({ balance: 100 });
+    sendMail.mockResolvedValue({ messageId: 'expiry-notice' });
+  });
+
+  afterEach(async () => {
+    expect(await findUnbalancedEntries()).toEqual([]);
+    expect((await ledger.reconcileUser(creator._id)).drift).toBe(0);
+    sendMail.mockReset();
+    await db.clear();
+  });
+
+  // A funded puzzle whose expiry date passed a day ago
+  const createExpiredPuzzle = async (fields = {}) => {
+    const created = await request(app)
+      .post('/api/puzzles')
+      .set('Authorization', authHeader(creator))
+      .send({
+        title: 'Expiring puzzle',
+        description: 'Nobody solves this in time',
+        clue: 'The opposite of night',
+        answer: 'day',
+        inheritance: 'The key is under the mat',
+        value: VALUE
+      });
+    expect(created.status).toBe(201);
+
+    const puzzleId = created.body.data.puzzle._id;
+    await Puzzle.updateOne({ _id: puzzleId }, { $set: { expiresAt: new Date(Date.now() - DAY_MS), ...fields } });
+    return puzzleId;
+  };
+
+  const getBalance = async () => (await User.findById(creator._id).select('wallet')).wallet.balance;
+
+  it('keeps the refund when the notice fails and retries the notice on the next run', async () => {
+    const puzzleId = await createExpiredPuzzle();
+    const balanceBefore = await getBalance();
+    sendMail.mockRejectedValueOnce(new Error('Mailbox unavailable'));
+
+    const first = await expiry.process();
+    expect(first).toMatchObject({ expired: 1, refunded: 1, refundedAmount: VALUE, notified: 0, errors: [] });
+    expect(first.notificationErrors).toHaveLength(1);
+
+    let puzzle = await Puzzle.findById(puzzleId);
+    expect(puzzle.status).toBe('expired');
+    expect(puzzle.payment.escrow.status).toBe('refunded');
+    expect(puzzle.expiryNotice).toMatchObject({ sentAt: null, attempts: 1, lastError: 'Mailbox unavailable' });
+    expect(await getBalance()).toBe(balanceBefore + VALUE);
+
+    const second = await expiry.process();
+    expect(second).toMatchObject({ expired: 0, refunded: 0, notified: 1, errors: [], notificationErrors: [] });
+    expect(sendMail).toHaveBeenCalledTimes(2);
+    expect(sendMail.mock.calls[1][0].text).toContain(`$${VALUE} has been refunded`);
+
+    puzzle = await Puzzle.findById(puzzleId);
+    expect(puzzle.expiryNotice.sentAt).toBeInstanceOf(Date);
+    expect(puzzle.expiryNotice.lastError).toBeNull();
+    expect(await getBalance()).toBe(balanceBefore + VALUE);
+
+    // Nothing is left to send or refund
+    expect(await expiry.process()).toMatchObject({ expired: 0, notified: 0 });
+    expect(sendMail).toHaveBeenCalledTimes(2);
+  });
+
+  it('expires and refunds suspended puzzles', async () => {
+    const puzzleId = await createExpiredPuzzle({ status: 'suspended' });
+    const balanceBefore = await getBalance();
+
+    expect(await expiry.process()).toMatchObject({ expired: 1, refunded: 1, notified: 1, errors: [] });
+
+    const puzzle = await Puzzle.findById(puzzleId);
+    expect(puzzle.status).toBe('expired');
+    expect(puzzle.payment.escrow.status).toBe('refunded');
+    expect(await getBalance()).toBe(balanceBefore + VALUE);
+  });
+});
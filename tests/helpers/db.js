@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// In-memory MongoDB for tests that touch the database. It runs as a
+// single-node replica set because the services rely on transactions.
+let replSet;
+
+const connect = async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+
+  // Build unique indexes up front so they are enforced from the first write
+  await Promise.all(Object.values(mongoose.models).map(model => model.syncIndexes()));
+};
+
+const clear = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (replSet) {
+    await replSet.stop();
+  }
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect
+};
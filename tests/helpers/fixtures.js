@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const JournalEntry = require('../../models/JournalEntry');
+const ledger = require('../../services/ledger');
+const { signToken } = require('../../middleware/auth');
+
+const { toCents } = JournalEntry;
+
+// Create an active user, funding the wallet through the ledger so wallet
+// balances and ledger balances agree
+const createUser = async ({ balance = 0, ...fields } = {}) => {
+  const suffix = new mongoose.Types.ObjectId().toString();
+  const user = await User.create({
+    email: `user-${suffix}@example.com`,
+    password: 'Password123!',
+    profile: { firstName: 'Test', lastName: suffix.slice(-6) },
+    ...fields
+  });
+
+  if (balance > 0) {
+    await ledger.post({
+      description: `Test funding for ${user.email}`,
+      lines: ledger.transfer(ledger.accounts.OPENING_BALANCE, ledger.accounts.user(user._id), balance)
+    });
+  }
+
+  return User.findById(user._id);
+};
+
+const authHeader = (user) => `Bearer ${signToken(user._id)}`;
+
+// Posted entries whose debits and credits do not match
+const findUnbalancedEntries = async () => {
+  const entries = await JournalEntry.find({ status: 'posted' });
+  return entries.filter(entry => {
+    const debits = entry.lines.reduce((sum, line) => sum + toCents(line.debit), 0);
+    const credits = entry.lines.reduce((sum, line) => sum + toCents(line.credit), 0);
+    return debits !== credits;
+  });
+};
+
+module.exports = {
+  createUser,
+  authHeader,
+  findUnbalancedEntries
+};
@@ -0,0 +1,94 @@
+const { PriceOracle } = require('../services/priceOracle');
+
+const SECOND_MS = 1000;
+
+// A price source that always reports one price
+const stubProvider = (name, price, { age = 0, supports = () => true } = {}) => ({
+  name,
+  supports,
+  fetchQuote: jest.fn(async () => ({ price, timestamp: new Date(Date.now() - age) }))
+});
+
+// An oracle with only the given sources and the default limits
+const createOracle = (...providers) => {
+  const oracle = new PriceOracle();
+  oracle.providers = [];
+  providers.forEach(provider => oracle.registerProvider(provider));
+  return oracle;
+};
+
+describe('PriceOracle.getPrice', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('prices an asset at the median of its sources', async () => {
+    const oracle = createOracle(stubProvider('a', 150), stubProvider('b', 151), stubProvider('c', 152));
+
+    const quote = await oracle.getPrice('SOL');
+
+    expect(quote.price).toBe(151);
+    expect(quote.sources.map(source => source.source)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('drops stale, failing and outlying sources', async () => {
+    const failing = { name: 'failing', supports: () => true, fetchQuote: jest.fn().mockRejectedValue(new Error('down')) };
+    const oracle = createOracle(
+      stubProvider('a', 100),
+      stubProvider('b', 101),
+      stubProvider('stale', 100, { age: 10 * 60 * SECOND_MS }),
+      stubProvider('outlier', 90),
+      failing
+    );
+
+    const quote = await oracle.getPrice('BTC');
+
+    expect(quote.price).toBe(100.5);
+    expect(quote.sources.map(source => source.source)).toEqual(['a', 'b']);
+  });
+
+  it('refuses a price when too few sources agree', async () => {
+    const oracle = createOracle(stubProvider('a', 100), stubProvider('b', 120));
+
+    await expect(oracle.getPrice('SOL')).rejects.toThrow('No fresh SOL price available');
+  });
+
+  it('refuses assets that fewer than the minimum number of sources support', async () => {
+    const onlyBonk = stubProvider('coingecko', 0.00002, { supports: asset => asset.symbol === 'BONK' });
+    const oracle = createOracle(onlyBonk, stubProvider('b', 150, { supports: asset => asset.symbol === 'SOL' }));
+
+    await expect(oracle.getPrice({ symbol: 'BONK', coingeckoId: 'bonk' }))
+      .rejects.toThrow('BONK has 1 price source(s) configured; 2 are required');
+    expect(onlyBonk.fetchQuote).not.toHaveBeenCalled();
+  });
+
+  it('prices a single-source token that opts in to fewer sources', async () => {
+    const oracle = createOracle(stubProvider('coingecko', 0.00002, { supports: asset => asset.symbol === 'BONK' }));
+
+    const quote = await oracle.getPrice({ symbol: 'BONK', coingeckoId: 'bonk', minPriceSources: 1 });
+
+    expect(quote.price).toBe(0.00002);
+  });
+
+  it('only knows built-in CoinGecko prices for tokens outside SOL and BTC', async () => {
+    const oracle = new PriceOracle();
+    const token = { symbol: 'BONK', coingeckoId: 'bonk' };
+
+    expect(oracle.providers.filter(provider => provider.supports(token)).map(provider => provider.name))
+      .toEqual(['coingecko']);
+    await expect(oracle.getPrice(token)).rejects.toThrow('2 are required');
+  });
+
+  it('prices dollar-pegged tokens at $1 without asking any source', async () => {
+    const provider = stubProvider('a', 0.98);
+    const oracle = createOracle(provider);
+
+    expect((await oracle.getPrice({ symbol: 'USDC', usdPegged: true })).price).toBe(1);
+    expect(provider.fetchQuote).not.toHaveBeenCalled();
+  });
+});
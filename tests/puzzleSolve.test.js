@@ -0,0 +1,75 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createUser, authHeader, findUnbalancedEntries } = require('./helpers/fixtures');
+const { app } = require('../index');
+const Puzzle = require('../models/Puzzle');
+const Transaction = require('../models/Transaction');
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+const ledger = require('../services/ledger');
+
+// Stays under the per-IP attempt limit of the solve route
+const SOLVERS = 8;
+const VALUE = 25;
+
+describe('POST /api/puzzles/:id/solve', () => {
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  it('pays exactly one of several simultaneous correct solvers', async () => {
+    const creator = await createUser({ balance: 100 });
+
+    const created = await request(app)
+      .post('/api/puzzles')
+      .set('Authorization', authHeader(creator))
+      .send({
+        title: 'Race to the answer',
+        description: 'Several solvers answer at once',
+        clue: 'The opposite of night',
+        answer: 'day',
+        inheritance: 'The key is under the mat',
+        value: VALUE
+      });
+    expect(created.status).toBe(201);
+    const puzzleId = created.body.data.puzzle._id;
+
+    const solvers = await Promise.all(Array.from({ length: SOLVERS }, () => createUser()));
+
+    const responses = await Promise.all(solvers.map(solver => request(app)
+      .post(`/api/puzzles/${puzzleId}/solve`)
+      .set('Authorization', authHeader(solver))
+      .send({ answer: 'day' })));
+
+    const statuses = responses.map(response => response.status);
+    expect(statuses.filter(status => status === 200)).toHaveLength(1);
+    expect(statuses.filter(status => status === 409)).toHaveLength(SOLVERS - 1);
+
+    const winner = solvers[statuses.indexOf(200)];
+
+    // The puzzle records the winner and its escrow was released once
+    const puzzle = await Puzzle.findById(puzzleId);
+    expect(puzzle.solved).toBe(true);
+    expect(puzzle.solverInfo.solverId.toString()).toBe(winner._id.toString());
+    expect(puzzle.payment.escrow.status).toBe('released');
+    expect(puzzle.payment.escrow.releasedTo.toString()).toBe(winner._id.toString());
+
+    expect(await JournalEntry.countDocuments({ description: `Escrow release for puzzle ${puzzleId}` })).toBe(1);
+    expect(await Transaction.countDocuments({ type: 'puzzle_solve', puzzleId })).toBe(1);
+
+    const escrowBalance = await ledger.getBalance(ledger.accounts.ESCROW);
+    expect(escrowBalance.balance).toBe(0);
+
+    // Only the winner was paid, and every wallet matches the ledger
+    for (const solver of solvers) {
+      const { wallet } = await User.findById(solver._id).select('wallet');
+      expect(wallet.balance).toBe(solver === winner ? VALUE : 0);
+    }
+
+    for (const user of [creator, ...solvers]) {
+      const { drift } = await ledger.reconcileUser(user._id);
+      expect(drift).toBe(0);
+    }
+
+    expect(await findUnbalancedEntries()).toEqual([]);
+  });
+});
@@ -0,0 +1,7 @@
+// Environment for the test suites; real secrets are never needed
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-jwt-refresh-secret';
+process.env.LOG_LEVEL = 'error';
+// Answers and passwords are bcrypt hashed; keep it cheap in tests
+process.env.BCRYPT_ROUNDS = '4';
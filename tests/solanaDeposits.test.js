@@ -0,0 +1,143 @@
+const { Keypair, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const db = require('./helpers/db');
+const { createUser, findUnbalancedEntries } = require('./helpers/fixtures');
+const solana = require('../services/solana');
+const ledger = require('../services/ledger');
+const Transaction = require('../models/Transaction');
+const UnclaimedDeposit = require('../models/UnclaimedDeposit');
+const User = require('../models/User');
+
+const MINUTE_MS = 60 * 1000;
+
+const newAddress = () => Keypair.generate().publicKey.toBase58();
+
+describe('SolanaService.pollDeposits', () => {
+  const payer = newAddress();
+  // Finalized signatures per address, and the parsed transaction per signature
+  const signatures = new Map();
+  const transactions = new Map();
+  let user;
+
+  beforeAll(async () => {
+    await db.connect();
+    solana.platformWallet = Keypair.generate();
+  });
+
+  afterAll(async () => {
+    solana.platformWallet = null;
+    await db.disconnect();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(solana, 'getConnection').mockReturnValue({
+      getSignaturesForAddress: async (address) => signatures.get(address.toString()) || []
+    });
+    jest.spyOn(solana, 'getParsedDepositTransaction').mockImplementation(async (signature) => transactions.get(signature));
+
+    user = await createUser();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    signatures.clear();
+    transactions.clear();
+
+    expect(await findUnbalancedEntries()).toEqual([]);
+    expect((await ledger.reconcileUser(user._id)).drift).toBe(0);
+    await db.clear();
+  });
+
+  // A $50 SOL deposit quoted at 0.5 SOL
+  const createDeposit = () => Transaction.createDeposit(user._id, 50, {
+    type: 'solana',
+    details: {
+      reference: newAddress(),
+      expectedAmount: 0.5,
+      quote: { symbol: 'SOL', price: 100, expiresAt: new Date(Date.now() + 30 * MINUTE_MS) }
+    }
+  }).save();
+
+  // Record a finalized SOL payment to the platform wallet, listed under the
+  // platform wallet and any extra account keys (e.g. a reference)
+  const pay = (signature, sol, { accountKeys = [], memo = null, ageMs = 20 * MINUTE_MS } = {}) => {
+    const platform = solana.platformWallet.publicKey.toBase58();
+    const blockTime = Math.floor((Date.now() - ageMs) / 1000);
+    const instructions = [{
+      program: 'system',
+      parsed: { type: 'transfer', info: { source: payer, destination: platform, lamports: Math.round(sol * LAMPORTS_PER_SOL) } }
+    }];
+    if (memo) {
+      instructions.push({ program: 'spl-memo', parsed: memo });
+    }
+
+    transactions.set(signature, {
+      blockTime,
+      meta: { err: null },
+      transaction: { message: { accountKeys: [payer, platform, ...accountKeys], instructions } }
+    });
+    for (const address of [platform, ...accountKeys]) {
+      signatures.set(address, [{ signature, err: null, blockTime }, ...(signatures.get(address) || [])]);
+    }
+  };
+
+  const getBalance = async () => (await User.findById(user._id).select('wallet')).wallet.balance;
+
+  it('credits deposits paid with their reference or memo and flags other payments', async () => {
+    const byReference = await createDeposit();
+    const byMemo = await createDeposit();
+
+    pay('sig_reference', 0.5, { accountKeys: [byReference.paymentMethod.details.reference] });
+    pay('sig_memo', 0.5, { memo: byMemo.transactionId });
+    pay('sig_stray', 0.25);
+    // Too recent to flag: the client may still confirm it
+    pay('sig_recent', 0.1, { ageMs: MINUTE_MS });
+
+    const summary = await solana.pollDeposits();
+
+    expect(summary).toMatchObject({ checked: 2, credited: 2, unclaimed: 1, errors: [] });
+    expect(await getBalance()).toBe(100);
+    expect((await Transaction.findById(byReference._id)).blockchainTxHash).toBe('sig_reference');
+    expect((await Transaction.findById(byMemo._id)).blockchainTxHash).toBe('sig_memo');
+
+    const unclaimed = await UnclaimedDeposit.find();
+    expect(unclaimed).toHaveLength(1);
+    expect(unclaimed[0]).toMatchObject({
+      txHash: 'sig_stray',
+      amount: 0.25,
+      currency: 'SOL',
+      sender: payer,
+      reason: 'No deposit matches this payment',
+      status: 'pending_review'
+    });
+
+    // Another run finds nothing new
+    expect(await solana.pollDeposits()).toMatchObject({ credited: 0, unclaimed: 0 });
+    expect(await getBalance()).toBe(100);
+    expect(await UnclaimedDeposit.countDocuments()).toBe(1);
+  });
+
+  it('flags a payment for the wrong amount against its deposit', async () => {
+    const deposit = await createDeposit();
+    pay('sig_short', 0.2, { accountKeys: [deposit.paymentMethod.details.reference] });
+
+    expect(await solana.pollDeposits()).toMatchObject({ checked: 1, credited: 0, unclaimed: 1 });
+
+    expect((await Transaction.findById(deposit._id)).status).toBe('pending');
+    expect(await getBalance()).toBe(0);
+
+    const unclaimed = await UnclaimedDeposit.findOne({ txHash: 'sig_short' });
+    expect(unclaimed.depositTransactionId).toEqual(deposit._id);
+    expect(unclaimed.reason).toMatch(/^Amount mismatch/);
+  });
+
+  it('skips polling until the platform wallet is configured', async () => {
+    const { platformWallet } = solana;
+    solana.platformWallet = null;
+
+    try {
+      expect(await solana.pollDeposits()).toMatchObject({ skipped: 'Solana platform wallet not configured' });
+    } finally {
+      solana.platformWallet = platformWallet;
+    }
+  });
+});
@@ -0,0 +1,312 @@
+process.env.STRIPE_SECRET_KEY = 'sk_test_fixtures';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_fixtures';
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const Stripe = require('stripe');
+const db = require('./helpers/db');
+const { createUser, authHeader, findUnbalancedEntries } = require('./helpers/fixtures');
+const { app } = require('../index');
+const Transaction = require('../models/Transaction');
+const JournalEntry = require('../models/JournalEntry');
+const WebhookEvent = require('../models/WebhookEvent');
+const User = require('../models/User');
+const ledger = require('../services/ledger');
+const stripeService = require('../services/stripe');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'stripe');
+const PAYMENT_INTENT = 'pi_test_deposit';
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Load an event fixture, replacing its id and fields of its object
+const loadEvent = (name, { id, object = {} } = {}) => {
+  const event = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+  if (id) {
+    event.id = id;
+  }
+  event.data.object = { ...event.data.object, ...object };
+  return event;
+};
+
+// Post an event the way Stripe does, signed with the endpoint secret
+const deliver = (event, { secret = process.env.STRIPE_WEBHOOK_SECRET } = {}) => {
+  const payload = JSON.stringify(event);
+  return request(app)
+    .post('/api/webhooks/stripe')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', stripe.webhooks.generateTestHeaderString({ payload, secret }))
+    .send(payload);
+};
+
+const getBalance = async (user) => (await User.findById(user._id).select('wallet')).wallet.balance;
+
+describe('POST /api/webhooks/stripe', () => {
+  let user;
+  let deposit;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  // A $50 card deposit waiting for its payment to succeed
+  beforeEach(async () => {
+    user = await createUser();
+    deposit = await Transaction.createDeposit(
+      user._id,
+      50,
+      { type: 'stripe', details: { paymentIntentId: PAYMENT_INTENT, currency: 'usd' } },
+      PAYMENT_INTENT
+    ).save();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+
+    // Every scenario must leave the ledger balanced and wallets in step with it
+    expect(await findUnbalancedEntries()).toEqual([]);
+    expect((await ledger.reconcileUser(user._id)).drift).toBe(0);
+    await db.clear();
+  });
+
+  const paymentSucceeded = (options = {}) => loadEvent('payment_intent.succeeded', {
+    ...options,
+    object: {
+      metadata: { userId: user._id.toString(), type: 'wallet_deposit', originalAmount: '50' }
+    }
+  });
+
+  const completeDeposit = async () => {
+    const response = await deliver(paymentSucceeded());
+    expect(response.status).toBe(200);
+    expect(await getBalance(user)).toBe(50);
+  };
+
+  it('rejects events that are not signed with the endpoint secret', async () => {
+    const response = await deliver(paymentSucceeded(), { secret: 'whsec_someone_else' });
+
+    expect(response.status).toBe(400);
+    expect(await WebhookEvent.countDocuments()).toBe(0);
+    expect(await getBalance(user)).toBe(0);
+  });
+
+  it('credits a deposit once when its event is delivered twice', async () => {
+    const event = paymentSucceeded();
+
+    const first = await deliver(event);
+    expect(first.status).toBe(200);
+    expect(first.body).toEqual({ received: true, duplicate: false });
+
+    const second = await deliver(event);
+    expect(second.status).toBe(200);
+    expect(second.body).toEqual({ received: true, duplicate: true });
+
+    // Another event for the same payment does not credit it again either
+    const other = await deliver(paymentSucceeded({ id: 'evt_payment_succeeded_again' }));
+    expect(other.status).toBe(200);
+
+    expect(await getBalance(user)).toBe(50);
+    expect((await Transaction.findById(deposit._id)).status).toBe('completed');
+    expect(await JournalEntry.countDocuments({ description: `Stripe deposit ${PAYMENT_INTENT}` })).toBe(1);
+    expect(await WebhookEvent.findOne({ eventId: event.id }).lean()).toMatchObject({ status: 'processed' });
+  });
+
+  it('credits a deposit once when the webhook and the client confirm it together', async () => {
+    const event = paymentSucceeded();
+    jest.spyOn(stripeService.getClient().paymentIntents, 'retrieve').mockResolvedValue(event.data.object);
+
+    const [webhook, confirmation] = await Promise.all([
+      deliver(event),
+      request(app)
+        .post('/api/payments/stripe/confirm-payment')
+        .set('Authorization', authHeader(user))
+        .send({ paymentIntentId: PAYMENT_INTENT })
+    ]);
+
+    expect(webhook.status).toBe(200);
+    expect(confirmation.status).toBe(200);
+    expect(await getBalance(user)).toBe(50);
+    expect(await JournalEntry.countDocuments({ description: `Stripe deposit ${PAYMENT_INTENT}` })).toBe(1);
+    expect((await Transaction.findById(deposit._id)).status).toBe('completed');
+  });
+
+  it('marks a deposit failed and still credits it when a retried payment succeeds', async () => {
+    expect((await deliver(loadEvent('payment_intent.payment_failed'))).status).toBe(200);
+
+    let refreshed = await Transaction.findById(deposit._id);
+    expect(refreshed.status).toBe('failed');
+    expect(refreshed.failureReason).toBe('Your card has insufficient funds.');
+    expect(await getBalance(user)).toBe(0);
+
+    await completeDeposit();
+    refreshed = await Transaction.findById(deposit._id);
+    expect(refreshed.status).toBe('completed');
+    expect(refreshed.failureReason).toBeNull();
+  });
+
+  it('cancels a deposit whose payment intent was canceled, but not a completed one', async () => {
+    expect((await deliver(loadEvent('payment_intent.canceled'))).status).toBe(200);
+
+    const refreshed = await Transaction.findById(deposit._id);
+    expect(refreshed.status).toBe('cancelled');
+    expect(refreshed.failureReason).toBe('abandoned');
+
+    // A second deposit for another payment intent is completed first
+    const completed = await Transaction.createDeposit(
+      user._id,
+      50,
+      { type: 'stripe', details: { paymentIntentId: 'pi_test_completed', currency: 'usd' } },
+      'pi_test_completed'
+    ).save();
+    await deliver(loadEvent('payment_intent.succeeded', {
+      id: 'evt_payment_succeeded_completed',
+      object: {
+        id: 'pi_test_completed',
+        metadata: { userId: user._id.toString(), type: 'wallet_deposit', originalAmount: '50' }
+      }
+    }));
+
+    const late = loadEvent('payment_intent.canceled', { id: 'evt_payment_canceled_late', object: { id: 'pi_test_completed' } });
+    expect((await deliver(late)).status).toBe(200);
+    expect((await Transaction.findById(completed._id)).status).toBe('completed');
+    expect(await getBalance(user)).toBe(50);
+  });
+
+  it('claws back partial and full refunds from the wallet', async () => {
+    await completeDeposit();
+
+    const partial = loadEvent('charge.refunded');
+    expect((await deliver(partial)).status).toBe(200);
+    expect(await getBalance(user)).toBe(30);
+
+    let refreshed = await Transaction.findById(deposit._id);
+    expect(refreshed.refundedAmount).toBe(20);
+    expect(refreshed.status).toBe('completed');
+
+    // A redelivered refund is not taken twice
+    expect((await deliver(partial)).body.duplicate).toBe(true);
+    expect(await getBalance(user)).toBe(30);
+
+    // Charges report the running total, so only the remaining $30 is new
+    const full = loadEvent('charge.refunded', {
+      id: 'evt_charge_refunded_full',
+      object: { amount_refunded: 5000, refunded: true }
+    });
+    expect((await deliver(full)).status).toBe(200);
+    expect(await getBalance(user)).toBe(0);
+
+    refreshed = await Transaction.findById(deposit._id);
+    expect(refreshed.refundedAmount).toBe(50);
+    expect(refreshed.status).toBe('refunded');
+
+    const clawbacks = await Transaction.find({ type: 'refund', 'paymentMethod.details.source': 'stripe_refund' });
+    expect(clawbacks.map(clawback => clawback.amount.usd).sort()).toEqual([20, 30]);
+    expect((await ledger.getBalance(ledger.accounts.external('stripe'))).balance).toBe(0);
+  });
+
+  it('books the part of a refund the wallet cannot cover as a platform loss', async () => {
+    await completeDeposit();
+
+    // The user has spent $40 of the deposit
+    await ledger.post({
+      description: 'Spent by the user',
+      lines: ledger.transfer(ledger.accounts.user(user._id), ledger.accounts.FEES, 40)
+    });
+
+    const full = loadEvent('charge.refunded', { object: { amount_refunded: 5000, refunded: true } });
+    expect((await deliver(full)).status).toBe(200);
+
+    expect(await getBalance(user)).toBe(0);
+    expect((await ledger.getBalance(ledger.accounts.CHARGEBACK_LOSSES)).balance).toBe(-40);
+    expect((await Transaction.findById(deposit._id)).status).toBe('refunded');
+  });
+
+  it('holds a disputed deposit and claws it back once the dispute is lost', async () => {
+    await completeDeposit();
+
+    expect((await deliver(loadEvent('charge.dispute.created'))).status).toBe(200);
+
+    let refreshed = await Transaction.findById(deposit._id);
+    expect(refreshed.status).toBe('disputed');
+    expect(refreshed.dispute.status).toBe('needs_response');
+    expect(await getBalance(user)).toBe(50);
+
+    const lost = loadEvent('charge.dispute.closed');
+    expect((await deliver(lost)).status).toBe(200);
+
+    refreshed = await Transaction.findById(deposit._id);
+    expect(refreshed.status).toBe('disputed');
+    expect(refreshed.toObject().dispute).toMatchObject({ status: 'lost', clawedBack: 50, shortfall: 0 });
+    expect(refreshed.dispute.closedAt).toBeInstanceOf(Date);
+    expect(await getBalance(user)).toBe(0);
+
+    // A redelivered closing event takes nothing more
+    expect((await deliver(lost)).body.duplicate).toBe(true);
+    expect(await Transaction.countDocuments({ 'paymentMethod.details.source': 'stripe_dispute' })).toBe(1);
+  });
+
+  it('tracks the status of an open dispute without moving money', async () => {
+    await completeDeposit();
+    await deliver(loadEvent('charge.dispute.created'));
+
+    expect((await deliver(loadEvent('charge.dispute.updated'))).status).toBe(200);
+
+    const refreshed = await Transaction.findById(deposit._id);
+    expect(refreshed.status).toBe('disputed');
+    expect(refreshed.dispute.status).toBe('under_review');
+    expect(await getBalance(user)).toBe(50);
+  });
+
+  it('restores the deposit when the dispute is won', async () => {
+    await completeDeposit();
+
+    await deliver(loadEvent('charge.dispute.created'));
+    const won = loadEvent('charge.dispute.closed', { object: { status: 'won' } });
+    expect((await deliver(won)).status).toBe(200);
+
+    const refreshed = await Transaction.findById(deposit._id);
+    expect(refreshed.status).toBe('completed');
+    expect(refreshed.dispute.status).toBe('won');
+    expect(await getBalance(user)).toBe(50);
+    expect(await Transaction.countDocuments({ 'paymentMethod.details.source': 'stripe_dispute' })).toBe(0);
+  });
+
+  it('records payout onboarding of a connected account', async () => {
+    await User.updateOne({ _id: user._id }, { $set: { 'stripeConnect.accountId': 'acct_test_connect' } });
+    const event = loadEvent('account.updated');
+
+    expect((await deliver(event)).status).toBe(200);
+
+    const { stripeConnect } = await User.findById(user._id);
+    expect(stripeConnect).toMatchObject({ detailsSubmitted: true, payoutsEnabled: true });
+    expect(stripeConnect.capabilities.transfers).toBe('active');
+    expect(stripeConnect.onboardedAt).toBeInstanceOf(Date);
+    expect((await WebhookEvent.findOne({ eventId: event.id }).lean()).result).toMatchObject({ payoutsReady: true });
+  });
+
+  it('ignores account updates for accounts no user holds', async () => {
+    const event = loadEvent('account.updated', { object: { id: 'acct_someone_else' } });
+
+    expect((await deliver(event)).status).toBe(200);
+    expect((await WebhookEvent.findOne({ eventId: event.id }).lean()).result).toEqual({ ignored: true });
+  });
+
+  it('records connected account payouts without touching wallets', async () => {
+    const paid = loadEvent('payout.paid');
+    const failed = loadEvent('payout.failed');
+
+    expect((await deliver(paid)).status).toBe(200);
+    expect((await deliver(failed)).status).toBe(200);
+
+    expect((await WebhookEvent.findOne({ eventId: paid.id }).lean()).result).toMatchObject({
+      payoutId: 'po_test_payout',
+      status: 'paid',
+      account: 'acct_test_connect',
+      amount: 25
+    });
+    expect((await WebhookEvent.findOne({ eventId: failed.id }).lean()).result).toMatchObject({
+      status: 'failed',
+      failureCode: 'account_closed'
+    });
+    expect(await JournalEntry.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,94 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createUser, authHeader } = require('./helpers/fixtures');
+const { app } = require('../index');
+const withdrawalService = require('../services/withdrawals');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const KEY = 'withdrawal-retry-1';
+
+// A promise settled from the test
+const deferred = () => {
+  const handle = {};
+  handle.promise = new Promise((resolve, reject) => {
+    handle.resolve = resolve;
+    handle.reject = reject;
+  });
+  return handle;
+};
+
+// Poll until a condition holds, as stored outcomes are written after the
+// work settles rather than with a response
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+};
+
+const getKeyStatus = async () => (await IdempotencyKey.findOne({ key: KEY }))?.status;
+
+describe('POST /api/payments/withdraw with an Idempotency-Key', () => {
+  let user;
+  let payout;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  // A user who can withdraw to their connected account; the payout is held
+  // until the test settles it, so the route's 25 second timeout fires first
+  beforeEach(async () => {
+    user = await createUser({
+      balance: 100,
+      stripeConnect: { accountId: 'acct_test_connect', payoutsEnabled: true, capabilities: { transfers: 'active' } }
+    });
+    payout = deferred();
+    jest.spyOn(withdrawalService, 'process').mockReturnValue(payout.promise);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await db.clear();
+  });
+
+  const withdraw = () => request(app)
+    .post('/api/payments/withdraw')
+    .set('Authorization', authHeader(user))
+    .set('Idempotency-Key', KEY)
+    .send({ amount: 20, paymentMethod: 'stripe', destination: 'acct_test_connect' });
+
+  it('replays the outcome of a withdrawal that finished after the request timed out', async () => {
+    const timedOut = await withdraw();
+    expect(timedOut.status).toBe(500);
+    expect(await getKeyStatus()).toBe('processing');
+
+    payout.resolve({
+      transaction: { transactionId: 'TX_TIMED_OUT' },
+      txHash: 'tr_test_payout',
+      state: 'confirmed',
+      fee: 2.5
+    });
+    await waitFor(async () => (await getKeyStatus()) === 'completed');
+
+    const retry = await withdraw();
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.data).toMatchObject({ txHash: 'tr_test_payout', state: 'confirmed' });
+    expect(withdrawalService.process).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a retry while the timed-out withdrawal is running and after it fails', async () => {
+    expect((await withdraw()).status).toBe(500);
+
+    const retry = await withdraw();
+    expect(retry.status).toBe(409);
+    expect(retry.body.message).toBe('A request with this idempotency key is still being processed');
+
+    payout.reject(new Error('Failed to process withdrawal: card declined'));
+    await waitFor(async () => (await getKeyStatus()) === 'failed');
+    expect(withdrawalService.process).toHaveBeenCalledTimes(1);
+  });
+});
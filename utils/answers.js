@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+// Normalization applied when a puzzle does not configure its own policy
+const DEFAULT_POLICY = {
+  caseSensitive: false,
+  collapseWhitespace: true,
+  stripPunctuation: false,
+  stripDiacritics: false,
+  unicodeNormalization: true
+};
+
+// Normalization used before per-puzzle policies existed
+const legacyNormalize = (answer) => answer.toLowerCase().trim();
+
+// Normalize an answer according to a puzzle's policy
+const normalizeAnswer = (answer, policy = {}) => {
+  // Read option by option so schema subdocuments work as policies too
+  const rules = {};
+  for (const option of Object.keys(DEFAULT_POLICY)) {
+    rules[option] = typeof policy[option] === 'boolean' ? policy[option] : DEFAULT_POLICY[option];
+  }
+
+  let normalized = answer;
+
+  if (rules.unicodeNormalization) {
+    normalized = normalized.normalize('NFKC');
+  }
+
+  if (rules.stripDiacritics) {
+    normalized = normalized.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+  }
+
+  if (rules.stripPunctuation) {
+    normalized = normalized.replace(/[\p{P}\p{S}]/gu, '');
+  }
+
+  if (!rules.caseSensitive) {
+    normalized = normalized.toLowerCase();
+  }
+
+  if (rules.collapseWhitespace) {
+    normalized = normalized.replace(/\s+/g, ' ');
+  }
+
+  return normalized.trim();
+};
+
+// Normalize a list of accepted answers, dropping duplicates
+const normalizeAnswers = (answers, policy = {}) => {
+  const normalized = [...new Set(answers.map(answer => normalizeAnswer(answer, policy)))];
+
+  if (normalized.some(answer => answer.length === 0)) {
+    throw new Error('Answers cannot be empty after normalization');
+  }
+
+  return normalized;
+};
+
+// bcrypt only looks at the first 72 bytes, so long answers are pre-hashed
+const prehash = (normalized) => crypto.createHash('sha256').update(normalized, 'utf8').digest('base64');
+
+// Hash a normalized answer with a salted slow hash
+const hashAnswer = async (normalized) => {
+  const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_ROUNDS) || 12);
+  return bcrypt.hash(prehash(normalized), salt);
+};
+
+// Find which stored hash a normalized answer matches, or -1
+const matchAnswer = async (normalized, hashes) => {
+  for (let i = 0; i < hashes.length; i++) {
+    if (await bcrypt.compare(prehash(normalized), hashes[i])) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  legacyNormalize,
+  normalizeAnswer,
+  normalizeAnswers,
+  hashAnswer,
+  matchAnswer
+};
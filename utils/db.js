@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Run a function inside a MongoDB multi-document transaction.
+// Uses Connection#transaction so documents saved in the callback have their
+// state reset if the transaction aborts and is retried.
+// Note: transactions require MongoDB to run as a replica set.
+const runInTransaction = async (fn) => {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await fn(session);
+  });
+  return result;
+};
+
+module.exports = {
+  runInTransaction
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+
+// scrypt cost parameters; stored with each sealed payload so they can be
+// raised later without breaking existing puzzles
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+// Derive a key-encryption key from an answer. Callers pass answers already
+// normalized with the puzzle's policy.
+const deriveKey = (answer, salt, params = KDF_PARAMS) => {
+  return scrypt(answer, salt, KEY_LENGTH, {
+    ...params,
+    maxmem: 256 * params.N * params.r
+  });
+};
+
+// Encrypt a buffer with AES-256-GCM
+const encrypt = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+};
+
+// Decrypt an AES-256-GCM payload; throws if the key is wrong or the data was tampered with
+const decrypt = (key, { iv, authTag, ciphertext }) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+};
+
+// Wrap a data key under a key derived from an answer
+const createKeySlot = async (dataKey, answer) => {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const key = await deriveKey(answer, salt);
+  const { iv, authTag, ciphertext } = encrypt(key, dataKey);
+
+  return {
+    salt: salt.toString('base64'),
+    iv,
+    authTag,
+    wrappedKey: ciphertext
+  };
+};
+
+// Envelope-encrypt a secret: a random data key encrypts the content and is
+// wrapped once per accepted answer, so only a correct answer can open it
+const seal = async (plaintext, answers) => {
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const keySlots = [];
+  for (const answer of answers) {
+    keySlots.push(await createKeySlot(dataKey, answer));
+  }
+
+  return {
+    algorithm: ALGORITHM,
+    kdf: { name: 'scrypt', ...KDF_PARAMS },
+    ...encrypt(dataKey, Buffer.from(plaintext, 'utf8')),
+    keySlots
+  };
+};
+
+// Recover the data key with an answer, or null if no key slot accepts it.
+// When the matching slot is known only that one is tried.
+const unwrapDataKey = async (sealed, answer, slotIndex = null) => {
+  const params = { N: sealed.kdf.N, r: sealed.kdf.r, p: sealed.kdf.p };
+  const slots = slotIndex === null ? sealed.keySlots : [sealed.keySlots[slotIndex]].filter(Boolean);
+
+  for (const slot of slots) {
+    const key = await deriveKey(answer, Buffer.from(slot.salt, 'base64'), params);
+    try {
+      return decrypt(key, { iv: slot.iv, authTag: slot.authTag, ciphertext: slot.wrappedKey });
+    } catch (error) {
+      // Wrong answer for this slot; try the next one
+    }
+  }
+
+  return null;
+};
+
+// Decrypt a sealed secret with an answer, or return null if the answer does not open it
+const open = async (sealed, answer, slotIndex = null) => {
+  const dataKey = await unwrapDataKey(sealed, answer, slotIndex);
+  if (!dataKey) return null;
+
+  return decrypt(dataKey, sealed).toString('utf8');
+};
+
+module.exports = {
+  seal,
+  open,
+  unwrapDataKey,
+  createKeySlot
+};
@@ -0,0 +1,59 @@
+// SPL tokens accepted for Solana deposits and withdrawals, keyed by symbol.
+// USDC is always available; other mints can be added with SOLANA_SPL_TOKENS,
+// a JSON object such as
+//   {"USDT":{"mint":"Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB","decimals":6,"usdPegged":true}}
+// Tokens that are not pegged to the dollar need a coingeckoId for pricing.
+// As CoinGecko is then their only price source, they are refused unless
+// PRICE_MIN_SOURCES is 1 or the token sets "minPriceSources":1 to accept it.
+
+const USDC_MINTS = {
+  mainnet: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  devnet: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU'
+};
+
+const loadTokens = () => {
+  const network = (process.env.SOLANA_RPC_URL || '').includes('devnet') ? 'devnet' : 'mainnet';
+  const tokens = {
+    USDC: {
+      mint: process.env.SOLANA_USDC_MINT || USDC_MINTS[network],
+      decimals: 6,
+      usdPegged: true
+    }
+  };
+
+  if (process.env.SOLANA_SPL_TOKENS) {
+    try {
+      Object.assign(tokens, JSON.parse(process.env.SOLANA_SPL_TOKENS));
+    } catch (error) {
+      console.error('Invalid SOLANA_SPL_TOKENS configuration:', error.message);
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(tokens)
+      .filter(([, token]) => token && token.mint && Number.isInteger(token.decimals))
+      .map(([symbol, token]) => [symbol.toUpperCase(), {
+        symbol: symbol.toUpperCase(),
+        mint: token.mint,
+        decimals: token.decimals,
+        usdPegged: Boolean(token.usdPegged),
+        coingeckoId: token.coingeckoId || null,
+        minPriceSources: Number.isInteger(token.minPriceSources) && token.minPriceSources > 0
+          ? token.minPriceSources
+          : null
+      }])
+  );
+};
+
+const TOKENS = loadTokens();
+
+// Get a configured token by symbol; null for SOL or unknown symbols
+const getToken = (symbol) => (symbol && TOKENS[symbol.toUpperCase()]) || null;
+
+// Symbols of all configured tokens
+const symbols = () => Object.keys(TOKENS);
+
+module.exports = {
+  getToken,
+  symbols
+};